@@ -1,79 +1,184 @@
-import { getTabKey, getProtectedKey } from "../utils/storage.js";
 import {
-    checkTabs,
+    getTabKey,
+    getTabScopedKeys,
+    getUnsavedKey,
+    PAUSED_UNTIL_KEY,
+} from "../utils/storage.js";
+import {
     updateBadge,
+    refreshBadges,
     cleanUpStorage,
     handleCommand,
     displayTabsStatus,
-    expireAllTabs,
 } from "../utils/background/logic.js";
+import {
+    handleNotificationButtonClick,
+    handleNotificationClick,
+} from "../utils/background/notifications.js";
+import {
+    createContextMenus,
+    handleContextMenuClick,
+} from "../utils/background/menus.js";
+import {
+    IDLE_DETECTION_INTERVAL_SECONDS,
+    handleIdleStateChange,
+    syncIdleState,
+} from "../utils/background/idle.js";
+import {
+    restoreTabState,
+    saveTabSnapshot,
+    takeRestoredTab,
+} from "../utils/background/session.js";
+import {
+    forgetTabFocus,
+    recordTabFocus,
+    recordTabOpened,
+} from "../utils/background/focus.js";
+import { runMigrations } from "../utils/background/migrations.js";
+import { handleMessage, isHandledMessage } from "../utils/background/messages.js";
+import { enqueueWrite, serialized } from "../utils/background/queue.js";
+import {
+    CHECK_ALARM_NAME,
+    SNAPSHOT_ALARM_NAME,
+    SNAPSHOT_INTERVAL_IN_MINUTES,
+    changesTabsStatus,
+    requestCheck,
+    runCheck,
+} from "../utils/background/scheduler.js";
+import { watchTabState } from "../utils/background/tabState.js";
 
-const ALARM_NAME = "check_tabs";
-const ALARM_INTERVAL_IN_MINUTES = 1 / 6;
-
-const mainRoutine = async () => {
-    await cleanUpStorage();
-    await displayTabsStatus();
-    await checkTabs();
-    console.log("--------------------------------");
-};
+const createSnapshotAlarm = () =>
+    browser.alarms.create(SNAPSHOT_ALARM_NAME, {
+        periodInMinutes: SNAPSHOT_INTERVAL_IN_MINUTES,
+    });
 
 export default defineBackground(() => {
+    // Mirror tabs and storage in memory, before any listener reads them
+    watchTabState();
+
+    // Every listener that writes to storage runs through the write queue
+
     // Setup alarm on install/startup
-    browser.runtime.onInstalled.addListener(async () => {
-        browser.alarms.create(ALARM_NAME, {
-            periodInMinutes: ALARM_INTERVAL_IN_MINUTES,
-        });
-        await mainRoutine();
-    });
+    browser.runtime.onInstalled.addListener(
+        serialized(async () => {
+            await runMigrations();
+            createSnapshotAlarm();
+            await createContextMenus();
+            await syncIdleState();
+            await refreshBadges();
+            await cleanUpStorage();
+            await displayTabsStatus();
+            await runCheck();
+        }),
+    );
 
-    browser.runtime.onStartup.addListener(async () => {
-        browser.alarms.create(ALARM_NAME, {
-            periodInMinutes: ALARM_INTERVAL_IN_MINUTES,
-        });
-        await cleanUpStorage({ shouldDelete: true });
-        await mainRoutine();
-    });
+    browser.runtime.onStartup.addListener(
+        serialized(async () => {
+            await runMigrations();
+            createSnapshotAlarm();
+            await restoreTabState();
+            await cleanUpStorage({ shouldDelete: true });
+            await createContextMenus();
+            await syncIdleState();
+            await refreshBadges();
+            await displayTabsStatus();
+            await runCheck();
+        }),
+    );
 
-    // When a tab is activated, update its last active time
-    browser.tabs.onActivated.addListener(async (activeInfo) => {
-        const key = getTabKey(activeInfo.tabId);
-        await browser.storage.local.set({ [key]: Date.now() });
-        updateBadge(activeInfo.tabId);
-    });
+    // Record when tabs are opened, for the history
+    browser.tabs.onCreated.addListener(
+        serialized(async (tab) => {
+            await recordTabOpened(tab.id);
+        }),
+    );
 
-    // When a tab is updated (e.g. loaded), update its timestamp
-    browser.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
-        if (changeInfo.status === "complete") {
-            const key = getTabKey(tabId);
+    // When a tab is activated, update its last active time and focus time
+    browser.tabs.onActivated.addListener(
+        serialized(async (activeInfo) => {
+            const key = getTabKey(activeInfo.tabId);
             await browser.storage.local.set({ [key]: Date.now() });
-            updateBadge(tabId);
-        }
-    });
+            updateBadge(activeInfo.tabId);
+            await recordTabFocus(activeInfo.tabId, activeInfo.windowId);
+        }),
+    );
+
+    // When a tab is updated (e.g. loaded), update its timestamp
+    browser.tabs.onUpdated.addListener(
+        serialized(async (tabId, changeInfo, tab) => {
+            if ("pinned" in changeInfo || "audible" in changeInfo) {
+                // Not awaited: the check is queued after this task
+                requestCheck();
+            }
+            if (changeInfo.status === "loading") {
+                // A new page has no unsaved work until its content script reports some
+                await browser.storage.local.remove(getUnsavedKey(tabId));
+            } else if (changeInfo.status === "complete") {
+                // The first load of a tab restored after a restart is not user activity
+                if (!(await takeRestoredTab(tabId))) {
+                    const key = getTabKey(tabId);
+                    await browser.storage.local.set({ [key]: Date.now() });
+                }
+                updateBadge(tabId);
+            }
+        }),
+    );
 
     // Clean up when tab is removed
-    browser.tabs.onRemoved.addListener(async (tabId) => {
-        const key = getTabKey(tabId);
-        const protectedKey = getProtectedKey(tabId);
-        await browser.storage.local.remove([key, protectedKey]);
-    });
+    browser.tabs.onRemoved.addListener(
+        serialized(async (tabId, removeInfo) => {
+            await browser.storage.local.remove(getTabScopedKeys(tabId));
+            await forgetTabFocus(tabId, removeInfo.windowId);
+        }),
+    );
 
     // Listen for commands (keyboard shortcuts)
-    browser.commands.onCommand.addListener(handleCommand);
+    browser.commands.onCommand.addListener(serialized(handleCommand));
 
-    // Listen for messages from popup
+    // Listen for messages from the popup, the options page and content scripts
     browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
-        if (message.type === "expire-all") {
-            expireAllTabs().then(sendResponse);
-            return true;
-        }
+        if (!isHandledMessage(message, sender)) return;
+        handleMessage(message, sender).then(sendResponse, (err) => {
+            console.error(`Failed to handle ${message.type}:`, err);
+            sendResponse({ error: err.message });
+        });
+        return true;
     });
 
-    // Listen for storage changes to update badge
+    // Undo / open history from expired tabs notifications, once they are allowed
+    let listensToNotifications = false;
+    const listenToNotifications = () => {
+        if (listensToNotifications || !browser.notifications) return;
+        listensToNotifications = true;
+        browser.notifications.onButtonClicked.addListener(
+            serialized(handleNotificationButtonClick),
+        );
+        browser.notifications.onClicked.addListener(
+            serialized(handleNotificationClick),
+        );
+    };
+    listenToNotifications();
+    browser.permissions.onAdded.addListener(listenToNotifications);
+
+    // Pause the expiry clock while the user is away
+    browser.idle.setDetectionInterval(IDLE_DETECTION_INTERVAL_SECONDS);
+    browser.idle.onStateChanged.addListener(serialized(handleIdleStateChange));
+
+    // Snooze from the tab (Firefox) or toolbar button (Chrome) context menu
+    (browser.menus ?? browser.contextMenus).onClicked.addListener(
+        serialized(handleContextMenuClick),
+    );
+
+    // Listen for storage changes to update badge and check the tabs again
     browser.storage.onChanged.addListener((changes, area) => {
+        if (changesTabsStatus(changes, area)) {
+            requestCheck();
+        }
         if (area === "local") {
             for (const key of Object.keys(changes)) {
-                if (key.startsWith("protected_")) {
+                if (key === PAUSED_UNTIL_KEY) {
+                    refreshBadges();
+                } else if (key.startsWith("protected_")) {
                     const tabId = parseInt(key.replace("protected_", ""), 10);
                     if (!isNaN(tabId)) {
                         updateBadge(tabId);
@@ -83,10 +188,12 @@ export default defineBackground(() => {
         }
     });
 
-    // Check tabs
+    // Check tabs when the next one expires, keep the snapshot fresh meanwhile
     browser.alarms.onAlarm.addListener(async (alarm) => {
-        if (alarm.name === ALARM_NAME) {
-            await mainRoutine();
+        if (alarm.name === CHECK_ALARM_NAME) {
+            await requestCheck();
+        } else if (alarm.name === SNAPSHOT_ALARM_NAME) {
+            await enqueueWrite(saveTabSnapshot);
         }
     });
 });
@@ -0,0 +1,47 @@
+/**
+ * Runs in the page's own world, as the content script cannot see the page's
+ * event listeners from its isolated world. Tracks `beforeunload` handlers,
+ * which pages usually register while they have unsaved changes, and reports
+ * whether there are any through a DOM event. Runs before the page's scripts,
+ * so handlers registered while the page loads are tracked too.
+ */
+export default defineContentScript({
+    matches: ["<all_urls>"],
+    runAt: "document_start",
+    world: "MAIN",
+    main() {
+        // Keep in sync with entrypoints/content.js
+        const EVENT_NAME = "expire-tabs:beforeunload";
+
+        const listeners = new Set();
+        const report = () => {
+            const hasHandler =
+                listeners.size > 0 || typeof window.onbeforeunload === "function";
+            document.dispatchEvent(new CustomEvent(EVENT_NAME, { detail: hasHandler }));
+        };
+
+        const { addEventListener, removeEventListener } = EventTarget.prototype;
+        EventTarget.prototype.addEventListener = function (type, listener, options) {
+            if (this === window && type === "beforeunload" && listener) {
+                listeners.add(listener);
+                report();
+            }
+            return addEventListener.call(this, type, listener, options);
+        };
+        EventTarget.prototype.removeEventListener = function (type, listener, options) {
+            if (
+                this === window &&
+                type === "beforeunload" &&
+                listeners.delete(listener)
+            ) {
+                report();
+            }
+            return removeEventListener.call(this, type, listener, options);
+        };
+
+        // `onbeforeunload` can be assigned at any time, so the content script asks
+        // for the current state before each check.
+        document.addEventListener(`${EVENT_NAME}:query`, report);
+        report();
+    },
+});
@@ -1,3 +1,5 @@
+import { formatTimeOfDay } from "../utils/config.js";
+
 export default defineContentScript({
     matches: ["<all_urls>"],
     runAt: "document_idle",
@@ -24,7 +26,21 @@ export default defineContentScript({
         });
         document.body.appendChild(toastContainer);
 
-        function showToast(message, isProtected) {
+        /**
+         * Shows a toast notification.
+         * @param {string} message
+         * @param {boolean} isProtected - Uses the dark background when true
+         * @param {Object} [options]
+         * @param {{label: string, onClick: Function}[]} [options.actions] - Buttons
+         *   displayed under the message. Clicking one hides the toast.
+         * @param {number|null} [options.duration=3000] - Auto-hide delay in ms,
+         *   null to keep the toast until it is closed.
+         */
+        function showToast(
+            message,
+            isProtected,
+            { actions = [], duration = 3000 } = {},
+        ) {
             const toast = document.createElement("div");
             toast.setAttribute("data-extension-toast", "true");
             toast.setAttribute("role", "alert");
@@ -98,6 +114,43 @@ export default defineContentScript({
             header.appendChild(closeButton);
 
             toast.appendChild(header);
+
+            if (actions.length > 0) {
+                const actionsRow = document.createElement("div");
+                Object.assign(actionsRow.style, {
+                    display: "flex",
+                    gap: "8px",
+                    padding: "0 16px 12px 16px",
+                    backgroundColor: header.style.backgroundColor,
+                });
+                for (const { label, onClick } of actions) {
+                    const actionButton = document.createElement("button");
+                    actionButton.setAttribute("type", "button");
+                    actionButton.setAttribute("data-extension-toast-action", "true");
+                    actionButton.textContent = label;
+                    Object.assign(actionButton.style, {
+                        flex: "1",
+                        background: colors.secondary,
+                        border: "none",
+                        borderRadius: "8px",
+                        color: "#ffffff",
+                        cursor: "pointer",
+                        padding: "6px 8px",
+                        fontFamily: "inherit",
+                        fontSize: "0.8rem",
+                        fontWeight: "bold",
+                        whiteSpace: "nowrap",
+                    });
+                    actionButton.addEventListener("click", () => {
+                        hideToast(toast);
+                        onClick();
+                    });
+                    actionsRow.appendChild(actionButton);
+                }
+                header.style.borderRadius = "8px 8px 0 0";
+                toast.appendChild(actionsRow);
+            }
+
             toastContainer.appendChild(toast);
 
             // Force reflow to ensure initial state is rendered before transition
@@ -108,7 +161,9 @@ export default defineContentScript({
                 toast.style.transform = "translateX(0)";
             });
 
-            let autoHideTimer = setTimeout(() => hideToast(toast), 3000);
+            const scheduleHide = () =>
+                duration === null ? null : setTimeout(() => hideToast(toast), duration);
+            let autoHideTimer = scheduleHide();
 
             toast.addEventListener("mouseenter", () => {
                 clearTimeout(autoHideTimer);
@@ -118,7 +173,7 @@ export default defineContentScript({
             toast.addEventListener("mouseleave", () => {
                 toast.style.transform = "translateX(0)";
                 toast.style.boxShadow = `5px 6px 0px 0px ${colors.secondary}`;
-                autoHideTimer = setTimeout(() => hideToast(toast), 3000);
+                autoHideTimer = scheduleHide();
             });
         }
 
@@ -132,12 +187,212 @@ export default defineContentScript({
             }, 200);
         }
 
+        async function sendWarningAction(action, confirmation) {
+            try {
+                await browser.runtime.sendMessage({
+                    type: "expiry-warning-action",
+                    action,
+                });
+                showToast(confirmation, true);
+            } catch (err) {
+                console.error("Expire Tabs: failed to send warning action", err);
+            }
+        }
+
+        function showExpiryWarning(expireAt) {
+            const minutes = Math.max(1, Math.round((expireAt - Date.now()) / 60000));
+            showToast(`Closing in ${minutes} min ⏳`, false, {
+                duration: null,
+                actions: [
+                    {
+                        label: "Keep open",
+                        onClick: () => sendWarningAction("keep", "Kept open ✅"),
+                    },
+                    {
+                        label: "Snooze 1h",
+                        onClick: () => sendWarningAction("snooze", "Snoozed for 1h 💤"),
+                    },
+                    {
+                        label: "Protect",
+                        onClick: () => sendWarningAction("protect", "Protected 🔒"),
+                    },
+                ],
+            });
+        }
+
+        // Unsaved work detection: the tab is kept open while a form field
+        // differs from its initial (or last submitted) value, an edited
+        // contenteditable region differs from its content when first focused,
+        // or the page registered a `beforeunload` handler.
+
+        // Keep in sync with entrypoints/beforeunload-hook.content.js
+        const BEFOREUNLOAD_EVENT = "expire-tabs:beforeunload";
+        const UNSAVED_CHECK_DELAY_MS = 500;
+        const IGNORED_INPUT_TYPES = [
+            "hidden",
+            "submit",
+            "button",
+            "reset",
+            "image",
+            "search",
+        ];
+
+        const submittedStates = new WeakMap();
+        const editableSnapshots = new Map();
+        let hasBeforeUnloadHandler = false;
+        let reportedUnsaved = false;
+        let unsavedCheckTimer = null;
+
+        function getFieldState(field) {
+            if (field.type === "checkbox" || field.type === "radio") {
+                return String(field.checked);
+            }
+            if (field instanceof HTMLSelectElement) {
+                return [...field.options].map((option) => option.selected).join();
+            }
+            return field.value;
+        }
+
+        function getDefaultFieldState(field) {
+            if (field.type === "checkbox" || field.type === "radio") {
+                return String(field.defaultChecked);
+            }
+            if (field instanceof HTMLSelectElement) {
+                const selected = [...field.options].map(
+                    (option) => option.defaultSelected,
+                );
+                // Single selects fall back to their first option
+                if (
+                    !field.multiple &&
+                    selected.length > 0 &&
+                    !selected.includes(true)
+                ) {
+                    selected[0] = true;
+                }
+                return selected.join();
+            }
+            return field.defaultValue;
+        }
+
+        function isDirtyField(field) {
+            if (field.disabled || field.readOnly) return false;
+            if (
+                field instanceof HTMLInputElement &&
+                IGNORED_INPUT_TYPES.includes(field.type)
+            ) {
+                return false;
+            }
+            const savedState =
+                submittedStates.get(field) ?? getDefaultFieldState(field);
+            return getFieldState(field) !== savedState;
+        }
+
+        function getEditingHost(element) {
+            if (!element?.isContentEditable) return null;
+            let host = element;
+            while (host.parentElement?.isContentEditable) {
+                host = host.parentElement;
+            }
+            return host;
+        }
+
+        function hasUnsavedWork() {
+            // The hook answers synchronously with a BEFOREUNLOAD_EVENT
+            document.dispatchEvent(new CustomEvent(`${BEFOREUNLOAD_EVENT}:query`));
+            if (hasBeforeUnloadHandler) return true;
+            const fields = document.querySelectorAll("input, textarea, select");
+            if ([...fields].some(isDirtyField)) return true;
+            for (const [host, snapshot] of editableSnapshots) {
+                if (!host.isConnected) {
+                    editableSnapshots.delete(host);
+                } else if (host.innerHTML !== snapshot) {
+                    return true;
+                }
+            }
+            return false;
+        }
+
+        async function checkUnsavedWork() {
+            const isUnsaved = hasUnsavedWork();
+            if (isUnsaved === reportedUnsaved) return;
+            reportedUnsaved = isUnsaved;
+            try {
+                await browser.runtime.sendMessage({
+                    type: "unsaved-work",
+                    hasUnsavedWork: isUnsaved,
+                });
+            } catch (err) {
+                console.error("Expire Tabs: failed to report unsaved work", err);
+            }
+        }
+
+        function scheduleUnsavedCheck() {
+            clearTimeout(unsavedCheckTimer);
+            unsavedCheckTimer = setTimeout(checkUnsavedWork, UNSAVED_CHECK_DELAY_MS);
+        }
+
+        document.addEventListener(BEFOREUNLOAD_EVENT, (event) => {
+            const hasHandler = event.detail === true;
+            if (hasHandler === hasBeforeUnloadHandler) return;
+            hasBeforeUnloadHandler = hasHandler;
+            scheduleUnsavedCheck();
+        });
+        document.addEventListener(
+            "focusin",
+            (event) => {
+                const host = getEditingHost(event.target);
+                if (host && !editableSnapshots.has(host)) {
+                    editableSnapshots.set(host, host.innerHTML);
+                }
+            },
+            true,
+        );
+        document.addEventListener(
+            "submit",
+            (event) => {
+                for (const field of event.target.elements) {
+                    submittedStates.set(field, getFieldState(field));
+                }
+                scheduleUnsavedCheck();
+            },
+            true,
+        );
+        for (const type of ["input", "change", "reset"]) {
+            document.addEventListener(type, scheduleUnsavedCheck, true);
+        }
+        // Pages restored from the back/forward cache start over as clean tabs
+        window.addEventListener("pageshow", (event) => {
+            if (event.persisted) {
+                reportedUnsaved = false;
+                scheduleUnsavedCheck();
+            }
+        });
+        // The page may have registered a `beforeunload` handler while loading
+        scheduleUnsavedCheck();
+
         browser.runtime.onMessage.addListener((message) => {
             if (message.type === "protection-status") {
+                const protectedMessage = message.protectedUntil
+                    ? `Protected until ${formatTimeOfDay(message.protectedUntil)} 🔒`
+                    : "Protected 🔒";
                 showToast(
-                    message.isProtected ? "Protected 🔒" : "Unprotected ⏳",
+                    message.isProtected ? protectedMessage : "Unprotected ⏳",
                     message.isProtected,
                 );
+            } else if (message.type === "expiry-warning") {
+                showExpiryWarning(message.expireAt);
+            } else if (message.type === "pause-status") {
+                showToast(
+                    message.isPaused ? "Expiration paused ⏸" : "Expiration resumed ▶️",
+                    message.isPaused,
+                );
+            } else if (message.type === "snooze-status") {
+                showToast(
+                    message.snoozedUntil
+                        ? `Snoozed until ${formatTimeOfDay(message.snoozedUntil)} 💤`
+                        : "Snooze cancelled ⏳",
+                    !!message.snoozedUntil,
+                );
             }
         });
     },
@@ -0,0 +1,47 @@
+import { getSettings, saveSettings } from "../../utils/storage.js";
+import { FEATURE_PERMISSIONS, requestPermission } from "../../utils/permissions.js";
+
+const setStatus = (message, isError = false) => {
+    const statusMsg = document.getElementById("archiveStatusMsg");
+    statusMsg.textContent = message;
+    statusMsg.classList.toggle("error", isError);
+};
+
+/**
+ * Shows the saved bookmarks archive settings.
+ * @returns {Promise<void>}
+ */
+export const loadArchive = async () => {
+    const { archiveMode, archiveFolder } = await getSettings();
+    document.getElementById("archiveMode").value = archiveMode;
+    document.getElementById("archiveFolder").value = archiveFolder;
+};
+
+/**
+ * Loads the bookmarks archive settings and wires up their controls.
+ * @returns {Promise<void>}
+ */
+export const setupArchive = async () => {
+    await loadArchive();
+    const modeSelect = document.getElementById("archiveMode");
+    const folderInput = document.getElementById("archiveFolder");
+
+    document.getElementById("saveArchiveButton").addEventListener("click", async () => {
+        const folder = folderInput.value.trim();
+        if (!folder) {
+            setStatus("Folder name is required.", true);
+            return;
+        }
+        // Asked before anything is awaited: browsers only prompt during the click
+        if (
+            modeSelect.value !== "history" &&
+            !(await requestPermission(FEATURE_PERMISSIONS.bookmarksArchive))
+        ) {
+            setStatus("Bookmarks were not allowed, archive settings not saved.", true);
+            return;
+        }
+        await saveSettings({ archiveMode: modeSelect.value, archiveFolder: folder });
+        setStatus("Archive settings saved.");
+        setTimeout(() => setStatus(""), 2000);
+    });
+};
@@ -0,0 +1,119 @@
+import { parseBackup, previewBackup } from "../../utils/backup.js";
+
+/** Content of the chosen backup file, until it is imported or cancelled. */
+let pendingData = null;
+
+const setStatus = (message, isError = false) => {
+    const statusMsg = document.getElementById("importStatusMsg");
+    statusMsg.textContent = message;
+    statusMsg.classList.toggle("error", isError);
+};
+
+const plural = (count, singular, pluralForm = `${singular}s`) =>
+    `${count} ${count === 1 ? singular : pluralForm}`;
+
+/**
+ * Describes what importing a backup would do.
+ * @param {Awaited<ReturnType<typeof previewBackup>>} preview
+ * @returns {string}
+ */
+const createSummary = ({ entries, newEntries, settings, invalid, ignored }) => {
+    const parts = [
+        `${plural(entries, "history entry", "history entries")} (${newEntries} not in your history)`,
+        plural(settings, "setting"),
+    ];
+    if (invalid > 0) {
+        parts.push(`${plural(invalid, "malformed item")} skipped`);
+    }
+    if (ignored > 0) {
+        parts.push(`${plural(ignored, "other key")} ignored`);
+    }
+    return `This backup has ${parts.join(", ")}.`;
+};
+
+const closeImport = () => {
+    pendingData = null;
+    document.getElementById("importFile").value = "";
+    document.getElementById("import-container").hidden = true;
+};
+
+/**
+ * Reads and previews the chosen backup file.
+ * @param {File} file
+ * @returns {Promise<void>}
+ */
+const previewFile = async (file) => {
+    let data;
+    let preview;
+    try {
+        data = JSON.parse(await file.text());
+        preview = await previewBackup(parseBackup(data));
+    } catch (err) {
+        closeImport();
+        setStatus(`Could not read the backup: ${err.message}`, true);
+        return;
+    }
+    pendingData = data;
+    document.getElementById("importSummary").textContent = createSummary(preview);
+    document.getElementById("import-container").hidden = false;
+    setStatus("");
+};
+
+/**
+ * Imports the chosen backup through the background, which applies it in
+ * order with its own history changes.
+ * @param {"merge"|"replace"} mode
+ * @param {() => Promise<void>} onImported
+ * @returns {Promise<void>}
+ */
+const importPendingData = async (mode, onImported) => {
+    const response = await browser.runtime.sendMessage({
+        type: "import-backup",
+        data: pendingData,
+        mode,
+    });
+    closeImport();
+    if (response?.error) {
+        setStatus(`Could not import the backup: ${response.error}`, true);
+        return;
+    }
+    await onImported();
+    setStatus(
+        `Backup imported: ${plural(response.added, "history entry", "history entries")} added.`,
+    );
+    setTimeout(() => setStatus(""), 4000);
+};
+
+/**
+ * Wires up importing a backup downloaded with "Download History as JSON".
+ * @param {() => Promise<void>} onImported - Shows the imported history and settings
+ */
+export const setupBackup = (onImported) => {
+    const fileInput = document.getElementById("importFile");
+    document.getElementById("importBackup").addEventListener("click", () => {
+        fileInput.click();
+    });
+    fileInput.addEventListener("change", async () => {
+        if (fileInput.files.length > 0) {
+            await previewFile(fileInput.files[0]);
+        }
+    });
+
+    document.getElementById("mergeImportButton").addEventListener("click", async () => {
+        await importPendingData("merge", onImported);
+    });
+    document
+        .getElementById("replaceImportButton")
+        .addEventListener("click", async () => {
+            if (
+                confirm(
+                    "Replace your history and settings with the backup? This cannot be undone.",
+                )
+            ) {
+                await importPendingData("replace", onImported);
+            }
+        });
+    document.getElementById("cancelImportButton").addEventListener("click", () => {
+        closeImport();
+    });
+};
@@ -0,0 +1,13 @@
+/**
+ * Escapes a string for safe interpolation into HTML markup.
+ * @param {string} unsafe
+ * @returns {string}
+ */
+export const escapeHtml = (unsafe) => {
+    return (unsafe || "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#039;");
+};
@@ -1,37 +1,123 @@
-import {
-    getExpiredTabs,
-    clearExpiredTabs,
-    removeExpiredTab,
-} from "../../utils/storage.js";
+import { getSettings, saveSettings } from "../../utils/storage.js";
+import { getExpiredTabsClosedBefore, queryExpiredTabs } from "../../utils/history.js";
+import { createBackup } from "../../utils/backup.js";
 import { unitToMs, getDefaults } from "../../utils/config.js";
-let allTabs = [];
-let currentTabsToRender = [];
+import { escapeHtml } from "./html.js";
+import { loadRules, setupRules } from "./rules.js";
+import { loadArchive, setupArchive } from "./archive.js";
+import { setupBackup } from "./backup.js";
+import {
+    FEATURE_PERMISSIONS,
+    hasPermission,
+    requestPermission,
+} from "../../utils/permissions.js";
+
+let currentQuery = {};
+let totalCount = 0;
 let renderedCount = 0;
+let renderGeneration = 0;
 let observer = null;
 
 const defaults = getDefaults();
 
-const escapeHtml = (unsafe) => {
-    return (unsafe || "")
-        .replace(/&/g, "&amp;")
-        .replace(/</g, "&lt;")
-        .replace(/>/g, "&gt;")
-        .replace(/"/g, "&quot;")
-        .replace(/'/g, "&#039;");
+const CLOSE_REASONS = {
+    timeout: "Timed out",
+    "expire-all": "Expire all",
+    cap: "Too many tabs",
+    duplicate: "Duplicate",
+};
+
+/**
+ * Formats a focus time as hours, minutes or seconds (e.g. "2 h 05 min").
+ * @param {number} ms
+ * @returns {string}
+ */
+const formatFocusTime = (ms) => {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes >= 60) {
+        return `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, "0")} min`;
+    }
+    return minutes > 0 ? `${minutes} min` : `${Math.round(ms / 1000)} s`;
+};
+
+/**
+ * Favicons are only shown if the options page can load them.
+ * @param {string} [favIconUrl]
+ * @returns {boolean}
+ */
+const isDisplayableIcon = (favIconUrl) => /^(https?|data):/i.test(favIconUrl ?? "");
+
+/**
+ * Builds the details line of a history entry. Entries recorded by older
+ * versions have none of these fields and get no details line.
+ * @param {import("../../utils/history.js").ExpiredTab} tab
+ * @returns {string}
+ */
+const createMetaHtml = (tab) => {
+    const items = [];
+    if (CLOSE_REASONS[tab.reason]) {
+        items.push(`<span class="reason">${CLOSE_REASONS[tab.reason]}</span>`);
+    }
+    if (tab.group) {
+        const groupTitle = escapeHtml(tab.group.title || "Unnamed group");
+        const color = escapeHtml(tab.group.color || "grey");
+        items.push(`<span class="group" data-color="${color}">${groupTitle}</span>`);
+    }
+    if (tab.incognito) {
+        items.push("<span>Private window</span>");
+    }
+    if (tab.openedAt) {
+        items.push(`<span>Opened ${new Date(tab.openedAt).toLocaleString()}</span>`);
+    }
+    if (tab.lastFocusedAt) {
+        items.push(
+            `<span>Last focused ${new Date(tab.lastFocusedAt).toLocaleString()}</span>`,
+        );
+    }
+    if (tab.focusTime > 0) {
+        items.push(`<span>Focused for ${formatFocusTime(tab.focusTime)}</span>`);
+    }
+    return items.length > 0 ? `<div class="meta">${items.join("")}</div>` : "";
+};
+
+/**
+ * Sends a history change to the background, which applies it in order with
+ * its own changes (e.g. tabs expiring meanwhile).
+ * @param {Object} message
+ * @returns {Promise<*>} The response of the background.
+ * @throws {Error} If the background could not apply the change.
+ */
+const sendHistoryChange = async (message) => {
+    const response = await browser.runtime.sendMessage(message);
+    if (response?.error) throw new Error(response.error);
+    return response;
 };
 
+/**
+ * Removes history entries.
+ * @param {string[]} ids
+ * @returns {Promise<void>}
+ */
+const removeHistoryEntries = async (ids) =>
+    await sendHistoryChange({ type: "remove-history-entries", ids });
+
 const createTabHtml = (tab) => {
     const title = escapeHtml(tab.title || "Unknown Title");
     const url = escapeHtml(tab.url || "Unknown URL");
     const time = new Date(tab.closedAt).toLocaleString();
     const id = escapeHtml(String(tab.id));
+    const favicon = isDisplayableIcon(tab.favIconUrl)
+        ? `<img class="favicon" src="${escapeHtml(tab.favIconUrl)}" alt="" />`
+        : "";
 
     return `
             <li data-id="${id}" data-url="${url}" class="my-4">
-                <span class="title" title="${title}">${title}</span>
+                <span class="title" title="${title}">${favicon}${title}</span>
                 <a class="url" title="${url}" href="${url}" target="_blank" rel="noopener noreferrer">${url}</a>
+                ${createMetaHtml(tab)}
                 <span class="time">${time}</span>
                 <div class="actions">
+                    <button class="icon-btn restore-btn" title="Reopen this tab">Restore</button>
                     <button class="icon-btn copy-btn" title="Copy URL to clipboard">Copy URL</button>
                     <button class="icon-btn delete-btn" title="Remove from history">×</button>
                 </div>
@@ -46,7 +132,7 @@ const setupObserver = () => {
     }
 
     // If we have rendered everything, stop observing
-    if (renderedCount >= currentTabsToRender.length) return;
+    if (renderedCount >= totalCount) return;
 
     const list = document.getElementById("history-list");
     if (!list) return;
@@ -82,14 +168,17 @@ const setupObserver = () => {
     }
 };
 
-const renderNextBatch = () => {
+const renderNextBatch = async () => {
+    const generation = renderGeneration;
     const list = document.getElementById("history-list");
-    const nextBatch = currentTabsToRender.slice(
-        renderedCount,
-        renderedCount + defaults.batchSize,
-    );
+    const { entries: nextBatch } = await queryExpiredTabs({
+        ...currentQuery,
+        offset: renderedCount,
+        limit: defaults.batchSize,
+    });
 
-    if (nextBatch.length === 0) return;
+    // The list was reset while the page was loading
+    if (generation !== renderGeneration || nextBatch.length === 0) return;
 
     const html = nextBatch.map(createTabHtml).join("");
     list.insertAdjacentHTML("beforeend", html);
@@ -99,26 +188,85 @@ const renderNextBatch = () => {
     setupObserver();
 };
 
-const renderList = (tabsToRender) => {
+/**
+ * Splits the filter input into a history query: a `site:` term restricts the
+ * results to a host name, the other terms are matched against the title or URL.
+ * @param {string} input
+ * @returns {import("../../utils/history.js").HistoryQuery}
+ */
+const parseSearch = (input) => {
+    const terms = [];
+    let domain = "";
+    for (const term of (input || "").split(" ")) {
+        if (term.toLowerCase().startsWith("site:")) {
+            domain = term.slice("site:".length);
+        } else {
+            terms.push(term);
+        }
+    }
+    return { search: terms.join(" "), domain };
+};
+
+const renderList = async (query) => {
     const list = document.getElementById("history-list");
+    const generation = ++renderGeneration;
+    const { total } = await queryExpiredTabs({ ...query, limit: 0 });
+
+    // A newer search was started while counting
+    if (generation !== renderGeneration) return;
 
     // Reset state
+    if (observer) {
+        observer.disconnect();
+        observer = null;
+    }
     list.innerHTML = "";
-    currentTabsToRender = tabsToRender;
+    currentQuery = query;
+    totalCount = total;
     renderedCount = 0;
-    updateResultsCount(tabsToRender.length);
+    updateResultsCount(total);
 
-    if (tabsToRender.length === 0) {
+    if (total === 0) {
         list.innerHTML =
             "<li class='no-match' style='color: #6c757d;'>No matching closed tabs history.</li>";
         document.getElementById("deleteSearchResults").disabled = true;
         return;
     }
     document.getElementById("deleteSearchResults").disabled = false;
-    renderNextBatch();
+    await renderNextBatch();
 };
 
 const handleListClick = async (e) => {
+    // Restore Button
+    if (e.target.classList.contains("restore-btn")) {
+        const btn = e.target;
+        const li = btn.closest("li");
+        const remove = document.getElementById("removeOnRestore").checked;
+        btn.disabled = true;
+        try {
+            const { restored } = await sendHistoryChange({
+                type: "restore-history-entry",
+                id: li.dataset.id,
+                remove,
+            });
+            // Entries already gone (e.g. restored from elsewhere) are dropped
+            if (remove || !restored) {
+                await loadAndRender();
+            } else {
+                btn.textContent = "Restored!";
+                setTimeout(() => {
+                    btn.textContent = "Restore";
+                    btn.disabled = false;
+                }, 1500);
+            }
+        } catch (err) {
+            console.error("Failed to restore: ", err);
+            btn.textContent = "Failed";
+            btn.disabled = false;
+        }
+        return;
+    }
+
     // Copy Button
     if (e.target.classList.contains("copy-btn")) {
         const btn = e.target;
@@ -146,14 +294,8 @@ const handleListClick = async (e) => {
             const li = btn.closest("li");
             const id = li.dataset.id;
             try {
-                await removeExpiredTab(id);
+                await removeHistoryEntries([id]);
                 await loadAndRender();
-
-                // Re-apply current search filter
-                const searchVal = document.getElementById("search").value;
-                if (searchVal) {
-                    filterTabs(searchVal);
-                }
             } catch (err) {
                 console.error("Error deleting:", err);
             }
@@ -162,10 +304,12 @@ const handleListClick = async (e) => {
     }
 };
 
-const loadAndRender = async () => {
-    allTabs = await getExpiredTabs();
-    renderList(allTabs);
-};
+/**
+ * Renders the history, filtered by the current search.
+ * @returns {Promise<void>}
+ */
+const loadAndRender = async () =>
+    await renderList(parseSearch(document.getElementById("search").value));
 
 const updateResultsCount = (count) => {
     const resultsCount = document.getElementById("results-count");
@@ -175,35 +319,10 @@ const updateResultsCount = (count) => {
 };
 
 const deleteSearchResults = async () => {
-    for (const tab of currentTabsToRender) {
-        await removeExpiredTab(tab.id);
-    }
-    await loadAndRender();
+    const { entries } = await queryExpiredTabs(currentQuery);
+    await removeHistoryEntries(entries.map((tab) => tab.id));
     document.getElementById("search").value = "";
-};
-
-const filterTabs = (query) => {
-    if (!query) {
-        renderList(allTabs);
-        return;
-    }
-
-    const terms = query
-        .toLowerCase()
-        .split(" ")
-        .filter((t) => t.length > 0);
-
-    const filtered = allTabs.filter((tab) => {
-        const title = (tab.title || "").toLowerCase();
-        const url = (tab.url || "").toLowerCase();
-
-        const titleMatch = terms.every((term) => title.includes(term));
-        const urlMatch = terms.every((term) => url.includes(term));
-
-        return titleMatch || urlMatch;
-    });
-
-    renderList(filtered);
+    await loadAndRender();
 };
 
 const getOldEntries = async ({ value, unit }) => {
@@ -215,25 +334,62 @@ const getOldEntries = async ({ value, unit }) => {
     ) {
         return [];
     }
-    const expiredTabs = await getExpiredTabs();
-    return expiredTabs.filter((entry) => {
-        let delta = value;
-        delta = unitToMs(unit) * value;
-        const time = new Date(entry.closedAt).getTime();
-        const now = new Date().getTime();
-        const diff = now - time;
-        return diff > delta;
-    });
+    return await getExpiredTabsClosedBefore(Date.now() - unitToMs(unit) * value);
+};
+
+/**
+ * Shows the saved "Remove restored tabs from history" setting.
+ * @returns {Promise<void>}
+ */
+const loadRemoveOnRestore = async () => {
+    document.getElementById("removeOnRestore").checked = (
+        await getSettings()
+    ).removeOnRestore;
+};
+
+/**
+ * Shows the history and settings after importing a backup.
+ * @returns {Promise<void>}
+ */
+const reloadAfterImport = async () => {
+    await loadAndRender();
+    await loadRules();
+    await loadArchive();
+    await loadRemoveOnRestore();
 };
 
 document.addEventListener("DOMContentLoaded", async () => {
     await loadAndRender();
+    await setupRules();
+    await setupArchive();
+    setupBackup(reloadAfterImport);
+
+    const removeOnRestore = document.getElementById("removeOnRestore");
+    await loadRemoveOnRestore();
+    removeOnRestore.addEventListener("change", async () => {
+        await saveSettings({ removeOnRestore: removeOnRestore.checked });
+    });
+
+    // Tab groups are an optional permission rather than a setting
+    const recordTabGroups = document.getElementById("recordTabGroups");
+    recordTabGroups.checked = await hasPermission(FEATURE_PERMISSIONS.tabGroups);
+    recordTabGroups.addEventListener("change", async () => {
+        if (recordTabGroups.checked) {
+            recordTabGroups.checked = await requestPermission(
+                FEATURE_PERMISSIONS.tabGroups,
+            );
+        } else {
+            await browser.permissions.remove({
+                permissions: [FEATURE_PERMISSIONS.tabGroups],
+            });
+        }
+    });
 
     // Event delegation for list items
     document.getElementById("history-list").addEventListener("click", handleListClick);
 
     document.getElementById("downloadHistory").addEventListener("click", async () => {
-        const data = await browser.storage.local.get();
+        const data = await createBackup();
         const dataJson = JSON.stringify(data, null, 2);
         const blob = new Blob([dataJson], { type: "application/json" });
         const url = URL.createObjectURL(blob);
@@ -243,8 +399,8 @@ document.addEventListener("DOMContentLoaded", async () => {
         a.click();
     });
 
-    document.getElementById("search").addEventListener("input", (e) => {
-        filterTabs(e.target.value);
+    document.getElementById("search").addEventListener("input", async () => {
+        await loadAndRender();
     });
 
     ["deleteOlderThan", "unit"].forEach((id) => {
@@ -274,8 +430,6 @@ document.addEventListener("DOMContentLoaded", async () => {
                 )
             ) {
                 await deleteSearchResults();
-                await loadAndRender();
-                document.getElementById("search").value = "";
             }
         });
     document
@@ -296,9 +450,7 @@ document.addEventListener("DOMContentLoaded", async () => {
                     `Are you sure you want to delete ${oldEntries.length} older than ${value} ${unit}?`,
                 )
             ) {
-                for (const entry of oldEntries) {
-                    await removeExpiredTab(entry.id);
-                }
+                await removeHistoryEntries(oldEntries.map((entry) => entry.id));
                 await loadAndRender();
             }
         });
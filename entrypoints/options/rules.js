@@ -0,0 +1,134 @@
+import { getSettings, saveSettings } from "../../utils/storage.js";
+import { RULE_TYPES, RULE_UNITS, validateRule } from "../../utils/rules.js";
+import { escapeHtml } from "./html.js";
+
+const capitalize = (str) => str.charAt(0).toUpperCase() + str.slice(1);
+
+const createOptionsHtml = (values, selected) =>
+    values
+        .map(
+            (value) =>
+                `<option value="${value}"${value === selected ? " selected" : ""}>${capitalize(value)}</option>`,
+        )
+        .join("");
+
+const createRuleHtml = (rule) => {
+    const pattern = escapeHtml(rule.pattern);
+    const timeout = rule.unit === "never" ? "" : escapeHtml(String(rule.timeout ?? ""));
+
+    return `
+            <div class="rule-row row g-2 align-items-center mb-2">
+                <div class="col-12 col-md-5">
+                    <input type="text" class="form-control rule-pattern" placeholder="docs.google.com" aria-label="Pattern" value="${pattern}" />
+                </div>
+                <div class="col-4 col-md-2">
+                    <select class="form-select rule-type" aria-label="Pattern type">${createOptionsHtml(RULE_TYPES, rule.type)}</select>
+                </div>
+                <div class="col-4 col-md-2">
+                    <input type="number" class="form-control rule-timeout" min="1" step="1" placeholder="e.g. 3" aria-label="Timeout" value="${timeout}"${rule.unit === "never" ? " disabled" : ""} />
+                </div>
+                <div class="col-4 col-md-2">
+                    <select class="form-select rule-unit" aria-label="Unit">${createOptionsHtml(RULE_UNITS, rule.unit)}</select>
+                </div>
+                <div class="col-12 col-md-1 rule-actions">
+                    <button class="icon-btn move-up-btn" title="Move up">↑</button>
+                    <button class="icon-btn move-down-btn" title="Move down">↓</button>
+                    <button class="icon-btn delete-btn" title="Remove rule">×</button>
+                </div>
+            </div>
+        `;
+};
+
+/**
+ * Reads the rules currently displayed in the editor, in display order.
+ * @returns {import("../../utils/rules.js").SiteRule[]}
+ */
+const readRules = () =>
+    [...document.querySelectorAll("#rules-list .rule-row")].map((row) => ({
+        pattern: row.querySelector(".rule-pattern").value.trim(),
+        type: row.querySelector(".rule-type").value,
+        timeout: parseInt(row.querySelector(".rule-timeout").value, 10),
+        unit: row.querySelector(".rule-unit").value,
+    }));
+
+const renderRules = (rules) => {
+    const list = document.getElementById("rules-list");
+    list.innerHTML = rules.map(createRuleHtml).join("");
+};
+
+const setStatus = (message, isError = false) => {
+    const statusMsg = document.getElementById("rulesStatusMsg");
+    statusMsg.textContent = message;
+    statusMsg.classList.toggle("error", isError);
+};
+
+const handleRulesClick = (e) => {
+    const row = e.target.closest(".rule-row");
+    if (!row) return;
+
+    if (e.target.classList.contains("move-up-btn") && row.previousElementSibling) {
+        row.parentNode.insertBefore(row, row.previousElementSibling);
+    } else if (e.target.classList.contains("move-down-btn") && row.nextElementSibling) {
+        row.parentNode.insertBefore(row.nextElementSibling, row);
+    } else if (e.target.classList.contains("delete-btn")) {
+        row.remove();
+    }
+};
+
+const handleRulesChange = (e) => {
+    if (!e.target.classList.contains("rule-unit")) return;
+    const timeoutInput = e.target.closest(".rule-row").querySelector(".rule-timeout");
+    timeoutInput.disabled = e.target.value === "never";
+};
+
+/**
+ * Shows the saved site rules in the editor.
+ * @returns {Promise<void>}
+ */
+export const loadRules = async () => {
+    const { rules } = await getSettings();
+    renderRules(rules);
+};
+
+/**
+ * Loads the site rules editor and wires up its controls.
+ * @returns {Promise<void>}
+ */
+export const setupRules = async () => {
+    await loadRules();
+
+    const list = document.getElementById("rules-list");
+    list.addEventListener("click", handleRulesClick);
+    list.addEventListener("change", handleRulesChange);
+
+    document.getElementById("addRuleButton").addEventListener("click", () => {
+        list.insertAdjacentHTML(
+            "beforeend",
+            createRuleHtml({ pattern: "", type: "host", timeout: 1, unit: "hours" }),
+        );
+        list.lastElementChild.querySelector(".rule-pattern").focus();
+    });
+
+    document.getElementById("saveRulesButton").addEventListener("click", async () => {
+        const newRules = readRules();
+        for (const [index, rule] of newRules.entries()) {
+            const error = validateRule(rule);
+            if (error) {
+                setStatus(`Rule ${index + 1}: ${error}`, true);
+                return;
+            }
+            if (rule.unit === "never") {
+                delete rule.timeout;
+            }
+        }
+        try {
+            await saveSettings({ rules: newRules });
+        } catch (err) {
+            // e.g. too many rules for the synced storage quota
+            setStatus(`Could not save the rules: ${err.message}`, true);
+            return;
+        }
+        setStatus("Rules saved.");
+        setTimeout(() => setStatus(""), 2000);
+    });
+};
@@ -1,23 +1,71 @@
 import {
     getSettings,
     saveSettings,
-    getTabProtection,
-    setTabProtection,
+    isSettingsSyncEnabled,
+    setSettingsSync,
+    getTabProtectionState,
+    getTabSnooze,
+    getTabTimeout,
+    getPauseState,
 } from "../../utils/storage.js";
+import { SNOOZE_PRESETS, formatTimeOfDay, unitToMs } from "../../utils/config.js";
+import { FEATURE_PERMISSIONS, requestPermission } from "../../utils/permissions.js";
 
 const VERSION = browser.runtime.getManifest().version;
 
+/**
+ * Converts a protection or pause duration choice to its end.
+ * @param {string} choice - Number of hours, "tomorrow" (9:00 tomorrow) or
+ *   "" for no end
+ * @returns {number|null} The end timestamp, null if there is no end.
+ */
+const getDurationEnd = (choice) => {
+    if (choice === "tomorrow") {
+        const date = new Date();
+        date.setDate(date.getDate() + 1);
+        date.setHours(9, 0, 0, 0);
+        return date.getTime();
+    }
+    const hours = parseInt(choice, 10);
+    return isNaN(hours) ? null : Date.now() + hours * unitToMs("hours");
+};
+
 document.addEventListener("DOMContentLoaded", async () => {
     const elements = {};
     for (const id of [
         "timeoutInput",
         "unitSelect",
         "historyLimitInput",
+        "discardInput",
+        "discardUnitSelect",
+        "warningInput",
+        "notificationsSelect",
+        "maxTabsInput",
+        "pauseWhenIdleInput",
+        "maxTabsScopeSelect",
+        "closeDuplicatesInput",
+        "countClosedTimeInput",
+        "syncSettingsInput",
         "saveBtn",
         "historyBtn",
+        "pauseToggleBtn",
+        "pauseDurationSelect",
         "statusMsg",
         "protectToggleBtn",
+        "protectDurationSelect",
+        "snoozeStatus",
+        "snoozeCancelBtn",
+        "snoozeCustomBtn",
+        "snoozeCustomGroup",
+        "snoozeCustomInput",
+        "snoozeCustomUnit",
+        "snoozeCustomApplyBtn",
+        "tabTimeoutInput",
+        "tabTimeoutUnit",
+        "tabTimeoutSaveBtn",
+        "tabTimeoutResetBtn",
         "expireAllBtn",
+        "undoExpirationBtn",
         "helpIcon",
         "helpModal",
         "modalVersion",
@@ -45,15 +93,76 @@ document.addEventListener("DOMContentLoaded", async () => {
     }
 
     // Load current settings
-    const settings = await getSettings();
-    if (elements.timeoutInput) {
-        elements.timeoutInput.value = settings.timeout;
-    }
-    if (elements.unitSelect) {
-        elements.unitSelect.value = settings.unit;
-    }
-    if (elements.historyLimitInput) {
-        elements.historyLimitInput.value = settings.historyLimit;
+    const loadSettings = async () => {
+        const settings = await getSettings();
+        if (elements.timeoutInput) {
+            elements.timeoutInput.value = settings.timeout;
+        }
+        if (elements.unitSelect) {
+            elements.unitSelect.value = settings.unit;
+        }
+        if (elements.historyLimitInput) {
+            elements.historyLimitInput.value = settings.historyLimit;
+        }
+        if (elements.discardInput) {
+            elements.discardInput.value = settings.discardAfter;
+        }
+        if (elements.discardUnitSelect) {
+            elements.discardUnitSelect.value = settings.discardUnit;
+        }
+        if (elements.warningInput) {
+            elements.warningInput.value = settings.warningMinutes;
+        }
+        if (elements.notificationsSelect) {
+            elements.notificationsSelect.value = settings.notifications;
+        }
+        if (elements.pauseWhenIdleInput) {
+            elements.pauseWhenIdleInput.checked = settings.pauseWhenIdle;
+        }
+        if (elements.countClosedTimeInput) {
+            elements.countClosedTimeInput.checked = settings.countClosedTime;
+        }
+        if (elements.closeDuplicatesInput) {
+            elements.closeDuplicatesInput.checked = settings.closeDuplicates;
+        }
+        if (elements.maxTabsInput) {
+            elements.maxTabsInput.value = settings.maxTabs;
+        }
+        if (elements.maxTabsScopeSelect) {
+            elements.maxTabsScopeSelect.value = settings.maxTabsScope;
+        }
+        if (elements.undoExpirationBtn) {
+            // Tabs archived to bookmarks only are not in history, so cannot be reopened
+            const canUndo = settings.archiveMode !== "bookmarks";
+            elements.undoExpirationBtn.disabled = !canUndo;
+            elements.undoExpirationBtn.title = canUndo
+                ? ""
+                : "Expired tabs are only archived to bookmarks";
+        }
+    };
+    await loadSettings();
+
+    // Sync settings across devices, or keep them on this device
+    if (elements.syncSettingsInput) {
+        elements.syncSettingsInput.checked = await isSettingsSyncEnabled();
+        elements.syncSettingsInput.addEventListener("change", async () => {
+            const enabled = elements.syncSettingsInput.checked;
+            elements.statusMsg.classList.remove("error");
+            try {
+                await setSettingsSync(enabled);
+            } catch (err) {
+                console.error("Failed to switch settings sync:", err);
+                elements.syncSettingsInput.checked = !enabled;
+                elements.statusMsg.textContent = "Could not sync settings.";
+                elements.statusMsg.classList.add("error");
+                return;
+            }
+            // Switching may bring newer settings from other devices
+            await loadSettings();
+            elements.statusMsg.textContent = enabled
+                ? "Settings synced across devices."
+                : "Settings kept on this device.";
+        });
     }
 
     // Handle Protection Button
@@ -64,14 +173,17 @@ document.addEventListener("DOMContentLoaded", async () => {
 
     if (tab) {
         const updateButton = async () => {
-            const isProtected = await getTabProtection(tab.id);
+            const { isProtected, until } = await getTabProtectionState(tab.id);
             if (isProtected) {
-                elements.protectToggleBtn.textContent = "Protected 🔒";
+                elements.protectToggleBtn.textContent = until
+                    ? `Protected until ${formatTimeOfDay(until)} 🔒`
+                    : "Protected 🔒";
                 elements.protectToggleBtn.classList.remove("secondary");
             } else {
                 elements.protectToggleBtn.textContent = "Protect Tab 🛡️";
                 elements.protectToggleBtn.classList.add("secondary");
             }
+            elements.protectDurationSelect.classList.toggle("hidden", isProtected);
             return isProtected;
         };
 
@@ -79,15 +191,118 @@ document.addEventListener("DOMContentLoaded", async () => {
 
         if (elements.protectToggleBtn) {
             elements.protectToggleBtn.addEventListener("click", async () => {
-                const isProtected = await getTabProtection(tab.id);
-                await setTabProtection(tab.id, !isProtected);
+                const { isProtected } = await getTabProtectionState(tab.id);
+                const protectedUntil = isProtected
+                    ? null
+                    : getDurationEnd(elements.protectDurationSelect.value);
+                await browser.runtime.sendMessage({
+                    type: "set-tab-protection",
+                    tabId: tab.id,
+                    isProtected: !isProtected,
+                    until: protectedUntil,
+                });
                 await updateButton();
+                try {
+                    await browser.tabs.sendMessage(tab.id, {
+                        type: "protection-status",
+                        isProtected: !isProtected,
+                        protectedUntil,
+                    });
+                } catch (err) {
+                    // No content script on this page (chrome://, about:, etc.)
+                }
             });
         }
+
+        // Handle Snooze controls
+        const updateSnoozeStatus = async () => {
+            const snoozedUntil = await getTabSnooze(tab.id);
+            elements.snoozeStatus.textContent = snoozedUntil
+                ? `Snoozed until ${formatTimeOfDay(snoozedUntil)} 💤`
+                : "Snooze tab 💤";
+            elements.snoozeCancelBtn.classList.toggle("hidden", !snoozedUntil);
+        };
+
+        const snooze = async (durationMs) => {
+            await browser.runtime.sendMessage({
+                type: "set-tab-snooze",
+                tabId: tab.id,
+                until: durationMs === null ? null : Date.now() + durationMs,
+            });
+            elements.snoozeCustomGroup.classList.add("hidden");
+            await updateSnoozeStatus();
+        };
+
+        await updateSnoozeStatus();
+
+        for (const button of document.querySelectorAll(".snooze-btn")) {
+            const preset = SNOOZE_PRESETS.find((p) => p.id === button.dataset.snooze);
+            button.addEventListener("click", () => snooze(preset.ms));
+        }
+
+        elements.snoozeCancelBtn.addEventListener("click", () => snooze(null));
+
+        elements.snoozeCustomBtn.addEventListener("click", () => {
+            elements.snoozeCustomGroup.classList.toggle("hidden");
+            elements.snoozeCustomInput.focus();
+        });
+
+        elements.snoozeCustomApplyBtn.addEventListener("click", async () => {
+            elements.statusMsg.classList.remove("error");
+            const amount = parseInt(elements.snoozeCustomInput.value, 10);
+            if (isNaN(amount) || amount < 1) {
+                elements.statusMsg.textContent = "Invalid snooze.";
+                elements.statusMsg.classList.add("error");
+                return;
+            }
+            await snooze(amount * unitToMs(elements.snoozeCustomUnit.value));
+        });
+
+        // Handle this tab's timeout override
+        const tabTimeout = await getTabTimeout(tab.id);
+        if (tabTimeout) {
+            elements.tabTimeoutInput.value = tabTimeout.timeout;
+            elements.tabTimeoutUnit.value = tabTimeout.unit;
+        }
+
+        elements.tabTimeoutSaveBtn.addEventListener("click", async () => {
+            elements.statusMsg.classList.remove("error");
+            const timeout = parseInt(elements.tabTimeoutInput.value, 10);
+            if (isNaN(timeout) || timeout < 1) {
+                elements.statusMsg.textContent = "Invalid time.";
+                elements.statusMsg.classList.add("error");
+                return;
+            }
+            await browser.runtime.sendMessage({
+                type: "set-tab-timeout",
+                tabId: tab.id,
+                timeout: { timeout, unit: elements.tabTimeoutUnit.value },
+            });
+            elements.statusMsg.textContent = "Tab timeout saved.";
+            setTimeout(() => {
+                elements.statusMsg.textContent = "";
+            }, 2000);
+        });
+
+        elements.tabTimeoutResetBtn.addEventListener("click", async () => {
+            elements.statusMsg.classList.remove("error");
+            await browser.runtime.sendMessage({
+                type: "set-tab-timeout",
+                tabId: tab.id,
+                timeout: null,
+            });
+            elements.tabTimeoutInput.value = "";
+            elements.statusMsg.textContent = "Tab timeout reset.";
+            setTimeout(() => {
+                elements.statusMsg.textContent = "";
+            }, 2000);
+        });
     } else {
         if (elements.protectToggleBtn) {
             elements.protectToggleBtn.classList.add("hidden");
         }
+        document.querySelector(".snooze-section")?.classList.add("hidden");
+        document.querySelector(".tab-timeout-section")?.classList.add("hidden");
     }
 
     // Save setting
@@ -97,6 +312,15 @@ document.addEventListener("DOMContentLoaded", async () => {
             const timeout = parseInt(elements.timeoutInput.value, 10);
             const unit = elements.unitSelect.value;
             const historyLimit = parseInt(elements.historyLimitInput.value, 10);
+            const warningMinutes = parseInt(elements.warningInput.value, 10);
+            const discardAfter = parseInt(elements.discardInput.value, 10);
+            const discardUnit = elements.discardUnitSelect.value;
+            const notifications = elements.notificationsSelect.value;
+            const maxTabs = parseInt(elements.maxTabsInput.value, 10);
+            const maxTabsScope = elements.maxTabsScopeSelect.value;
+            const pauseWhenIdle = elements.pauseWhenIdleInput.checked;
+            const closeDuplicates = elements.closeDuplicatesInput.checked;
+            const countClosedTime = elements.countClosedTimeInput.checked;
 
             if (isNaN(timeout) || timeout < 1) {
                 elements.statusMsg.textContent = "Invalid time.";
@@ -110,8 +334,53 @@ document.addEventListener("DOMContentLoaded", async () => {
                 return;
             }
 
-            await saveSettings({ timeout, unit, historyLimit });
-            elements.statusMsg.textContent = "Settings saved.";
+            if (isNaN(discardAfter) || discardAfter < 0) {
+                elements.statusMsg.textContent = "Invalid unload time.";
+                elements.statusMsg.classList.add("error");
+                return;
+            }
+
+            if (isNaN(warningMinutes) || warningMinutes < 0) {
+                elements.statusMsg.textContent = "Invalid warning.";
+                elements.statusMsg.classList.add("error");
+                return;
+            }
+
+            if (isNaN(maxTabs) || maxTabs < 0) {
+                elements.statusMsg.textContent = "Invalid tab limit.";
+                elements.statusMsg.classList.add("error");
+                return;
+            }
+
+            // Asked before anything is awaited: browsers only prompt during the click
+            const notificationsAllowed =
+                notifications === "none"
+                    ? Promise.resolve(true)
+                    : requestPermission(FEATURE_PERMISSIONS.notifications);
+
+            await saveSettings({
+                timeout,
+                unit,
+                historyLimit,
+                warningMinutes,
+                notifications,
+                maxTabs,
+                maxTabsScope,
+                closeDuplicates,
+                countClosedTime,
+                pauseWhenIdle,
+                discardAfter,
+                discardUnit,
+            });
+            if (await notificationsAllowed) {
+                elements.statusMsg.textContent = "Settings saved.";
+            } else {
+                await saveSettings({ notifications: "none" });
+                elements.notificationsSelect.value = "none";
+                elements.statusMsg.textContent =
+                    "Settings saved, but notifications were not allowed.";
+                elements.statusMsg.classList.add("error");
+            }
 
             setTimeout(() => {
                 elements.statusMsg.textContent = "";
@@ -128,17 +397,75 @@ document.addEventListener("DOMContentLoaded", async () => {
                 type: "expire-all",
             });
             const count = response?.closed ?? 0;
+            const failed = response?.failed ?? 0;
+            const messages = [];
+            if (count > 0) {
+                messages.push(`Closed ${count} tab${count > 1 ? "s" : ""}.`);
+            }
+            if (failed > 0) {
+                messages.push(
+                    `${failed} tab${failed > 1 ? "s" : ""} could not be closed.`,
+                );
+                elements.statusMsg.classList.add("error");
+            }
+            elements.statusMsg.textContent = messages.join(" ") || "No expirable tabs.";
+            elements.expireAllBtn.disabled = false;
+            setTimeout(() => {
+                elements.statusMsg.textContent = "";
+            }, 2000);
+        });
+    }
+
+    // Undo last expiration
+    if (elements.undoExpirationBtn) {
+        elements.undoExpirationBtn.addEventListener("click", async () => {
+            elements.undoExpirationBtn.disabled = true;
+            elements.statusMsg.classList.remove("error");
+            const response = await browser.runtime.sendMessage({
+                type: "undo-last-batch",
+            });
+            const count = response?.restored ?? 0;
             elements.statusMsg.textContent =
                 count > 0
-                    ? `Closed ${count} tab${count > 1 ? "s" : ""}.`
-                    : "No expirable tabs.";
-            elements.expireAllBtn.disabled = false;
+                    ? `Restored ${count} tab${count > 1 ? "s" : ""}.`
+                    : "Nothing to undo.";
+            elements.undoExpirationBtn.disabled = false;
             setTimeout(() => {
                 elements.statusMsg.textContent = "";
             }, 2000);
         });
     }
 
+    // Pause / resume expiration
+    if (elements.pauseToggleBtn) {
+        const updatePauseButton = async () => {
+            const { isPaused, until } = await getPauseState();
+            if (isPaused) {
+                elements.pauseToggleBtn.textContent = until
+                    ? `Paused until ${formatTimeOfDay(until)} · Resume ▶️`
+                    : "Paused · Resume ▶️";
+            } else {
+                elements.pauseToggleBtn.textContent = "Pause Expiration ⏸️";
+            }
+            elements.pauseDurationSelect.classList.toggle("hidden", isPaused);
+        };
+
+        await updatePauseButton();
+
+        elements.pauseToggleBtn.addEventListener("click", async () => {
+            const { isPaused } = await getPauseState();
+            const pausedUntil = isPaused
+                ? null
+                : getDurationEnd(elements.pauseDurationSelect.value);
+            await browser.runtime.sendMessage({
+                type: "set-pause",
+                isPaused: !isPaused,
+                until: pausedUntil,
+            });
+            await updatePauseButton();
+        });
+    }
+
     // Open history
     if (elements.historyBtn) {
         elements.historyBtn.addEventListener("click", () =>
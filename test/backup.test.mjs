@@ -0,0 +1,302 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import "fake-indexeddb/auto";
+
+// Mock browser API
+const chromeMock = {
+    storage: {
+        sync: {
+            get: sinon.stub(),
+            set: sinon.stub(),
+            remove: sinon.stub(),
+        },
+        local: {
+            get: sinon.stub(),
+            set: sinon.stub(),
+            remove: sinon.stub(),
+        },
+    },
+};
+
+global.chrome = chromeMock;
+global.browser = chromeMock;
+
+// Import after mocking
+import {
+    createBackup,
+    importBackup,
+    parseBackup,
+    previewBackup,
+} from "../utils/backup.js";
+import { addExpiredTabs, clearExpiredTabs, getExpiredTabs } from "../utils/history.js";
+
+/**
+ * Backs a mocked storage area with an object.
+ * @param {Object} area - Mocked storage area
+ * @param {Object} [data] - Initial content, updated by the area's writes
+ * @returns {Object} The content of the area.
+ */
+const fakeArea = (area, data = {}) => {
+    area.get.callsFake(async (keys) => {
+        if (keys === undefined || keys === null) return structuredClone(data);
+        const result = {};
+        for (const key of [].concat(keys)) {
+            if (key in data) result[key] = structuredClone(data[key]);
+        }
+        return result;
+    });
+    area.set.callsFake(async (items) => {
+        Object.assign(data, structuredClone(items));
+    });
+    area.remove.callsFake(async (keys) => {
+        for (const key of [].concat(keys)) delete data[key];
+    });
+    return data;
+};
+
+const historyUrls = async () => (await getExpiredTabs()).map((t) => t.url).sort();
+
+describe("Backup", () => {
+    let local;
+    let sync;
+
+    beforeEach(async () => {
+        global.chrome = chromeMock;
+        global.browser = chromeMock;
+        sinon.reset();
+        local = fakeArea(chromeMock.storage.local);
+        sync = fakeArea(chromeMock.storage.sync);
+        await clearExpiredTabs();
+    });
+
+    afterEach(() => {
+        sinon.reset();
+    });
+
+    describe("createBackup", () => {
+        it("should include the local storage, the synced settings and the history", async () => {
+            Object.assign(local, { tab_1: 1000, pausedUntil: true });
+            Object.assign(sync, {
+                timeout: 3,
+                settingsModifiedAt: { timeout: 50 },
+                unrelated: "x",
+            });
+            await addExpiredTabs([{ id: "a", url: "http://a.com", closedAt: 1 }]);
+
+            const backup = await createBackup();
+
+            expect(backup).to.deep.include({
+                tab_1: 1000,
+                pausedUntil: true,
+                timeout: 3,
+                settingsModifiedAt: { timeout: 50 },
+            });
+            expect(backup).to.not.have.property("unrelated");
+            expect(backup.expiredTabs).to.have.length(1);
+            expect(backup.expiredTabs[0]).to.include({ id: "a", url: "http://a.com" });
+        });
+    });
+
+    describe("parseBackup", () => {
+        it("should keep valid history entries and settings, and ignore session keys", () => {
+            const backup = parseBackup({
+                expiredTabs: [
+                    {
+                        id: "a",
+                        url: "http://a.com",
+                        closedAt: 1,
+                        windowId: 3,
+                        index: 2,
+                    },
+                    { id: "b", url: "http://b.com", closedAt: 2, batchId: "x" },
+                    { id: "c", closedAt: 3 },
+                ],
+                timeout: 5,
+                unit: "fortnights",
+                settingsModifiedAt: { timeout: 10 },
+                tab_12: 1000,
+                protected_12: true,
+                schemaVersion: 1,
+            });
+
+            expect(backup.expiredTabs).to.deep.equal([
+                { id: "a", url: "http://a.com", closedAt: 1 },
+                { id: "b", url: "http://b.com", closedAt: 2 },
+            ]);
+            expect(backup.settings).to.deep.equal({
+                timeout: 5,
+                settingsModifiedAt: { timeout: 10 },
+            });
+            expect(backup.invalid).to.equal(2);
+            expect(backup.ignoredKeys).to.have.members([
+                "tab_12",
+                "protected_12",
+                "schemaVersion",
+            ]);
+        });
+
+        it("should tell backups without history apart from empty histories", () => {
+            expect(parseBackup({ timeout: 5 }).expiredTabs).to.be.null;
+            expect(parseBackup({ expiredTabs: [] }).expiredTabs).to.deep.equal([]);
+        });
+
+        it("should reject files that are not backups", () => {
+            for (const data of [null, [], "text", { tab_1: 1000 }]) {
+                expect(() => parseBackup(data)).to.throw(
+                    "This file is not an Expire Tabs backup.",
+                );
+            }
+        });
+    });
+
+    describe("previewBackup", () => {
+        it("should count the entries missing from the history", async () => {
+            await addExpiredTabs([{ id: "a", url: "http://a.com", closedAt: 1 }]);
+            const backup = parseBackup({
+                expiredTabs: [
+                    { id: "a", url: "http://a.com", closedAt: 1 },
+                    { id: "b", url: "http://b.com", closedAt: 2 },
+                    { id: "b", url: "http://b.com", closedAt: 2 },
+                    { url: "http://broken.com" },
+                ],
+                timeout: 5,
+                unit: "hours",
+                settingsModifiedAt: { timeout: 10 },
+                tab_1: 1000,
+            });
+
+            const preview = await previewBackup(backup);
+
+            expect(preview).to.deep.equal({
+                entries: 2,
+                newEntries: 1,
+                settings: 2,
+                invalid: 1,
+                ignored: 1,
+            });
+        });
+    });
+
+    describe("importBackup", () => {
+        let clock;
+
+        beforeEach(async () => {
+            clock = sinon.useFakeTimers({ now: 5000, toFake: ["Date"] });
+            await addExpiredTabs([
+                { id: "a", url: "http://a.com", closedAt: 1 },
+                { id: "b", url: "http://b.com", closedAt: 2 },
+            ]);
+            Object.assign(sync, {
+                timeout: 30,
+                unit: "minutes",
+                settingsModifiedAt: { timeout: 100, unit: 100 },
+            });
+        });
+
+        afterEach(() => {
+            clock.restore();
+        });
+
+        it("should merge the history and keep the newest settings", async () => {
+            const backup = parseBackup({
+                expiredTabs: [
+                    { id: "other", url: "http://a.com", closedAt: 1 },
+                    { id: "c", url: "http://c.com", closedAt: 3 },
+                ],
+                timeout: 2,
+                unit: "days",
+                maxTabs: 10,
+                settingsModifiedAt: { timeout: 200, unit: 50 },
+                tab_5: 1000,
+            });
+
+            const result = await importBackup(backup, "merge");
+
+            expect(result).to.deep.equal({ added: 1 });
+            expect(await historyUrls()).to.deep.equal([
+                "http://a.com",
+                "http://b.com",
+                "http://c.com",
+            ]);
+            expect(sync).to.deep.include({ timeout: 2, unit: "minutes", maxTabs: 10 });
+            expect(sync.settingsModifiedAt).to.deep.equal({
+                timeout: 200,
+                unit: 100,
+                maxTabs: 0,
+            });
+            expect(local).to.not.have.property("tab_5");
+            expect(sync).to.not.have.property("tab_5");
+        });
+
+        it("should replace the history and settings", async () => {
+            const backup = parseBackup({
+                expiredTabs: [
+                    { id: "c", url: "http://c.com", closedAt: 3 },
+                    { id: "c", url: "http://c.com", closedAt: 3 },
+                ],
+                timeout: 2,
+                settingsModifiedAt: { timeout: 1 },
+            });
+
+            const result = await importBackup(backup, "replace");
+
+            expect(result).to.deep.equal({ added: 1 });
+            expect(await historyUrls()).to.deep.equal(["http://c.com"]);
+            expect(sync).to.deep.equal({
+                timeout: 2,
+                settingsModifiedAt: { timeout: 5000 },
+            });
+        });
+
+        it("should leave what the backup does not have", async () => {
+            await importBackup(parseBackup({ timeout: 2 }), "replace");
+            expect(await historyUrls()).to.deep.equal(["http://a.com", "http://b.com"]);
+
+            await importBackup(parseBackup({ expiredTabs: [] }), "replace");
+            expect(await getExpiredTabs()).to.be.empty;
+            expect(sync.timeout).to.equal(2);
+        });
+
+        it("should apply the imported history limit", async () => {
+            const backup = parseBackup({
+                expiredTabs: [
+                    { id: "c", url: "http://c.com", closedAt: 3 },
+                    { id: "d", url: "http://d.com", closedAt: 4 },
+                ],
+                historyLimit: 3,
+            });
+
+            await importBackup(backup, "replace");
+            await importBackup(
+                parseBackup({
+                    expiredTabs: [{ id: "a", url: "http://a.com", closedAt: 1 }],
+                }),
+                "merge",
+            );
+            await importBackup(
+                parseBackup({
+                    expiredTabs: [{ id: "e", url: "http://e.com", closedAt: 5 }],
+                }),
+                "merge",
+            );
+
+            expect(await historyUrls()).to.deep.equal([
+                "http://c.com",
+                "http://d.com",
+                "http://e.com",
+            ]);
+        });
+
+        it("should reject unknown modes", async () => {
+            let error;
+            try {
+                await importBackup(parseBackup({ timeout: 2 }), "append");
+            } catch (err) {
+                error = err;
+            }
+
+            expect(error?.message).to.equal("Invalid import mode: append");
+            expect(sync.timeout).to.equal(30);
+        });
+    });
+});
@@ -334,4 +334,184 @@ describe("Content Script Toast", function () {
             "Toast should appear even when message is sent before content script is ready",
         );
     });
+
+    it("should show an expiry warning whose Keep open action resets the timer", async function () {
+        await page.goto("https://example.com", {
+            waitUntil: "domcontentloaded",
+            timeout: 10000,
+        });
+
+        await waitForFunction(
+            page,
+            () => {
+                return (
+                    document.querySelector(
+                        '[data-extension-toast-container="true"]',
+                    ) !== null
+                );
+            },
+            [],
+            2000,
+        );
+
+        const tabId = await monitorPage.evaluate(async () => {
+            const api = globalThis.browser ?? chrome;
+            const tabs = await api.tabs.query({ url: "*://example.com/*" });
+            return tabs.length > 0 ? tabs[tabs.length - 1].id : null;
+        });
+        assert.ok(tabId, "Should be able to get tab ID");
+
+        // Pretend the tab was last used a long time ago
+        await monitorPage.evaluate(async (tabId) => {
+            const api = globalThis.browser ?? chrome;
+            await api.storage.local.set({ [`tab_${tabId}`]: 1 });
+            await api.tabs.sendMessage(tabId, {
+                type: "expiry-warning",
+                expireAt: Date.now() + 5 * 60 * 1000,
+            });
+        }, tabId);
+
+        await waitForFunction(
+            page,
+            () =>
+                document.querySelectorAll('[data-extension-toast-action="true"]')
+                    .length === 3,
+            [],
+            1500,
+        );
+
+        const labels = await page.evaluate(() =>
+            [...document.querySelectorAll('[data-extension-toast-action="true"]')].map(
+                (btn) => btn.textContent,
+            ),
+        );
+        assert.deepStrictEqual(labels, ["Keep open", "Snooze 1h", "Protect"]);
+
+        await page.evaluate(() => {
+            document.querySelector('[data-extension-toast-action="true"]').click();
+        });
+
+        await waitForFunction(
+            monitorPage,
+            async (tabId) => {
+                const api = globalThis.browser ?? chrome;
+                const key = `tab_${tabId}`;
+                const res = await api.storage.local.get([key]);
+                return res[key] > 1;
+            },
+            [tabId],
+        );
+        await waitForFunction(
+            page,
+            () => document.body.textContent.includes("Kept open"),
+            [],
+            1500,
+        );
+    });
+
+    it("should report unsaved form input to the background", async function () {
+        await page.goto("https://example.com", {
+            waitUntil: "domcontentloaded",
+            timeout: 10000,
+        });
+
+        await waitForFunction(
+            page,
+            () => {
+                return (
+                    document.querySelector(
+                        '[data-extension-toast-container="true"]',
+                    ) !== null
+                );
+            },
+            [],
+            2000,
+        );
+
+        const tabId = await monitorPage.evaluate(async () => {
+            const api = globalThis.browser ?? chrome;
+            const tabs = await api.tabs.query({ url: "*://example.com/*" });
+            return tabs.length > 0 ? tabs[tabs.length - 1].id : null;
+        });
+        assert.ok(tabId, "Should be able to get tab ID");
+
+        await page.evaluate(() => {
+            const textarea = document.createElement("textarea");
+            textarea.id = "draft";
+            document.body.appendChild(textarea);
+        });
+        await page.type("#draft", "Dear diary");
+
+        await waitForFunction(
+            monitorPage,
+            async (tabId) => {
+                const api = globalThis.browser ?? chrome;
+                const key = `unsaved_${tabId}`;
+                const res = await api.storage.local.get([key]);
+                return res[key] === true;
+            },
+            [tabId],
+        );
+
+        await page.evaluate(() => {
+            const textarea = document.getElementById("draft");
+            textarea.value = "";
+            textarea.dispatchEvent(new Event("input", { bubbles: true }));
+        });
+
+        await waitForFunction(
+            monitorPage,
+            async (tabId) => {
+                const api = globalThis.browser ?? chrome;
+                const key = `unsaved_${tabId}`;
+                const res = await api.storage.local.get([key]);
+                return !(key in res);
+            },
+            [tabId],
+        );
+    });
+
+    it("should report a beforeunload handler registered while loading", async function () {
+        // Served in place of the real page, so the handler is registered by the
+        // page's own script before the content script runs
+        const onRequest = (request) => {
+            if (request.url() === "https://example.com/draft") {
+                request.respond({
+                    contentType: "text/html",
+                    body: '<script>window.addEventListener("beforeunload", (e) => e.preventDefault());</script><p>Draft</p>',
+                });
+            } else {
+                request.continue();
+            }
+        };
+        await page.setRequestInterception(true);
+        page.on("request", onRequest);
+        try {
+            await page.goto("https://example.com/draft", {
+                waitUntil: "domcontentloaded",
+                timeout: 10000,
+            });
+        } finally {
+            page.off("request", onRequest);
+            await page.setRequestInterception(false);
+        }
+
+        const tabId = await monitorPage.evaluate(async () => {
+            const api = globalThis.browser ?? chrome;
+            const tabs = await api.tabs.query({ url: "*://example.com/*" });
+            return tabs.length > 0 ? tabs[tabs.length - 1].id : null;
+        });
+        assert.ok(tabId, "Should be able to get tab ID");
+
+        await waitForFunction(
+            monitorPage,
+            async (tabId) => {
+                const api = globalThis.browser ?? chrome;
+                const key = `unsaved_${tabId}`;
+                const res = await api.storage.local.get([key]);
+                return res[key] === true;
+            },
+            [tabId],
+        );
+    });
 });
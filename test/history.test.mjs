@@ -0,0 +1,219 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import "fake-indexeddb/auto";
+
+import { SETTINGS_KEYS } from "../utils/storage.js";
+
+// Mock browser API
+const chromeMock = {
+    storage: {
+        local: {
+            get: sinon.stub(),
+            set: sinon.stub(),
+            remove: sinon.stub(),
+        },
+    },
+};
+
+global.chrome = chromeMock;
+global.browser = chromeMock;
+
+// Import after mocking
+import {
+    addExpiredTab,
+    clearExpiredTabs,
+    getExpiredTab,
+    getExpiredTabs,
+    getExpiredTabsClosedBefore,
+    findNewEntries,
+    queryExpiredTabs,
+    removeExpiredTab,
+    removeExpiredTabs,
+} from "../utils/history.js";
+
+const historyIds = async () => (await getExpiredTabs()).map((t) => t.id);
+
+describe("History", () => {
+    beforeEach(async () => {
+        global.chrome = chromeMock;
+        global.browser = chromeMock;
+        sinon.reset();
+        chromeMock.storage.local.get.resolves({});
+        await clearExpiredTabs();
+    });
+
+    afterEach(() => {
+        sinon.reset();
+    });
+
+    describe("addExpiredTab", () => {
+        it("should add a tab to history and generate ID", async () => {
+            const tab = {
+                title: "Test",
+                url: "http://test.com",
+                closedAt: 12345,
+            };
+            await addExpiredTab(tab);
+
+            const [savedTab] = await getExpiredTabs();
+            expect(savedTab.title).to.equal(tab.title);
+            expect(savedTab.url).to.equal(tab.url);
+            expect(savedTab.id).to.exist; // Check if ID was generated
+            expect(savedTab).to.not.have.property("domain");
+        });
+
+        it("should limit history to configured limit", async () => {
+            // Mock configured limit of 10
+            chromeMock.storage.local.get
+                .withArgs(SETTINGS_KEYS)
+                .resolves({ historyLimit: 10 });
+
+            for (let i = 0; i < 10; i++) {
+                await addExpiredTab({ title: "Old", url: "old.com", closedAt: i });
+            }
+            await addExpiredTab({ title: "New", url: "new.com", closedAt: 100 });
+
+            const history = await getExpiredTabs();
+            expect(history.length).to.equal(10);
+            expect(history[0].title).to.equal("New");
+            expect(history.map((t) => t.closedAt)).to.not.include(0);
+        });
+
+        it("should allow infinite history if limit is -1", async () => {
+            // Mock infinite limit
+            chromeMock.storage.local.get
+                .withArgs(SETTINGS_KEYS)
+                .resolves({ historyLimit: -1 });
+
+            // 150 items (more than default 100)
+            for (let i = 0; i < 151; i++) {
+                await addExpiredTab({ title: "Old", url: "old.com", closedAt: i });
+            }
+
+            expect(await getExpiredTabs()).to.have.lengthOf(151);
+        });
+
+        it("should not rewrite the history in storage", async () => {
+            await addExpiredTab({ title: "New", url: "new.com", closedAt: 1 });
+
+            expect(chromeMock.storage.local.set.called).to.be.false;
+        });
+    });
+
+    describe("removeExpiredTab", () => {
+        beforeEach(async () => {
+            for (const id of ["1", "2", "3"]) {
+                await addExpiredTab({
+                    id,
+                    title: `Tab ${id}`,
+                    url: `https://${id}.com/`,
+                    closedAt: Number(id),
+                });
+            }
+        });
+
+        it("should remove a tab by ID", async () => {
+            await removeExpiredTab("2");
+
+            expect(await historyIds()).to.deep.equal(["3", "1"]);
+        });
+
+        it("should remove several tabs by ID", async () => {
+            await removeExpiredTabs(["1", "3"]);
+
+            expect(await historyIds()).to.deep.equal(["2"]);
+            expect(await getExpiredTab("1")).to.be.null;
+            expect((await getExpiredTab("2")).title).to.equal("Tab 2");
+        });
+    });
+
+    describe("clearExpiredTabs", () => {
+        it("should clear history", async () => {
+            await addExpiredTab({ title: "Test", url: "http://test.com", closedAt: 1 });
+
+            await clearExpiredTabs();
+
+            expect(await getExpiredTabs()).to.deep.equal([]);
+        });
+    });
+
+    describe("queryExpiredTabs", () => {
+        beforeEach(async () => {
+            const entries = [
+                { id: "a", title: "GitHub issue", url: "https://github.com/a/1" },
+                { id: "b", title: "Blog post", url: "https://blog.example.com/b" },
+                { id: "c", title: "Another issue", url: "https://GitHub.com/c/2" },
+                { id: "d", title: "Docs", url: "https://docs.example.com/issue" },
+                { id: "e", url: "about:blank" },
+            ];
+            for (const [i, entry] of entries.entries()) {
+                await addExpiredTab({ ...entry, closedAt: i + 1 });
+            }
+        });
+
+        it("should return pages of the history, newest first", async () => {
+            const first = await queryExpiredTabs({ limit: 2 });
+            const second = await queryExpiredTabs({ offset: 2, limit: 2 });
+
+            expect(first.total).to.equal(5);
+            expect(first.entries.map((t) => t.id)).to.deep.equal(["e", "d"]);
+            expect(second.entries.map((t) => t.id)).to.deep.equal(["c", "b"]);
+        });
+
+        it("should match every search term in the title or the URL", async () => {
+            const { entries, total } = await queryExpiredTabs({
+                search: "ISSUE",
+                limit: 2,
+            });
+
+            expect(total).to.equal(3);
+            expect(entries.map((t) => t.id)).to.deep.equal(["d", "c"]);
+            const both = await queryExpiredTabs({ search: "github issue" });
+            expect(both.entries.map((t) => t.id)).to.deep.equal(["a"]);
+        });
+
+        it("should filter by site", async () => {
+            const { entries, total } = await queryExpiredTabs({ domain: "github.com" });
+
+            expect(total).to.equal(2);
+            expect(entries.map((t) => t.id)).to.deep.equal(["c", "a"]);
+            const searched = await queryExpiredTabs({
+                domain: "docs.example.com",
+                search: "issue",
+            });
+            expect(searched.entries.map((t) => t.id)).to.deep.equal(["d"]);
+        });
+
+        it("should sort by title", async () => {
+            const { entries } = await queryExpiredTabs({ orderBy: "title" });
+
+            expect(entries.map((t) => t.id)).to.deep.equal(["e", "c", "b", "d", "a"]);
+        });
+
+        it("should find the entries closed before a time", async () => {
+            const entries = await getExpiredTabsClosedBefore(3);
+
+            expect(entries.map((t) => t.id)).to.have.members(["a", "b"]);
+        });
+    });
+
+    describe("findNewEntries", () => {
+        it("should drop entries with a known ID or URL and closing time", () => {
+            const history = [
+                { id: "a", url: "http://a.com", closedAt: 1 },
+                { id: "b", url: "http://b.com", closedAt: 2 },
+            ];
+            const entries = [
+                { id: "a", url: "http://changed.com", closedAt: 9 },
+                { id: "other", url: "http://b.com", closedAt: 2 },
+                { id: "c", url: "http://b.com", closedAt: 3 },
+                { id: "c", url: "http://c.com", closedAt: 4 },
+                { id: 7, url: "http://d.com", closedAt: 5 },
+            ];
+
+            const newEntries = findNewEntries(entries, history);
+
+            expect(newEntries.map((e) => e.id)).to.deep.equal(["c", 7]);
+        });
+    });
+});
@@ -1,27 +1,57 @@
 import { expect } from "chai";
 import sinon from "sinon";
+import "fake-indexeddb/auto";
 
 import { getDefaults, unitToMs } from "../utils/config.js";
+import {
+    SETTINGS_KEYS,
+    SETTINGS_MODIFIED_KEY,
+    TAB_KEY_PREFIXES,
+} from "../utils/storage.js";
 // Mock browser API
 const chromeMock = {
     storage: {
         sync: {
             get: sinon.stub(),
             set: sinon.stub(),
+            remove: sinon.stub(),
         },
         local: {
             get: sinon.stub(),
             set: sinon.stub(),
             remove: sinon.stub(),
         },
+        session: {
+            get: sinon.stub(),
+            set: sinon.stub(),
+        },
         onChanged: {
             addListener: sinon.stub(),
+            removeListener: sinon.stub(),
         },
     },
     tabs: {
         query: sinon.stub(),
         remove: sinon.stub(),
         get: sinon.stub(),
+        create: sinon.stub(),
+        sendMessage: sinon.stub(),
+        discard: sinon.stub(),
+        ...Object.fromEntries(
+            [
+                "onCreated",
+                "onUpdated",
+                "onRemoved",
+                "onActivated",
+                "onMoved",
+                "onDetached",
+                "onAttached",
+                "onReplaced",
+            ].map((event) => [
+                event,
+                { addListener: sinon.stub(), removeListener: sinon.stub() },
+            ]),
+        ),
     },
     action: {
         setBadgeText: sinon.stub(),
@@ -29,6 +59,37 @@ const chromeMock = {
     },
     runtime: {
         openOptionsPage: sinon.stub(),
+        getURL: sinon.stub(),
+    },
+    notifications: {
+        create: sinon.stub(),
+        clear: sinon.stub(),
+    },
+    windows: {
+        get: sinon.stub(),
+    },
+    contextMenus: {
+        create: sinon.stub(),
+        removeAll: sinon.stub(),
+    },
+    idle: {
+        queryState: sinon.stub(),
+    },
+    alarms: {
+        create: sinon.stub(),
+        clear: sinon.stub(),
+    },
+    tabGroups: {
+        get: sinon.stub(),
+    },
+    permissions: {
+        contains: sinon.stub(),
+    },
+    bookmarks: {
+        search: sinon.stub(),
+        getChildren: sinon.stub(),
+        create: sinon.stub(),
+        remove: sinon.stub(),
     },
 };
 
@@ -40,17 +101,85 @@ import {
     checkTabs,
     getTabsStatus,
     updateBadge,
+    refreshBadges,
     cleanUpStorage,
     handleCommand,
     expireAllTabs,
+    handleExpiryWarningAction,
+    closeTab,
 } from "../utils/background/logic.js";
+import {
+    handleNotificationButtonClick,
+    handleNotificationClick,
+    notifyExpiredTabs,
+} from "../utils/background/notifications.js";
+import {
+    createContextMenus,
+    handleContextMenuClick,
+} from "../utils/background/menus.js";
+import {
+    handleIdleStateChange,
+    syncIdleState,
+    IDLE_DETECTION_INTERVAL_SECONDS,
+} from "../utils/background/idle.js";
+import {
+    restoreTabState,
+    saveTabSnapshot,
+    takeRestoredTab,
+} from "../utils/background/session.js";
+import {
+    runMigrations,
+    SCHEMA_VERSION,
+    TAB_VALUE_VALIDATORS,
+} from "../utils/background/migrations.js";
+import {
+    recordTabFocus,
+    forgetTabFocus,
+    recordTabOpened,
+} from "../utils/background/focus.js";
+import { handleMessage, isHandledMessage } from "../utils/background/messages.js";
+import { enqueueWrite } from "../utils/background/queue.js";
+import {
+    CHECK_ALARM_NAME,
+    changesTabsStatus,
+    requestCheck,
+    runCheck,
+    scheduleCheck,
+} from "../utils/background/scheduler.js";
+import { getTrackedTabs, watchTabState } from "../utils/background/tabState.js";
+import { addExpiredTab, clearExpiredTabs, getExpiredTabs } from "../utils/history.js";
+
+/**
+ * Ids of the tabs closed through `tabs.remove`, in order.
+ * @returns {number[]}
+ */
+const removedTabIds = () =>
+    chromeMock.tabs.remove.getCalls().flatMap((c) => [].concat(c.args[0]));
+
+/**
+ * Adds entries to the history, oldest last like the history lists them.
+ * @param {Object[]} entries
+ */
+const seedHistory = async (entries) => {
+    for (const entry of entries) {
+        await addExpiredTab({ ...entry });
+    }
+};
 
 describe("Background Logic", () => {
-    beforeEach(() => {
+    beforeEach(async () => {
         // Ensure browser globals are set before each test
         global.chrome = chromeMock;
         global.browser = chromeMock;
         sinon.reset();
+        chromeMock.storage.local.get.resolves({});
+        // Settings are synced by default: serve them from the local mock
+        chromeMock.storage.sync.get.callsFake((keys) =>
+            chromeMock.storage.local.get(keys),
+        );
+        // Optional permissions are granted unless a test says otherwise
+        chromeMock.permissions.contains.resolves(true);
+        await clearExpiredTabs();
         // Default: tabs.get rejects (tab not found / truly orphaned).
         // Tests exercising the cross-workspace path opt-in by overriding this.
         chromeMock.tabs.get.rejects(new Error("Tab not found"));
@@ -63,7 +192,7 @@ describe("Background Logic", () => {
     describe("checkTabs", () => {
         it("should close expired tabs", async () => {
             chromeMock.storage.local.get
-                .withArgs(["timeout", "unit", "historyLimit"])
+                .withArgs(SETTINGS_KEYS)
                 .resolves({ timeout: defaults.timeout, unit: defaults.unit });
             chromeMock.storage.local.get
                 .withArgs(["expiredTabs"])
@@ -126,10 +255,47 @@ describe("Background Logic", () => {
             await checkTabs();
 
             // Tab 1 should be removed
-            expect(chromeMock.tabs.remove.calledWith(1)).to.be.true;
+            expect(removedTabIds()).to.include(1);
 
             // Tab 2 should NOT be removed
-            expect(chromeMock.tabs.remove.calledWith(2)).to.be.false;
+            expect(removedTabIds()).to.not.include(2);
+        });
+
+        it("should record all tabs closed by one run in the same batch", async () => {
+            const now = Date.now();
+            const expiredTime = now - (defaults.timeout + 1) * defaultUnitMultiplier;
+
+            chromeMock.tabs.query.resolves([
+                { id: 1, windowId: 1, index: 0, title: "One", url: "http://1.com" },
+                { id: 2, windowId: 1, index: 1, title: "Two", url: "http://2.com" },
+            ]);
+            await seedHistory([
+                {
+                    id: "old",
+                    url: "http://old.com",
+                    batchId: "previous",
+                    closedAt: now - 1000,
+                },
+            ]);
+            chromeMock.storage.local.get.callsFake((keys) => {
+                if (keys === null)
+                    return Promise.resolve({ tab_1: expiredTime, tab_2: expiredTime });
+                return Promise.resolve({});
+            });
+            chromeMock.tabs.remove.resolves();
+
+            await checkTabs();
+
+            const history = await getExpiredTabs();
+            expect(history).to.have.length(3);
+            const [first, second] = history
+                .filter((t) => t.id !== "old")
+                .sort((a, b) => a.index - b.index);
+            expect(first).to.include({ url: "http://1.com", windowId: 1, index: 0 });
+            expect(second).to.include({ url: "http://2.com", windowId: 1, index: 1 });
+            expect(first.batchId).to.be.a("string");
+            expect(first.batchId).to.equal(second.batchId);
+            expect(first.batchId).to.not.equal("previous");
         });
 
         it("should not close protected tabs", async () => {
@@ -211,9 +377,9 @@ describe("Background Logic", () => {
             await checkTabs();
 
             // Hidden expired tab must be closed
-            expect(chromeMock.tabs.remove.calledWith(99)).to.be.true;
+            expect(removedTabIds()).to.include(99);
             // Active visible tab must NOT be closed
-            expect(chromeMock.tabs.remove.calledWith(1)).to.be.false;
+            expect(removedTabIds()).to.not.include(1);
         });
 
         it("should NOT close hidden tabs that are pinned/audible/active", async () => {
@@ -294,9 +460,10 @@ describe("Background Logic", () => {
             // Should not fetch tab storage if no tabs are candidates for closing
             // checkTabs filters out pinned and audible tabs before fetching storage
             const getCalls = chromeMock.storage.local.get.getCalls();
+            // 1 call for whether settings are synced
             // 1 call for settings
             // 1 call for tab data
-            expect(getCalls.length).to.equal(2);
+            expect(getCalls.length).to.equal(3);
             expect(chromeMock.tabs.remove.called).to.be.false;
         });
     });
@@ -376,7 +543,23 @@ describe("Background Logic", () => {
             expect(keysRemoved).to.not.include("other_key");
         });
 
-        it("should remove invalid tab-scoped keys without calling tabs.get", async () => {
+        it("should remove timeout overrides of closed tabs but keep the timeout setting", async () => {
+            chromeMock.tabs.query.resolves([{ id: 1 }]);
+            chromeMock.storage.local.get.resolves({
+                tab_1: 123456,
+                timeout_1: { timeout: 1, unit: "hours" },
+                timeout_2: { timeout: 1, unit: "hours" },
+                timeout: 12,
+            });
+            chromeMock.storage.local.remove.resolves();
+
+            await cleanUpStorage({ shouldDelete: true });
+
+            const keysRemoved = chromeMock.storage.local.remove.firstCall.args[0];
+            expect(keysRemoved).to.deep.equal(["timeout_2"]);
+        });
+
+        it("should quarantine invalid tab-scoped keys without calling tabs.get", async () => {
             chromeMock.tabs.query.resolves([{ id: 1 }]);
 
             const storageData = {
@@ -394,6 +577,13 @@ describe("Background Logic", () => {
             expect(chromeMock.storage.local.remove.calledOnce).to.be.true;
             const keysRemoved = chromeMock.storage.local.remove.firstCall.args[0];
             expect(keysRemoved).to.have.members(["tab_-1", "protected_-1"]);
+            const { quarantine } = chromeMock.storage.local.set.firstCall.args[0];
+            expect(
+                quarantine.map(({ key, value }) => ({ key, value })),
+            ).to.have.deep.members([
+                { key: "tab_-1", value: 123456 },
+                { key: "protected_-1", value: true },
+            ]);
         });
 
         it("should do nothing if all tabs exist", async () => {
@@ -480,6 +670,38 @@ describe("Background Logic", () => {
             expect(chromeMock.runtime.openOptionsPage.calledOnce).to.be.true;
         });
 
+        it("should reopen the last batch on undo-expiration command", async () => {
+            await seedHistory([
+                {
+                    id: "a",
+                    url: "http://a.com",
+                    windowId: 1,
+                    index: 0,
+                    batchId: "b1",
+                    closedAt: 2000,
+                },
+                {
+                    id: "b",
+                    url: "http://b.com",
+                    windowId: 1,
+                    index: 1,
+                    batchId: "b0",
+                    closedAt: 1000,
+                },
+            ]);
+            chromeMock.windows.get.resolves({ id: 1 });
+            chromeMock.tabs.create.resolves({ id: 5 });
+
+            await handleCommand("undo-expiration");
+
+            expect(chromeMock.tabs.create.calledOnce).to.be.true;
+            expect(chromeMock.tabs.create.firstCall.args[0].url).to.equal(
+                "http://a.com",
+            );
+            const savedTabs = await getExpiredTabs();
+            expect(savedTabs.map((t) => t.id)).to.deep.equal(["b"]);
+        });
+
         it("should ignore unknown commands", async () => {
             await handleCommand("unknown-command");
             expect(chromeMock.tabs.query.called).to.be.false;
@@ -585,14 +807,14 @@ describe("Background Logic", () => {
             const result = await expireAllTabs();
 
             expect(result.closed).to.equal(3);
-            expect(chromeMock.tabs.remove.calledWith(5)).to.be.true;
-            expect(chromeMock.tabs.remove.calledWith(6)).to.be.true;
-            expect(chromeMock.tabs.remove.calledWith(7)).to.be.true;
-
-            expect(chromeMock.tabs.remove.calledWith(1)).to.be.false;
-            expect(chromeMock.tabs.remove.calledWith(2)).to.be.false;
-            expect(chromeMock.tabs.remove.calledWith(3)).to.be.false;
-            expect(chromeMock.tabs.remove.calledWith(4)).to.be.false;
+            expect(removedTabIds()).to.include(5);
+            expect(removedTabIds()).to.include(6);
+            expect(removedTabIds()).to.include(7);
+
+            expect(removedTabIds()).to.not.include(1);
+            expect(removedTabIds()).to.not.include(2);
+            expect(removedTabIds()).to.not.include(3);
+            expect(removedTabIds()).to.not.include(4);
         });
 
         it("should return 0 when no expirable tabs exist", async () => {
@@ -650,6 +872,80 @@ describe("Background Logic", () => {
             expect(result.closed).to.equal(0);
             expect(chromeMock.tabs.remove.called).to.be.false;
         });
+
+        describe("batched closing", () => {
+            const expiredTime = () =>
+                Date.now() - (defaults.timeout + 1) * defaultUnitMultiplier;
+
+            beforeEach(() => {
+                chromeMock.tabs.query.resolves(
+                    [1, 2, 3].map((id) => ({
+                        id,
+                        windowId: 1,
+                        index: id,
+                        title: `Tab ${id}`,
+                        url: `http://${id}.com`,
+                    })),
+                );
+                chromeMock.storage.local.get.callsFake((keys) => {
+                    if (keys === null) return Promise.resolve({ tab_1: expiredTime() });
+                    return Promise.resolve({});
+                });
+                chromeMock.tabs.remove.resolves();
+            });
+
+            it("should close every tab with a single tabs.remove call", async () => {
+                const result = await expireAllTabs();
+
+                expect(result).to.deep.equal({ closed: 3, failed: 0 });
+                expect(chromeMock.tabs.remove.calledOnce).to.be.true;
+                expect(chromeMock.tabs.remove.firstCall.args[0]).to.have.members([
+                    1, 2, 3,
+                ]);
+                const history = await getExpiredTabs();
+                expect(history).to.have.lengthOf(3);
+                expect(new Set(history.map((t) => t.batchId)).size).to.equal(1);
+            });
+
+            it("should report tabs that could not be closed and keep them out of history", async () => {
+                chromeMock.tabs.remove
+                    .withArgs(sinon.match.array)
+                    .rejects(new Error("No tab with id: 2"));
+                chromeMock.tabs.remove
+                    .withArgs(2)
+                    .rejects(new Error("No tab with id: 2"));
+
+                const result = await expireAllTabs();
+
+                expect(result).to.deep.equal({ closed: 2, failed: 1 });
+                expect(removedTabIds()).to.include.members([1, 3]);
+                const history = await getExpiredTabs();
+                expect(history.map((t) => t.url)).to.have.members([
+                    "http://1.com",
+                    "http://3.com",
+                ]);
+            });
+
+            it("should not run while a queued check is closing tabs", async () => {
+                const events = [];
+                chromeMock.tabs.query.callsFake(async () => {
+                    events.push("query");
+                    return [{ id: 1, title: "Tab 1", url: "http://1.com" }];
+                });
+                chromeMock.tabs.remove.callsFake(async () => {
+                    events.push("remove");
+                });
+
+                await Promise.all([
+                    enqueueWrite(checkTabs),
+                    enqueueWrite(expireAllTabs),
+                ]);
+
+                expect(events.indexOf("remove")).to.be.below(
+                    events.lastIndexOf("query"),
+                );
+            });
+        });
     });
 
     describe("getTabsStatus", () => {
@@ -962,5 +1258,2566 @@ describe("Background Logic", () => {
             expect(status.expired).to.have.length(1);
             expect(status.expired[0].id).to.equal(1);
         });
+
+        describe("site rules", () => {
+            const mockStorage = (storageData, rules) => {
+                chromeMock.storage.local.get.callsFake((keys) => {
+                    if (Array.isArray(keys) && keys.includes("timeout")) {
+                        return Promise.resolve({
+                            timeout: defaults.timeout,
+                            unit: defaults.unit,
+                            rules,
+                        });
+                    }
+                    if (keys === null) {
+                        return Promise.resolve(storageData);
+                    }
+                    return Promise.resolve({});
+                });
+            };
+
+            const makeTab = (id, url) => ({
+                id,
+                active: false,
+                pinned: false,
+                audible: false,
+                title: `Tab ${id}`,
+                url,
+            });
+
+            it("should apply a longer timeout to tabs matching a host rule", async () => {
+                const now = Date.now();
+                const expiredTime =
+                    now - (defaults.timeout + 1) * defaultUnitMultiplier;
+
+                chromeMock.tabs.query.resolves([
+                    makeTab(1, "https://docs.google.com/document/d/1"),
+                    makeTab(2, "https://drive.docs.google.com/"),
+                    makeTab(3, "https://google.com/"),
+                ]);
+                mockStorage(
+                    { tab_1: expiredTime, tab_2: expiredTime, tab_3: expiredTime },
+                    [
+                        {
+                            pattern: "docs.google.com",
+                            type: "host",
+                            timeout: 3,
+                            unit: "days",
+                        },
+                    ],
+                );
+
+                const status = await getTabsStatus();
+
+                expect(status.mayExpire.map((t) => t.id)).to.have.members([1, 2]);
+                expect(status.expired.map((t) => t.id)).to.have.members([3]);
+            });
+
+            it("should prefer a tab's own timeout over rules and the global timeout", async () => {
+                const now = Date.now();
+                const expiredTime =
+                    now - (defaults.timeout + 1) * defaultUnitMultiplier;
+
+                chromeMock.tabs.query.resolves([
+                    makeTab(1, "https://docs.google.com/"),
+                    makeTab(2, "https://example.com/"),
+                    makeTab(3, "https://example.com/"),
+                ]);
+                mockStorage(
+                    {
+                        tab_1: expiredTime,
+                        timeout_1: { timeout: 10, unit: "minutes" },
+                        tab_2: expiredTime,
+                        timeout_2: { timeout: 30, unit: "days" },
+                        tab_3: now - 20 * unitToMs("minutes"),
+                        timeout_3: { timeout: 10, unit: "minutes" },
+                    },
+                    [{ pattern: "docs.google.com", type: "host", unit: "never" }],
+                );
+
+                const status = await getTabsStatus();
+
+                expect(status.expired.map((t) => t.id)).to.have.members([1, 3]);
+                expect(status.mayExpire.map((t) => t.id)).to.have.members([2]);
+                expect(status.tabTimeouts.get(2)).to.deep.equal({
+                    timeout: 30,
+                    unit: "days",
+                });
+            });
+
+            it("should apply a shorter timeout to tabs matching a glob rule", async () => {
+                const now = Date.now();
+                const recentTime = now - 45 * unitToMs("minutes");
+
+                chromeMock.tabs.query.resolves([
+                    makeTab(1, "https://news.example.com/article/1"),
+                    makeTab(2, "https://example.com/article/1"),
+                ]);
+                mockStorage({ tab_1: recentTime, tab_2: recentTime }, [
+                    {
+                        pattern: "https://news.*/*",
+                        type: "glob",
+                        timeout: 30,
+                        unit: "minutes",
+                    },
+                ]);
+
+                const status = await getTabsStatus();
+
+                expect(status.expired.map((t) => t.id)).to.deep.equal([1]);
+                expect(status.mayExpire.map((t) => t.id)).to.deep.equal([2]);
+            });
+
+            it("should use the first matching rule in order", async () => {
+                const now = Date.now();
+                const recentTime = now - 45 * unitToMs("minutes");
+
+                chromeMock.tabs.query.resolves([
+                    makeTab(1, "https://news.example.com/"),
+                    makeTab(2, "https://blog.example.com/"),
+                ]);
+                mockStorage({ tab_1: recentTime, tab_2: recentTime }, [
+                    {
+                        pattern: "^https://news\\.",
+                        type: "regex",
+                        timeout: 1,
+                        unit: "days",
+                    },
+                    {
+                        pattern: "example.com",
+                        type: "host",
+                        timeout: 30,
+                        unit: "minutes",
+                    },
+                ]);
+
+                const status = await getTabsStatus();
+
+                expect(status.mayExpire.map((t) => t.id)).to.deep.equal([1]);
+                expect(status.expired.map((t) => t.id)).to.deep.equal([2]);
+            });
+
+            it("should classify tabs matching a never rule as protected", async () => {
+                const now = Date.now();
+                const expiredTime =
+                    now - (defaults.timeout + 1) * defaultUnitMultiplier;
+
+                chromeMock.tabs.query.resolves([
+                    makeTab(1, "https://mail.example.com/"),
+                    makeTab(2, "https://mail.example.com/inbox"),
+                ]);
+                // Tab 2 has no timestamp: the rule still shields it
+                mockStorage({ tab_1: expiredTime }, [
+                    {
+                        pattern: "mail.example.com",
+                        type: "host",
+                        timeout: 1,
+                        unit: "never",
+                    },
+                ]);
+
+                const status = await getTabsStatus();
+
+                expect(status.protected.map((t) => t.id)).to.have.members([1, 2]);
+                expect(status.expired).to.have.length(0);
+                expect(status.orphan).to.have.length(0);
+            });
+
+            it("should ignore rules with invalid patterns", async () => {
+                const now = Date.now();
+                const expiredTime =
+                    now - (defaults.timeout + 1) * defaultUnitMultiplier;
+
+                chromeMock.tabs.query.resolves([makeTab(1, "https://example.com/")]);
+                mockStorage({ tab_1: expiredTime }, [
+                    { pattern: "([", type: "regex", timeout: 1, unit: "never" },
+                ]);
+
+                const status = await getTabsStatus();
+
+                expect(status.expired.map((t) => t.id)).to.deep.equal([1]);
+            });
+
+            it("should not let expireAllTabs close tabs matching a never rule", async () => {
+                chromeMock.tabs.query.resolves([
+                    makeTab(1, "https://mail.example.com/"),
+                    makeTab(2, "https://example.com/"),
+                ]);
+                chromeMock.tabs.remove.resolves();
+                chromeMock.storage.local.set.resolves();
+                mockStorage({ tab_1: Date.now(), tab_2: Date.now() }, [
+                    {
+                        pattern: "mail.example.com",
+                        type: "host",
+                        timeout: 1,
+                        unit: "never",
+                    },
+                ]);
+
+                const result = await expireAllTabs();
+
+                expect(result.closed).to.equal(1);
+                expect(removedTabIds()).to.include(2);
+                expect(removedTabIds()).to.not.include(1);
+            });
+        });
+    });
+
+    describe("expiry warnings", () => {
+        const warningMinutes = 5;
+        const minuteMs = unitToMs("minutes");
+        let storageData;
+
+        const makeTab = (id, url) => ({
+            id,
+            active: false,
+            pinned: false,
+            audible: false,
+            title: `Tab ${id}`,
+            url,
+        });
+
+        beforeEach(() => {
+            storageData = {};
+            chromeMock.storage.local.get.callsFake((keys) => {
+                if (keys === null) return Promise.resolve({ ...storageData });
+                if (Array.isArray(keys) && keys.includes("timeout"))
+                    return Promise.resolve({
+                        timeout: defaults.timeout,
+                        unit: defaults.unit,
+                        warningMinutes,
+                    });
+                const result = {};
+                for (const key of [].concat(keys)) {
+                    if (key in storageData) result[key] = storageData[key];
+                }
+                return Promise.resolve(result);
+            });
+            chromeMock.storage.local.set.callsFake(async (data) => {
+                Object.assign(storageData, data);
+            });
+            chromeMock.tabs.sendMessage.resolves();
+        });
+
+        it("should flag tabs within the warning window as expiring soon", async () => {
+            const now = Date.now();
+            const timeoutMs = defaults.timeout * defaultUnitMultiplier;
+            chromeMock.tabs.query.resolves([
+                makeTab(1, "https://soon.com/"),
+                makeTab(2, "https://later.com/"),
+            ]);
+            storageData = {
+                tab_1: now - timeoutMs + 2 * minuteMs,
+                tab_2: now - timeoutMs + 10 * minuteMs,
+            };
+
+            const status = await getTabsStatus();
+
+            expect(status.mayExpire.map((t) => t.id)).to.have.members([1, 2]);
+            expect(status.expiringSoon.map((t) => t.id)).to.deep.equal([1]);
+            expect(status.expireAt.get(1)).to.equal(storageData.tab_1 + timeoutMs);
+        });
+
+        it("should send a warning once per expiry moment", async () => {
+            const now = Date.now();
+            const timeoutMs = defaults.timeout * defaultUnitMultiplier;
+            chromeMock.tabs.query.resolves([makeTab(1, "https://soon.com/")]);
+            storageData = { tab_1: now - timeoutMs + 2 * minuteMs };
+            const expireAt = storageData.tab_1 + timeoutMs;
+
+            await checkTabs();
+            await checkTabs();
+
+            expect(chromeMock.tabs.sendMessage.calledOnce).to.be.true;
+            expect(chromeMock.tabs.sendMessage.firstCall.args).to.deep.equal([
+                1,
+                { type: "expiry-warning", expireAt },
+            ]);
+            expect(storageData.warned_1).to.equal(expireAt);
+            expect(chromeMock.tabs.remove.called).to.be.false;
+        });
+
+        it("should warn again once the expiry moment changed", async () => {
+            const now = Date.now();
+            const timeoutMs = defaults.timeout * defaultUnitMultiplier;
+            chromeMock.tabs.query.resolves([makeTab(1, "https://soon.com/")]);
+            storageData = {
+                tab_1: now - timeoutMs + 2 * minuteMs,
+                warned_1: now - 10 * minuteMs,
+            };
+
+            await checkTabs();
+
+            expect(chromeMock.tabs.sendMessage.calledOnce).to.be.true;
+        });
+
+        it("should skip tabs that cannot receive content scripts", async () => {
+            const now = Date.now();
+            const timeoutMs = defaults.timeout * defaultUnitMultiplier;
+            chromeMock.tabs.query.resolves([
+                makeTab(1, "chrome://settings/"),
+                makeTab(2, "about:blank"),
+            ]);
+            storageData = {
+                tab_1: now - timeoutMs + 2 * minuteMs,
+                tab_2: now - timeoutMs + 2 * minuteMs,
+            };
+
+            await checkTabs();
+
+            expect(chromeMock.tabs.sendMessage.called).to.be.false;
+            expect(storageData).to.not.have.property("warned_1");
+        });
+
+        it("should not expire a snoozed tab before its snooze ends", async () => {
+            const now = Date.now();
+            const timeoutMs = defaults.timeout * defaultUnitMultiplier;
+            chromeMock.tabs.query.resolves([
+                makeTab(1, "https://snoozed.com/"),
+                makeTab(2, "https://snooze-over.com/"),
+            ]);
+            storageData = {
+                tab_1: now - timeoutMs - minuteMs,
+                snoozed_1: now + 30 * minuteMs,
+                tab_2: now - timeoutMs - minuteMs,
+                snoozed_2: now - minuteMs,
+            };
+
+            const status = await getTabsStatus();
+
+            expect(status.mayExpire.map((t) => t.id)).to.deep.equal([1]);
+            expect(status.expired.map((t) => t.id)).to.deep.equal([2]);
+            expect(status.expireAt.get(1)).to.equal(storageData.snoozed_1);
+        });
+
+        describe("handleExpiryWarningAction", () => {
+            it("should reset the timer on keep", async () => {
+                const before = Date.now();
+                await handleExpiryWarningAction(1, "keep");
+                expect(storageData.tab_1).to.be.at.least(before);
+            });
+
+            it("should snooze the tab for an hour on snooze", async () => {
+                const before = Date.now();
+                await handleExpiryWarningAction(1, "snooze");
+                expect(storageData.snoozed_1).to.be.at.least(before + 60 * minuteMs);
+                expect(storageData).to.not.have.property("tab_1");
+            });
+
+            it("should protect the tab on protect", async () => {
+                await handleExpiryWarningAction(1, "protect");
+                expect(storageData.protected_1).to.be.true;
+            });
+        });
+    });
+
+    describe("notifications", () => {
+        const mockExpiredTabs = (notifications) => {
+            const now = Date.now();
+            const expiredTime = now - (defaults.timeout + 1) * defaultUnitMultiplier;
+            chromeMock.tabs.query.resolves([
+                { id: 1, title: "One", url: "http://1.com" },
+                { id: 2, title: "Two", url: "http://2.com" },
+            ]);
+            chromeMock.storage.local.get.callsFake((keys) => {
+                if (keys === null)
+                    return Promise.resolve({ tab_1: expiredTime, tab_2: expiredTime });
+                if (Array.isArray(keys) && keys.includes("timeout"))
+                    return Promise.resolve({
+                        timeout: defaults.timeout,
+                        unit: defaults.unit,
+                        notifications,
+                    });
+                return Promise.resolve({});
+            });
+            chromeMock.tabs.remove.resolves();
+            chromeMock.runtime.getURL.returnsArg(0);
+            chromeMock.notifications.create.resolves();
+        };
+
+        it("should not notify by default", async () => {
+            mockExpiredTabs(undefined);
+
+            await checkTabs();
+
+            expect(removedTabIds()).to.have.lengthOf(2);
+            expect(chromeMock.notifications.create.called).to.be.false;
+        });
+
+        it("should not notify without the notifications permission", async () => {
+            mockExpiredTabs("batch");
+            chromeMock.permissions.contains.resolves(false);
+
+            await checkTabs();
+
+            expect(removedTabIds()).to.have.lengthOf(2);
+            expect(chromeMock.notifications.create.called).to.be.false;
+        });
+
+        it("should send one summary notification per run in batch mode", async () => {
+            mockExpiredTabs("batch");
+
+            await checkTabs();
+
+            const history = await getExpiredTabs();
+            expect(chromeMock.notifications.create.calledOnce).to.be.true;
+            const [id, options] = chromeMock.notifications.create.firstCall.args;
+            expect(id).to.equal(`expire-tabs:batch:${history[0].batchId}`);
+            expect(options.title).to.equal("2 tabs expired");
+            expect(options.message).to.equal("One, Two");
+            expect(options.buttons.map((b) => b.title)).to.deep.equal([
+                "Undo",
+                "Open history",
+            ]);
+        });
+
+        it("should send one notification per closed tab in tab mode", async () => {
+            mockExpiredTabs("tab");
+
+            await checkTabs();
+
+            const history = await getExpiredTabs();
+            const ids = chromeMock.notifications.create
+                .getCalls()
+                .map((c) => c.args[0]);
+            expect(ids).to.have.members(history.map((t) => `expire-tabs:tab:${t.id}`));
+        });
+
+        it("should retry without buttons where they are not supported", async () => {
+            mockExpiredTabs("batch");
+            chromeMock.notifications.create
+                .withArgs(sinon.match.string, sinon.match.has("buttons"))
+                .rejects(new Error("Property buttons is unsupported by Firefox"));
+
+            await checkTabs();
+
+            expect(chromeMock.notifications.create.calledTwice).to.be.true;
+            expect(
+                chromeMock.notifications.create.secondCall.args[1],
+            ).to.not.have.property("buttons");
+        });
+
+        it("should leave out the buttons when the tabs cannot be reopened", async () => {
+            chromeMock.runtime.getURL.returnsArg(0);
+            chromeMock.notifications.create.resolves();
+
+            await notifyExpiredTabs(
+                [{ id: "a", title: "One", url: "http://1.com", batchId: "b1" }],
+                "batch",
+                { canUndo: false },
+            );
+
+            expect(chromeMock.notifications.create.calledOnce).to.be.true;
+            expect(
+                chromeMock.notifications.create.firstCall.args[1],
+            ).to.not.have.property("buttons");
+        });
+
+        it("should not notify when nothing was closed", async () => {
+            mockExpiredTabs("batch");
+            chromeMock.tabs.query.resolves([]);
+
+            await checkTabs();
+
+            expect(chromeMock.notifications.create.called).to.be.false;
+        });
+
+        describe("handleNotificationButtonClick", () => {
+            beforeEach(async () => {
+                await seedHistory([
+                    { id: "a", url: "http://a.com", batchId: "b1", closedAt: 2000 },
+                    { id: "b", url: "http://b.com", batchId: "b1", closedAt: 2000 },
+                    { id: "c", url: "http://c.com", batchId: "b0", closedAt: 1000 },
+                ]);
+                chromeMock.storage.local.set.resolves();
+                chromeMock.tabs.create.resolves({ id: 9 });
+            });
+
+            it("should reopen the notified batch on Undo", async () => {
+                await handleNotificationButtonClick("expire-tabs:batch:b1", 0);
+
+                const urls = chromeMock.tabs.create
+                    .getCalls()
+                    .map((c) => c.args[0].url);
+                expect(urls).to.have.members(["http://a.com", "http://b.com"]);
+                expect(
+                    chromeMock.notifications.clear.calledWith("expire-tabs:batch:b1"),
+                ).to.be.true;
+            });
+
+            it("should reopen the notified tab on Undo", async () => {
+                await handleNotificationButtonClick("expire-tabs:tab:c", 0);
+
+                expect(chromeMock.tabs.create.calledOnce).to.be.true;
+                expect(chromeMock.tabs.create.firstCall.args[0].url).to.equal(
+                    "http://c.com",
+                );
+            });
+
+            it("should open the history page on Open history", async () => {
+                await handleNotificationButtonClick("expire-tabs:batch:b1", 1);
+
+                expect(chromeMock.runtime.openOptionsPage.calledOnce).to.be.true;
+                expect(chromeMock.tabs.create.called).to.be.false;
+            });
+
+            it("should ignore notifications from other sources", async () => {
+                await handleNotificationButtonClick("other:batch:b1", 0);
+                await handleNotificationClick("other");
+
+                expect(chromeMock.tabs.create.called).to.be.false;
+                expect(chromeMock.runtime.openOptionsPage.called).to.be.false;
+                expect(chromeMock.notifications.clear.called).to.be.false;
+            });
+        });
+    });
+
+    describe("snooze context menu", () => {
+        const tab = { id: 5, url: "http://example.com" };
+
+        it("should attach the menu to the toolbar button without a tab context", async () => {
+            await createContextMenus();
+
+            expect(chromeMock.contextMenus.removeAll.calledOnce).to.be.true;
+            const items = chromeMock.contextMenus.create
+                .getCalls()
+                .map((c) => c.args[0]);
+            expect(items.map((item) => item.id)).to.deep.equal([
+                "snooze-tab",
+                "snooze-tab:30m",
+                "snooze-tab:2h",
+                "snooze-tab:1d",
+                "snooze-tab:cancel",
+            ]);
+            for (const item of items) {
+                expect(item.contexts).to.deep.equal(["action"]);
+            }
+        });
+
+        it("should attach the menu to the tab strip where supported", async () => {
+            chromeMock.contextMenus.ContextType = { TAB: "tab" };
+            try {
+                await createContextMenus();
+            } finally {
+                delete chromeMock.contextMenus.ContextType;
+            }
+
+            const items = chromeMock.contextMenus.create
+                .getCalls()
+                .map((c) => c.args[0]);
+            for (const item of items) {
+                expect(item.contexts).to.deep.equal(["tab"]);
+            }
+        });
+
+        it("should snooze the clicked tab for the picked duration", async () => {
+            const now = Date.now();
+
+            await handleContextMenuClick({ menuItemId: "snooze-tab:2h" }, tab);
+
+            const { snoozed_5: until } = chromeMock.storage.local.set.firstCall.args[0];
+            expect(until).to.be.within(now + 2 * 3600000, Date.now() + 2 * 3600000);
+            expect(
+                chromeMock.tabs.sendMessage.calledWith(5, {
+                    type: "snooze-status",
+                    snoozedUntil: until,
+                }),
+            ).to.be.true;
+        });
+
+        it("should cancel the snooze of the clicked tab", async () => {
+            await handleContextMenuClick({ menuItemId: "snooze-tab:cancel" }, tab);
+
+            expect(chromeMock.storage.local.remove.calledWith("snoozed_5")).to.be.true;
+            expect(chromeMock.storage.local.set.called).to.be.false;
+            expect(
+                chromeMock.tabs.sendMessage.calledWith(5, {
+                    type: "snooze-status",
+                    snoozedUntil: null,
+                }),
+            ).to.be.true;
+        });
+
+        it("should ignore other menu items", async () => {
+            await handleContextMenuClick({ menuItemId: "other" }, tab);
+
+            expect(chromeMock.storage.local.set.called).to.be.false;
+            expect(chromeMock.storage.local.remove.called).to.be.false;
+        });
+    });
+
+    describe("time-limited protection", () => {
+        const timeoutMs = defaults.timeout * defaultUnitMultiplier;
+        let storageData;
+
+        const makeTab = (id) => ({
+            id,
+            active: false,
+            pinned: false,
+            audible: false,
+            title: `Tab ${id}`,
+            url: `https://${id}.com/`,
+        });
+
+        beforeEach(() => {
+            storageData = {};
+            chromeMock.storage.local.get.callsFake((keys) => {
+                if (keys === null) return Promise.resolve({ ...storageData });
+                if (Array.isArray(keys) && keys.includes("timeout"))
+                    return Promise.resolve({
+                        timeout: defaults.timeout,
+                        unit: defaults.unit,
+                    });
+                const result = {};
+                for (const key of [].concat(keys)) {
+                    if (key in storageData) result[key] = storageData[key];
+                }
+                return Promise.resolve(result);
+            });
+            chromeMock.storage.local.set.callsFake(async (data) => {
+                Object.assign(storageData, data);
+            });
+            chromeMock.storage.local.remove.callsFake(async (keys) => {
+                for (const key of [].concat(keys)) delete storageData[key];
+            });
+            chromeMock.tabs.sendMessage.resolves();
+        });
+
+        it("should protect tabs until the protection ends", async () => {
+            const now = Date.now();
+            chromeMock.tabs.query.resolves([makeTab(1), makeTab(2)]);
+            storageData = {
+                tab_1: now - 2 * timeoutMs,
+                protected_1: now + 60000,
+                tab_2: now - 2 * timeoutMs,
+                protected_2: now - 1000,
+            };
+
+            const status = await getTabsStatus();
+
+            expect(status.protected.map((t) => t.id)).to.deep.equal([1]);
+            expect(status.protectionEnded.map((t) => t.id)).to.deep.equal([2]);
+        });
+
+        it("should give tabs a full timeout once their protection ends", async () => {
+            const now = Date.now();
+            chromeMock.tabs.query.resolves([makeTab(1)]);
+            storageData = { tab_1: now - 2 * timeoutMs, protected_1: now - 1000 };
+
+            const status = await getTabsStatus();
+
+            expect(status.mayExpire.map((t) => t.id)).to.deep.equal([1]);
+            expect(status.expireAt.get(1)).to.equal(
+                storageData.protected_1 + timeoutMs,
+            );
+        });
+
+        it("should revert ended protections to normal expiry", async () => {
+            const now = Date.now();
+            chromeMock.tabs.query.resolves([makeTab(1)]);
+            storageData = { tab_1: now - 2 * timeoutMs, protected_1: now - 1000 };
+
+            await checkTabs();
+
+            expect(storageData).to.not.have.property("protected_1");
+            expect(storageData.tab_1).to.be.at.least(now);
+            expect(chromeMock.tabs.remove.called).to.be.false;
+            expect(
+                chromeMock.tabs.sendMessage.calledWith(1, {
+                    type: "protection-status",
+                    isProtected: false,
+                }),
+            ).to.be.true;
+        });
+
+        it("should show an orange badge for temporary protection", async () => {
+            storageData = { protected_1: Date.now() + 60000 };
+
+            await updateBadge(1);
+
+            expect(chromeMock.action.setBadgeText.calledWith({ tabId: 1, text: "🔒" }))
+                .to.be.true;
+            expect(
+                chromeMock.action.setBadgeBackgroundColor.calledWith({
+                    tabId: 1,
+                    color: "#d58438",
+                }),
+            ).to.be.true;
+        });
+
+        it("should clear the badge once the protection ended", async () => {
+            storageData = { protected_1: Date.now() - 1000 };
+
+            await updateBadge(1);
+
+            expect(chromeMock.action.setBadgeText.calledWith({ tabId: 1, text: "" })).to
+                .be.true;
+        });
+    });
+
+    describe("max open tabs", () => {
+        const minuteMs = unitToMs("minutes");
+        let storageData;
+        let settings;
+
+        const makeTab = (id, windowId = 1, extra = {}) => ({
+            id,
+            windowId,
+            active: false,
+            pinned: false,
+            audible: false,
+            title: `Tab ${id}`,
+            url: `https://${id}.com/`,
+            ...extra,
+        });
+
+        beforeEach(() => {
+            storageData = {};
+            settings = { timeout: defaults.timeout, unit: defaults.unit, maxTabs: 2 };
+            chromeMock.storage.local.get.callsFake((keys) => {
+                if (keys === null) return Promise.resolve({ ...storageData });
+                if (Array.isArray(keys) && keys.includes("timeout"))
+                    return Promise.resolve({ ...settings });
+                const result = {};
+                for (const key of [].concat(keys)) {
+                    if (key in storageData) result[key] = storageData[key];
+                }
+                return Promise.resolve(result);
+            });
+            chromeMock.storage.local.set.callsFake(async (data) => {
+                Object.assign(storageData, data);
+            });
+            chromeMock.tabs.remove.resolves();
+        });
+
+        it("should close the least recently used tabs over the cap", async () => {
+            const now = Date.now();
+            chromeMock.tabs.query.resolves([
+                makeTab(1),
+                makeTab(2),
+                makeTab(3),
+                makeTab(4),
+                makeTab(5, 1, { active: true }),
+                makeTab(6, 1, { pinned: true }),
+                makeTab(7),
+            ]);
+            storageData = {
+                tab_1: now - 3 * minuteMs,
+                tab_2: now - 10 * minuteMs,
+                tab_3: now - 1 * minuteMs,
+                tab_4: now - 20 * minuteMs,
+                tab_5: now - 30 * minuteMs,
+                tab_6: now - 30 * minuteMs,
+                tab_7: now - 30 * minuteMs,
+                protected_7: true,
+            };
+
+            await checkTabs();
+
+            expect(removedTabIds()).to.deep.equal([4, 2]);
+            const history = await getExpiredTabs();
+            expect(history.map((t) => t.reason)).to.deep.equal(["cap", "cap"]);
+            expect(new Set(history.map((t) => t.batchId)).size).to.equal(1);
+        });
+
+        it("should apply the cap to each window separately", async () => {
+            const now = Date.now();
+            settings.maxTabsScope = "window";
+            chromeMock.tabs.query.resolves([
+                makeTab(1, 1),
+                makeTab(2, 1),
+                makeTab(3, 1),
+                makeTab(4, 2),
+                makeTab(5, 2),
+            ]);
+            storageData = {
+                tab_1: now - 1 * minuteMs,
+                tab_2: now - 2 * minuteMs,
+                tab_3: now - 3 * minuteMs,
+                tab_4: now - 30 * minuteMs,
+                tab_5: now - 40 * minuteMs,
+            };
+
+            await checkTabs();
+
+            expect(removedTabIds()).to.deep.equal([3]);
+        });
+
+        it("should count expired tabs towards the cap", async () => {
+            const now = Date.now();
+            chromeMock.tabs.query.resolves([makeTab(1), makeTab(2), makeTab(3)]);
+            storageData = {
+                tab_1: now - (defaults.timeout + 1) * defaultUnitMultiplier,
+                tab_2: now - 2 * minuteMs,
+                tab_3: now - 1 * minuteMs,
+            };
+
+            await checkTabs();
+
+            expect(removedTabIds()).to.deep.equal([1]);
+            expect((await getExpiredTabs())[0].reason).to.equal("timeout");
+        });
+
+        it("should not close tabs when the cap is disabled", async () => {
+            const now = Date.now();
+            settings.maxTabs = 0;
+            chromeMock.tabs.query.resolves([makeTab(1), makeTab(2), makeTab(3)]);
+            storageData = {
+                tab_1: now - 3 * minuteMs,
+                tab_2: now - 2 * minuteMs,
+                tab_3: now - 1 * minuteMs,
+            };
+
+            await checkTabs();
+
+            expect(chromeMock.tabs.remove.called).to.be.false;
+        });
+    });
+
+    describe("pause while idle", () => {
+        const minuteMs = unitToMs("minutes");
+        const timeoutMs = defaults.timeout * defaultUnitMultiplier;
+        let storageData;
+        let settings;
+
+        const makeTab = (id) => ({
+            id,
+            active: false,
+            pinned: false,
+            audible: false,
+            title: `Tab ${id}`,
+            url: `https://${id}.com/`,
+        });
+
+        beforeEach(() => {
+            storageData = {};
+            settings = {
+                timeout: defaults.timeout,
+                unit: defaults.unit,
+                pauseWhenIdle: true,
+            };
+            chromeMock.storage.local.get.callsFake((keys) => {
+                if (keys === null) return Promise.resolve({ ...storageData });
+                if (Array.isArray(keys) && keys.includes("timeout"))
+                    return Promise.resolve({ ...settings });
+                const result = {};
+                for (const key of [].concat(keys)) {
+                    if (key in storageData) result[key] = storageData[key];
+                }
+                return Promise.resolve(result);
+            });
+            chromeMock.storage.local.set.callsFake(async (data) => {
+                Object.assign(storageData, data);
+            });
+            chromeMock.storage.local.remove.callsFake(async (keys) => {
+                for (const key of [].concat(keys)) delete storageData[key];
+            });
+        });
+
+        it("should freeze the expiry clock while idle", async () => {
+            const now = Date.now();
+            chromeMock.tabs.query.resolves([makeTab(1)]);
+            storageData = {
+                tab_1: now - timeoutMs - 10 * minuteMs,
+                idleSince: now - timeoutMs + 5 * minuteMs,
+            };
+
+            const status = await getTabsStatus();
+
+            expect(status.mayExpire.map((t) => t.id)).to.deep.equal([1]);
+        });
+
+        it("should ignore the idle state when the setting is off", async () => {
+            const now = Date.now();
+            settings.pauseWhenIdle = false;
+            chromeMock.tabs.query.resolves([makeTab(1)]);
+            storageData = {
+                tab_1: now - timeoutMs - 10 * minuteMs,
+                idleSince: now - timeoutMs + 5 * minuteMs,
+            };
+
+            const status = await getTabsStatus();
+
+            expect(status.expired.map((t) => t.id)).to.deep.equal([1]);
+        });
+
+        it("should record when the user went idle or locked the screen", async () => {
+            const before = Date.now();
+
+            await handleIdleStateChange("idle");
+
+            expect(storageData.idleSince).to.be.within(
+                before - IDLE_DETECTION_INTERVAL_SECONDS * 1000,
+                Date.now() - IDLE_DETECTION_INTERVAL_SECONDS * 1000,
+            );
+
+            const idleSince = storageData.idleSince;
+            await handleIdleStateChange("locked");
+
+            expect(storageData.idleSince).to.equal(idleSince);
+        });
+
+        it("should move tab timestamps forward by the time spent away", async () => {
+            const now = Date.now();
+            storageData = {
+                tab_1: now - 60 * minuteMs,
+                tab_2: now - 90 * minuteMs,
+                protected_2: true,
+                timeout: 12,
+                idleSince: now - 30 * minuteMs,
+            };
+
+            await handleIdleStateChange("active");
+
+            expect(storageData.tab_1).to.be.within(
+                now - 30 * minuteMs,
+                Date.now() - 30 * minuteMs,
+            );
+            expect(storageData.tab_2).to.be.within(
+                now - 60 * minuteMs,
+                Date.now() - 60 * minuteMs,
+            );
+            expect(storageData.protected_2).to.equal(true);
+            expect(storageData.timeout).to.equal(12);
+            expect(storageData).to.not.have.property("idleSince");
+        });
+
+        it("should move the ends of snoozes and timed protections forward", async () => {
+            const now = Date.now();
+            storageData = {
+                snoozed_1: now - 10 * minuteMs,
+                protected_2: now + 5 * minuteMs,
+                protected_3: true,
+                idleSince: now - 30 * minuteMs,
+            };
+
+            await handleIdleStateChange("active");
+
+            expect(storageData.snoozed_1).to.be.within(
+                now + 20 * minuteMs,
+                Date.now() + 20 * minuteMs,
+            );
+            expect(storageData.protected_2).to.be.within(
+                now + 35 * minuteMs,
+                Date.now() + 35 * minuteMs,
+            );
+            expect(storageData.protected_3).to.equal(true);
+        });
+
+        it("should drop a pending pause without shifting when the setting is off", async () => {
+            const now = Date.now();
+            settings.pauseWhenIdle = false;
+            storageData = {
+                tab_1: now - 60 * minuteMs,
+                idleSince: now - 30 * minuteMs,
+            };
+
+            await handleIdleStateChange("active");
+
+            expect(storageData.tab_1).to.equal(now - 60 * minuteMs);
+            expect(storageData).to.not.have.property("idleSince");
+        });
+
+        it("should sync with the current idle state", async () => {
+            chromeMock.idle.queryState.resolves("locked");
+
+            await syncIdleState();
+
+            expect(
+                chromeMock.idle.queryState.calledWith(IDLE_DETECTION_INTERVAL_SECONDS),
+            ).to.be.true;
+            expect(storageData.idleSince).to.be.a("number");
+        });
+    });
+
+    describe("global pause", () => {
+        const timeoutMs = defaults.timeout * defaultUnitMultiplier;
+        let storageData;
+
+        const makeTab = (id) => ({
+            id,
+            active: false,
+            pinned: false,
+            audible: false,
+            title: `Tab ${id}`,
+            url: `https://${id}.com/`,
+        });
+
+        beforeEach(() => {
+            storageData = {};
+            chromeMock.storage.local.get.callsFake((keys) => {
+                if (keys === null) return Promise.resolve({ ...storageData });
+                if (Array.isArray(keys) && keys.includes("timeout"))
+                    return Promise.resolve({
+                        timeout: defaults.timeout,
+                        unit: defaults.unit,
+                        warningMinutes: 5,
+                    });
+                const result = {};
+                for (const key of [].concat(keys)) {
+                    if (key in storageData) result[key] = storageData[key];
+                }
+                return Promise.resolve(result);
+            });
+            chromeMock.storage.local.set.callsFake(async (data) => {
+                Object.assign(storageData, data);
+            });
+            chromeMock.storage.local.remove.callsFake(async (keys) => {
+                for (const key of [].concat(keys)) delete storageData[key];
+            });
+            chromeMock.tabs.remove.resolves();
+            chromeMock.tabs.sendMessage.resolves();
+        });
+
+        it("should not close or warn tabs while paused", async () => {
+            const now = Date.now();
+            chromeMock.tabs.query.resolves([makeTab(1), makeTab(2), makeTab(3)]);
+            storageData = {
+                tab_1: now - timeoutMs - 1000,
+                tab_2: now - timeoutMs + 60000,
+                pausedUntil: true,
+            };
+
+            await checkTabs();
+
+            expect(chromeMock.tabs.remove.called).to.be.false;
+            expect(chromeMock.tabs.sendMessage.called).to.be.false;
+            // Activity is still tracked
+            expect(storageData.tab_3).to.be.a("number");
+        });
+
+        it("should resume closing tabs once a time-limited pause ended", async () => {
+            const now = Date.now();
+            chromeMock.tabs.query.resolves([makeTab(1)]);
+            storageData = { tab_1: now - timeoutMs - 1000, pausedUntil: now - 1000 };
+
+            await checkTabs();
+
+            expect(storageData).to.not.have.property("pausedUntil");
+            expect(removedTabIds()).to.include(1);
+        });
+
+        it("should toggle the pause with the keyboard command", async () => {
+            chromeMock.tabs.query.resolves([makeTab(1)]);
+
+            await handleCommand("toggle-pause");
+
+            expect(storageData.pausedUntil).to.equal(true);
+            expect(
+                chromeMock.tabs.sendMessage.calledWith(1, {
+                    type: "pause-status",
+                    isPaused: true,
+                }),
+            ).to.be.true;
+
+            await handleCommand("toggle-pause");
+
+            expect(storageData).to.not.have.property("pausedUntil");
+        });
+
+        it("should show the paused badge on every tab", async () => {
+            storageData = { pausedUntil: true, protected_2: true };
+            chromeMock.tabs.query.resolves([makeTab(1), makeTab(2)]);
+
+            await refreshBadges();
+
+            expect(chromeMock.action.setBadgeText.calledWith({ text: "⏸" })).to.be.true;
+            expect(chromeMock.action.setBadgeText.calledWith({ tabId: 1, text: "⏸" }))
+                .to.be.true;
+            expect(chromeMock.action.setBadgeText.calledWith({ tabId: 2, text: "⏸" }))
+                .to.be.true;
+        });
+
+        it("should restore protection badges when resumed", async () => {
+            storageData = { protected_2: true };
+            chromeMock.tabs.query.resolves([makeTab(1), makeTab(2)]);
+
+            await refreshBadges();
+
+            expect(chromeMock.action.setBadgeText.calledWith({ text: "" })).to.be.true;
+            expect(chromeMock.action.setBadgeText.calledWith({ tabId: 1, text: "" })).to
+                .be.true;
+            expect(chromeMock.action.setBadgeText.calledWith({ tabId: 2, text: "🔒" }))
+                .to.be.true;
+        });
+    });
+
+    describe("discard stage", () => {
+        const hourMs = unitToMs("hours");
+        let storageData;
+        let settings;
+
+        const makeTab = (id, extra = {}) => ({
+            id,
+            active: false,
+            pinned: false,
+            audible: false,
+            discarded: false,
+            title: `Tab ${id}`,
+            url: `https://${id}.com/`,
+            ...extra,
+        });
+
+        beforeEach(() => {
+            storageData = {};
+            settings = {
+                timeout: 12,
+                unit: "hours",
+                discardAfter: 2,
+                discardUnit: "hours",
+            };
+            chromeMock.storage.local.get.callsFake((keys) => {
+                if (keys === null) return Promise.resolve({ ...storageData });
+                if (Array.isArray(keys) && keys.includes("timeout"))
+                    return Promise.resolve({ ...settings });
+                const result = {};
+                for (const key of [].concat(keys)) {
+                    if (key in storageData) result[key] = storageData[key];
+                }
+                return Promise.resolve(result);
+            });
+            chromeMock.storage.local.set.callsFake(async (data) => {
+                Object.assign(storageData, data);
+            });
+            chromeMock.tabs.remove.resolves();
+            chromeMock.tabs.discard.resolves();
+        });
+
+        it("should classify tabs past the discard threshold as discarded", async () => {
+            const now = Date.now();
+            chromeMock.tabs.query.resolves([makeTab(1), makeTab(2), makeTab(3)]);
+            storageData = {
+                tab_1: now - 1 * hourMs,
+                tab_2: now - 3 * hourMs,
+                tab_3: now - 13 * hourMs,
+            };
+
+            const status = await getTabsStatus();
+
+            expect(status.mayExpire.map((t) => t.id)).to.deep.equal([1]);
+            expect(status.discarded.map((t) => t.id)).to.deep.equal([2]);
+            expect(status.expired.map((t) => t.id)).to.deep.equal([3]);
+        });
+
+        it("should skip the discard stage when the timeout is not longer", async () => {
+            const now = Date.now();
+            settings.rules = [
+                { pattern: "1.com", type: "host", timeout: 1, unit: "hours" },
+            ];
+            chromeMock.tabs.query.resolves([makeTab(1)]);
+            storageData = { tab_1: now - 30 * 60 * 1000 };
+
+            const status = await getTabsStatus();
+
+            expect(status.mayExpire.map((t) => t.id)).to.deep.equal([1]);
+            expect(status.discarded).to.be.empty;
+        });
+
+        it("should discard tabs that are not discarded yet without closing them", async () => {
+            const now = Date.now();
+            chromeMock.tabs.query.resolves([
+                makeTab(1),
+                makeTab(2, { discarded: true }),
+                makeTab(3),
+            ]);
+            storageData = {
+                tab_1: now - 3 * hourMs,
+                tab_2: now - 3 * hourMs,
+                tab_3: now - 1 * hourMs,
+            };
+
+            await checkTabs();
+
+            expect(chromeMock.tabs.discard.calledOnceWith(1)).to.be.true;
+            expect(chromeMock.tabs.remove.called).to.be.false;
+        });
+
+        it("should close discarded tabs once they expire", async () => {
+            const now = Date.now();
+            chromeMock.tabs.query.resolves([makeTab(1, { discarded: true })]);
+            storageData = { tab_1: now - 13 * hourMs };
+
+            await checkTabs();
+
+            expect(removedTabIds()).to.include(1);
+            expect(chromeMock.tabs.discard.called).to.be.false;
+        });
+
+        it("should close discarded tabs when expiring all tabs", async () => {
+            const now = Date.now();
+            chromeMock.tabs.query.resolves([
+                makeTab(1, { discarded: true }),
+                makeTab(2),
+            ]);
+            storageData = { tab_1: now - 3 * hourMs, tab_2: now - 1 * hourMs };
+
+            const { closed } = await expireAllTabs();
+
+            expect(closed).to.equal(2);
+        });
+    });
+
+    describe("bookmarks archive", () => {
+        const tab = {
+            id: 1,
+            title: "Tab 1",
+            url: "https://1.com/",
+            windowId: 1,
+            index: 0,
+        };
+        let storageData;
+        let settings;
+
+        beforeEach(() => {
+            storageData = {};
+            settings = { archiveMode: "both", archiveFolder: "Old tabs" };
+            chromeMock.storage.local.get.callsFake((keys) => {
+                if (Array.isArray(keys) && keys.includes("timeout"))
+                    return Promise.resolve({ ...settings });
+                const result = {};
+                for (const key of [].concat(keys)) {
+                    if (key in storageData) result[key] = storageData[key];
+                }
+                return Promise.resolve(result);
+            });
+            chromeMock.storage.local.set.callsFake(async (data) => {
+                Object.assign(storageData, data);
+            });
+            chromeMock.tabs.remove.resolves();
+            chromeMock.bookmarks.search.resolves([]);
+            chromeMock.bookmarks.getChildren.resolves([]);
+            chromeMock.bookmarks.create.callsFake(async ({ title }) => ({
+                id: `id-${title}`,
+            }));
+        });
+
+        const today = () => {
+            const date = new Date();
+            const month = String(date.getMonth() + 1).padStart(2, "0");
+            const day = String(date.getDate()).padStart(2, "0");
+            return `${date.getFullYear()}-${month}-${day}`;
+        };
+
+        it("should bookmark closed tabs in a day subfolder", async () => {
+            await closeTab(tab);
+
+            const created = chromeMock.bookmarks.create
+                .getCalls()
+                .map((c) => c.args[0]);
+            expect(created).to.deep.equal([
+                { title: "Old tabs" },
+                { parentId: "id-Old tabs", title: today() },
+                { parentId: `id-${today()}`, title: "Tab 1", url: "https://1.com/" },
+            ]);
+            expect(await getExpiredTabs()).to.have.lengthOf(1);
+            expect(removedTabIds()).to.include(1);
+        });
+
+        it("should reuse existing folders", async () => {
+            chromeMock.bookmarks.search.resolves([
+                { id: "other", title: "Old tabs", url: "https://old.tabs/" },
+                { id: "root", title: "Old tabs" },
+            ]);
+            chromeMock.bookmarks.getChildren
+                .withArgs("root")
+                .resolves([{ id: "day", title: today() }]);
+
+            await closeTab(tab);
+
+            expect(chromeMock.bookmarks.create.calledOnce).to.be.true;
+            expect(chromeMock.bookmarks.create.firstCall.args[0].parentId).to.equal(
+                "day",
+            );
+        });
+
+        it("should skip the history in bookmarks only mode", async () => {
+            settings.archiveMode = "bookmarks";
+
+            const entry = await closeTab(tab);
+
+            expect(entry.id).to.be.a("string");
+            expect(await getExpiredTabs()).to.be.empty;
+            expect(
+                chromeMock.bookmarks.create.calledWithMatch({ url: "https://1.com/" }),
+            ).to.be.true;
+        });
+
+        it("should not undo older runs in bookmarks only mode", async () => {
+            settings.archiveMode = "bookmarks";
+            await seedHistory([
+                { id: "a", url: "http://a.com", batchId: "b0", closedAt: 1000 },
+            ]);
+
+            await handleCommand("undo-expiration");
+            const response = await handleMessage({ type: "undo-last-batch" }, {});
+
+            expect(response).to.deep.equal({ restored: 0 });
+            expect(chromeMock.tabs.create.called).to.be.false;
+            expect(await getExpiredTabs()).to.have.lengthOf(1);
+        });
+
+        it("should not bookmark tabs by default", async () => {
+            settings = {};
+
+            await closeTab(tab);
+
+            expect(chromeMock.bookmarks.create.called).to.be.false;
+            expect(await getExpiredTabs()).to.have.lengthOf(1);
+        });
+
+        it("should still close the tab when bookmarking fails", async () => {
+            chromeMock.bookmarks.create.rejects(new Error("Can't bookmark this URL"));
+
+            const entry = await closeTab(tab);
+
+            expect(entry).to.not.be.null;
+            expect(removedTabIds()).to.include(1);
+        });
+
+        it("should bookmark tabs before closing them", async () => {
+            await closeTab(tab);
+
+            expect(
+                chromeMock.bookmarks.create.lastCall.calledBefore(
+                    chromeMock.tabs.remove.firstCall,
+                ),
+            ).to.be.true;
+        });
+
+        it("should record the tab in history when bookmarking fails in bookmarks only mode", async () => {
+            settings.archiveMode = "bookmarks";
+            chromeMock.bookmarks.create.rejects(new Error("Folder not found"));
+
+            const entry = await closeTab(tab);
+
+            expect(removedTabIds()).to.include(1);
+            const history = await getExpiredTabs();
+            expect(history.map(({ id }) => id)).to.deep.equal([entry.id]);
+        });
+
+        it("should keep history without the bookmarks permission", async () => {
+            settings.archiveMode = "bookmarks";
+            chromeMock.permissions.contains.resolves(false);
+
+            await closeTab(tab);
+
+            expect(chromeMock.bookmarks.create.called).to.be.false;
+            expect(await getExpiredTabs()).to.have.lengthOf(1);
+            expect(removedTabIds()).to.include(1);
+        });
+
+        it("should remove the bookmark of a tab that could not be closed", async () => {
+            settings.archiveMode = "bookmarks";
+            chromeMock.tabs.remove.rejects(new Error("Tab is being dragged"));
+
+            const entry = await closeTab(tab);
+
+            expect(entry).to.be.null;
+            expect(chromeMock.bookmarks.remove.calledOnceWith("id-Tab 1")).to.be.true;
+            expect(await getExpiredTabs()).to.be.empty;
+        });
+    });
+
+    describe("duplicate tabs", () => {
+        const minuteMs = unitToMs("minutes");
+        let storageData;
+        let settings;
+
+        const makeTab = (id, url, extra = {}) => ({
+            id,
+            windowId: 1,
+            active: false,
+            pinned: false,
+            audible: false,
+            title: `Tab ${id}`,
+            url,
+            ...extra,
+        });
+
+        beforeEach(() => {
+            storageData = {};
+            settings = {
+                timeout: defaults.timeout,
+                unit: defaults.unit,
+                closeDuplicates: true,
+            };
+            chromeMock.storage.local.get.callsFake((keys) => {
+                if (keys === null) return Promise.resolve({ ...storageData });
+                if (Array.isArray(keys) && keys.includes("timeout"))
+                    return Promise.resolve({ ...settings });
+                const result = {};
+                for (const key of [].concat(keys)) {
+                    if (key in storageData) result[key] = storageData[key];
+                }
+                return Promise.resolve(result);
+            });
+            chromeMock.storage.local.set.callsFake(async (data) => {
+                Object.assign(storageData, data);
+            });
+            chromeMock.tabs.remove.resolves();
+        });
+
+        it("should keep the most recently focused copy", async () => {
+            const now = Date.now();
+            chromeMock.tabs.query.resolves([
+                makeTab(1, "https://a.com/page?utm_source=mail"),
+                makeTab(2, "https://a.com/page#section"),
+                makeTab(3, "https://a.com/page"),
+                makeTab(4, "https://a.com/other"),
+            ]);
+            storageData = {
+                tab_1: now - 10 * minuteMs,
+                tab_2: now - 1 * minuteMs,
+                tab_3: now - 5 * minuteMs,
+                tab_4: now - 20 * minuteMs,
+            };
+
+            await checkTabs();
+
+            expect(removedTabIds()).to.deep.equal([1, 3]);
+            const history = await getExpiredTabs();
+            expect(history.map((t) => t.reason)).to.deep.equal([
+                "duplicate",
+                "duplicate",
+            ]);
+        });
+
+        it("should keep the active copy and never close shielded copies", async () => {
+            const now = Date.now();
+            chromeMock.tabs.query.resolves([
+                makeTab(1, "https://a.com/", { active: true }),
+                makeTab(2, "https://a.com/", { pinned: true }),
+                makeTab(3, "https://a.com/"),
+                makeTab(4, "https://a.com/"),
+            ]);
+            storageData = {
+                tab_1: now - 30 * minuteMs,
+                tab_2: now - 1 * minuteMs,
+                tab_3: now - 1 * minuteMs,
+                tab_4: now - 1 * minuteMs,
+                protected_4: true,
+            };
+
+            await checkTabs();
+
+            expect(removedTabIds()).to.deep.equal([3]);
+        });
+
+        it("should keep query parameters that are not tracking ones", async () => {
+            const now = Date.now();
+            chromeMock.tabs.query.resolves([
+                makeTab(1, "https://a.com/search?q=one&fbclid=x"),
+                makeTab(2, "https://a.com/search?q=two"),
+                makeTab(3, "https://a.com/search?q=one"),
+            ]);
+            storageData = {
+                tab_1: now - 1 * minuteMs,
+                tab_2: now - 5 * minuteMs,
+                tab_3: now - 5 * minuteMs,
+            };
+
+            await checkTabs();
+
+            expect(removedTabIds()).to.deep.equal([3]);
+        });
+
+        it("should ignore non-web pages", async () => {
+            const now = Date.now();
+            chromeMock.tabs.query.resolves([
+                makeTab(1, "chrome://newtab/"),
+                makeTab(2, "chrome://newtab/"),
+            ]);
+            storageData = {
+                tab_1: now - 1 * minuteMs,
+                tab_2: now - 5 * minuteMs,
+            };
+
+            await checkTabs();
+
+            expect(chromeMock.tabs.remove.called).to.be.false;
+        });
+
+        it("should not close duplicates when the setting is off", async () => {
+            const now = Date.now();
+            settings.closeDuplicates = false;
+            chromeMock.tabs.query.resolves([
+                makeTab(1, "https://a.com/"),
+                makeTab(2, "https://a.com/"),
+            ]);
+            storageData = {
+                tab_1: now - 1 * minuteMs,
+                tab_2: now - 5 * minuteMs,
+            };
+
+            await checkTabs();
+
+            expect(chromeMock.tabs.remove.called).to.be.false;
+        });
+    });
+
+    describe("unsaved work", () => {
+        let storageData;
+
+        const makeTab = (id) => ({
+            id,
+            windowId: 1,
+            active: false,
+            pinned: false,
+            audible: false,
+            title: `Tab ${id}`,
+            url: `https://${id}.com/`,
+        });
+
+        beforeEach(() => {
+            storageData = {};
+            chromeMock.storage.local.get.callsFake((keys) => {
+                if (keys === null) return Promise.resolve({ ...storageData });
+                if (Array.isArray(keys) && keys.includes("timeout"))
+                    return Promise.resolve({ timeout: 1, unit: "hours" });
+                const result = {};
+                for (const key of [].concat(keys)) {
+                    if (key in storageData) result[key] = storageData[key];
+                }
+                return Promise.resolve(result);
+            });
+            chromeMock.storage.local.set.callsFake(async (data) => {
+                Object.assign(storageData, data);
+            });
+            chromeMock.tabs.remove.resolves();
+        });
+
+        it("should keep expired tabs with unsaved work open", async () => {
+            const longAgo = Date.now() - 2 * unitToMs("hours");
+            chromeMock.tabs.query.resolves([makeTab(1), makeTab(2)]);
+            storageData = { tab_1: longAgo, tab_2: longAgo, unsaved_1: true };
+
+            const {
+                unsaved,
+                protected: protectedTabs,
+                expired,
+            } = await getTabsStatus();
+            expect(unsaved.map((t) => t.id)).to.deep.equal([1]);
+            expect(protectedTabs).to.be.empty;
+            expect(expired.map((t) => t.id)).to.deep.equal([2]);
+
+            await checkTabs();
+
+            expect(removedTabIds()).to.deep.equal([2]);
+        });
+
+        it("should rank protection above unsaved work", async () => {
+            chromeMock.tabs.query.resolves([makeTab(1)]);
+            storageData = { tab_1: Date.now(), unsaved_1: true, protected_1: true };
+
+            const { unsaved, protected: protectedTabs } = await getTabsStatus();
+            expect(unsaved).to.be.empty;
+            expect(protectedTabs.map((t) => t.id)).to.deep.equal([1]);
+        });
+    });
+
+    describe("tab state across restarts", () => {
+        const hourMs = unitToMs("hours");
+        let storageData;
+        let settings;
+        let sessionData;
+
+        const makeTab = (id, url, index) => ({ id, url, index, windowId: 1 });
+
+        beforeEach(() => {
+            storageData = {};
+            settings = {};
+            chromeMock.storage.local.get.callsFake((keys) => {
+                if (keys === null) return Promise.resolve({ ...storageData });
+                if (Array.isArray(keys) && keys.includes("timeout"))
+                    return Promise.resolve({ ...settings });
+                const result = {};
+                for (const key of [].concat(keys)) {
+                    if (key in storageData) result[key] = storageData[key];
+                }
+                return Promise.resolve(result);
+            });
+            chromeMock.storage.local.set.callsFake(async (data) => {
+                Object.assign(storageData, data);
+            });
+            chromeMock.storage.local.remove.callsFake(async (keys) => {
+                for (const key of [].concat(keys)) delete storageData[key];
+            });
+            sessionData = {};
+            chromeMock.storage.session.get.callsFake(async (key) =>
+                key in sessionData ? { [key]: sessionData[key] } : {},
+            );
+            chromeMock.storage.session.set.callsFake(async (data) => {
+                Object.assign(sessionData, data);
+            });
+        });
+
+        it("should save a snapshot of the open tabs", async () => {
+            chromeMock.tabs.query.resolves([
+                { ...makeTab(1, "https://a.com/", 0), title: "A" },
+                makeTab(2, "https://b.com/", 1),
+            ]);
+
+            await saveTabSnapshot();
+
+            expect(storageData.tabSnapshot.tabs).to.deep.equal([
+                { id: 1, url: "https://a.com/", index: 0 },
+                { id: 2, url: "https://b.com/", index: 1 },
+            ]);
+            expect(storageData.tabSnapshot.savedAt).to.be.closeTo(Date.now(), 1000);
+        });
+
+        it("should carry the state over to the restored tabs", async () => {
+            const clock = sinon.useFakeTimers({
+                now: new Date().getTime(),
+                toFake: ["Date"],
+            });
+            const now = Date.now();
+            chromeMock.tabs.query.resolves([
+                makeTab(1, "https://b.com/", 0),
+                makeTab(2, "https://a.com/", 1),
+                makeTab(3, "https://a.com/", 5),
+            ]);
+            storageData = {
+                tabSnapshot: {
+                    savedAt: now - 2 * hourMs,
+                    tabs: [
+                        { id: 1, url: "https://a.com/", index: 0 },
+                        { id: 7, url: "https://a.com/", index: 4 },
+                        { id: 8, url: "https://b.com/", index: 1 },
+                        { id: 9, url: "https://gone.com/", index: 2 },
+                    ],
+                },
+                tab_1: now - 3 * hourMs,
+                protected_1: true,
+                unsaved_1: true,
+                tab_7: now - 4 * hourMs,
+                timeout_7: { timeout: 1, unit: "days" },
+                tab_8: now - 5 * hourMs,
+                tab_9: now - 6 * hourMs,
+                protected_9: true,
+            };
+
+            const restoredIds = await restoreTabState();
+            clock.restore();
+
+            expect([...restoredIds].sort()).to.deep.equal([1, 2, 3]);
+            const { tabSnapshot, ...tabState } = storageData;
+            expect(tabState).to.deep.equal({
+                tab_2: now - 1 * hourMs,
+                protected_2: true,
+                tab_3: now - 2 * hourMs,
+                timeout_3: { timeout: 1, unit: "days" },
+                tab_1: now - 3 * hourMs,
+            });
+        });
+
+        it("should leave out restored tabs that already finished loading", async () => {
+            const now = Date.now();
+            chromeMock.tabs.query.resolves([
+                { ...makeTab(4, "https://a.com/", 0), status: "complete" },
+                { ...makeTab(5, "https://b.com/", 1), status: "loading" },
+            ]);
+            storageData = {
+                tabSnapshot: {
+                    savedAt: now,
+                    tabs: [
+                        { id: 1, url: "https://a.com/", index: 0 },
+                        { id: 2, url: "https://b.com/", index: 1 },
+                    ],
+                },
+                tab_1: now - hourMs,
+                tab_2: now - hourMs,
+            };
+
+            const restoredIds = await restoreTabState();
+
+            expect([...restoredIds]).to.deep.equal([5]);
+            expect(storageData).to.include.keys("tab_4", "tab_5");
+        });
+
+        it("should skip only the first load of restored tabs, across background restarts", async () => {
+            const now = Date.now();
+            chromeMock.tabs.query.resolves([
+                { ...makeTab(4, "https://a.com/", 0), status: "complete" },
+                { ...makeTab(5, "https://b.com/", 1), status: "loading" },
+            ]);
+            storageData = {
+                tabSnapshot: {
+                    savedAt: now,
+                    tabs: [
+                        { id: 1, url: "https://a.com/", index: 0 },
+                        { id: 2, url: "https://b.com/", index: 1 },
+                    ],
+                },
+            };
+
+            await restoreTabState();
+
+            // Kept in session storage, not in the memory of the background
+            expect(sessionData).to.deep.equal({ restoredTabIds: [5] });
+            expect(await takeRestoredTab(4)).to.be.false;
+            expect(await takeRestoredTab(5)).to.be.true;
+            expect(await takeRestoredTab(5)).to.be.false;
+        });
+
+        it("should keep the closed time when it counts towards expiry", async () => {
+            const now = Date.now();
+            settings.countClosedTime = true;
+            chromeMock.tabs.query.resolves([makeTab(4, "https://a.com/", 0)]);
+            storageData = {
+                tabSnapshot: {
+                    savedAt: now - 2 * hourMs,
+                    tabs: [{ id: 1, url: "https://a.com/", index: 0 }],
+                },
+                tab_1: now - 3 * hourMs,
+            };
+
+            await restoreTabState();
+
+            expect(storageData.tab_4).to.equal(now - 3 * hourMs);
+            expect(storageData).to.not.have.property("tab_1");
+        });
+
+        it("should do nothing without a snapshot", async () => {
+            chromeMock.tabs.query.resolves([makeTab(1, "https://a.com/", 0)]);
+            storageData = { tab_1: Date.now() };
+
+            const restoredIds = await restoreTabState();
+
+            expect(restoredIds.size).to.equal(0);
+            expect(chromeMock.storage.local.remove.called).to.be.false;
+            expect(chromeMock.storage.local.set.called).to.be.false;
+        });
+    });
+
+    describe("history metadata", () => {
+        let storageData;
+
+        beforeEach(() => {
+            storageData = {};
+            chromeMock.storage.local.get.callsFake((keys) => {
+                if (Array.isArray(keys) && keys.includes("timeout"))
+                    return Promise.resolve({});
+                const result = {};
+                for (const key of [].concat(keys)) {
+                    if (key in storageData) result[key] = storageData[key];
+                }
+                return Promise.resolve(result);
+            });
+            chromeMock.storage.local.set.callsFake(async (data) => {
+                Object.assign(storageData, data);
+            });
+            chromeMock.tabs.remove.resolves();
+        });
+
+        it("should accumulate the focus time of each tab", async () => {
+            const clock = sinon.useFakeTimers({ now: 1000000, toFake: ["Date"] });
+            try {
+                await recordTabFocus(1, 10);
+                clock.tick(5000);
+                await recordTabFocus(2, 10);
+                clock.tick(3000);
+                await recordTabFocus(3, 20);
+                await recordTabFocus(1, 10);
+                clock.tick(2000);
+                await recordTabFocus(2, 10);
+            } finally {
+                clock.restore();
+            }
+
+            expect(storageData.focus_1).to.equal(7000);
+            expect(storageData.focus_2).to.equal(3000);
+            expect(storageData).to.not.have.property("focus_3");
+            expect(storageData.focusedTabs).to.deep.equal({
+                10: { tabId: 2, since: 1010000 },
+                20: { tabId: 3, since: 1008000 },
+            });
+        });
+
+        it("should forget the focus of a removed tab", async () => {
+            storageData.focusedTabs = {
+                10: { tabId: 1, since: 0 },
+                20: { tabId: 2, since: 0 },
+            };
+
+            await forgetTabFocus(1, 10);
+            await forgetTabFocus(3, 20);
+
+            expect(storageData.focusedTabs).to.deep.equal({
+                20: { tabId: 2, since: 0 },
+            });
+        });
+
+        it("should record the tab metadata in its history entry", async () => {
+            const clock = sinon.useFakeTimers({ now: 1000000, toFake: ["Date"] });
+            chromeMock.tabGroups.get.withArgs(4).resolves({
+                id: 4,
+                title: "Research",
+                color: "blue",
+                collapsed: false,
+            });
+            await recordTabOpened(1);
+            storageData.focus_1 = 60000;
+            storageData.focusedTabs = { 10: { tabId: 1, since: 990000 } };
+
+            let entry;
+            try {
+                entry = await closeTab({
+                    id: 1,
+                    title: "Tab 1",
+                    url: "https://1.com/",
+                    windowId: 10,
+                    index: 2,
+                    favIconUrl: "https://1.com/favicon.ico",
+                    groupId: 4,
+                    cookieStoreId: "firefox-container-1",
+                    incognito: false,
+                    lastAccessed: 995000,
+                });
+            } finally {
+                clock.restore();
+            }
+
+            expect(entry).to.deep.include({
+                favIconUrl: "https://1.com/favicon.ico",
+                group: { title: "Research", color: "blue" },
+                cookieStoreId: "firefox-container-1",
+                incognito: false,
+                openedAt: 1000000,
+                lastFocusedAt: 995000,
+                focusTime: 70000,
+            });
+            expect(await getExpiredTabs()).to.deep.equal([entry]);
+        });
+
+        it("should fall back to the last activity without lastAccessed", async () => {
+            storageData.tab_1 = 123;
+
+            const entry = await closeTab({
+                id: 1,
+                title: "Tab 1",
+                url: "https://1.com/",
+                windowId: 10,
+                index: 0,
+                groupId: -1,
+            });
+
+            expect(entry.lastFocusedAt).to.equal(123);
+            expect(entry.focusTime).to.equal(0);
+            expect(entry.group).to.be.undefined;
+            expect(chromeMock.tabGroups.get.called).to.be.false;
+        });
+    });
+
+    describe("storage migrations", () => {
+        let storageData;
+        let syncData;
+
+        beforeEach(() => {
+            syncData = {};
+            chromeMock.storage.sync.get.callsFake(async (keys) => {
+                const result = {};
+                for (const key of [].concat(keys)) {
+                    if (key in syncData) result[key] = structuredClone(syncData[key]);
+                }
+                return result;
+            });
+            chromeMock.storage.sync.set.callsFake(async (data) => {
+                Object.assign(syncData, data);
+            });
+            chromeMock.storage.sync.remove.callsFake(async (keys) => {
+                for (const key of [].concat(keys)) delete syncData[key];
+            });
+            chromeMock.storage.local.get.callsFake(async () =>
+                structuredClone(storageData),
+            );
+            chromeMock.storage.local.set.callsFake(async (data) => {
+                Object.assign(storageData, data);
+            });
+            chromeMock.storage.local.remove.callsFake(async (keys) => {
+                for (const key of [].concat(keys)) delete storageData[key];
+            });
+        });
+
+        it("should upgrade unversioned storage", async () => {
+            storageData = {
+                timeout: 2,
+                tab_1: 123456,
+                protected_1: true,
+                protected_2: false,
+                expiredTabs: [
+                    { id: "a", url: "https://a.com/", closedAt: 1 },
+                    { url: "https://b.com/", closedAt: 2 },
+                ],
+            };
+
+            const result = await runMigrations();
+
+            expect(result).to.deep.equal({
+                from: 0,
+                to: SCHEMA_VERSION,
+                quarantined: 0,
+            });
+            expect(storageData.schemaVersion).to.equal(SCHEMA_VERSION);
+            expect(storageData).to.not.have.any.keys(
+                "protected_2",
+                "expiredTabs",
+                "timeout",
+            );
+            expect(syncData).to.deep.equal({
+                timeout: 2,
+                settingsModifiedAt: { timeout: 0 },
+            });
+            const history = await getExpiredTabs();
+            expect(history.map((t) => t.url)).to.deep.equal([
+                "https://b.com/",
+                "https://a.com/",
+            ]);
+            expect(history[0].id).to.be.a("string");
+            const changedKeys = Object.keys(
+                chromeMock.storage.local.set.firstCall.args[0],
+            );
+            expect(changedKeys).to.have.members(["schemaVersion"]);
+        });
+
+        it("should move the history to IndexedDB once", async () => {
+            storageData = {
+                schemaVersion: 1,
+                expiredTabs: [
+                    { id: "new", title: "New", url: "https://new.com/", closedAt: 2 },
+                    { id: 1, title: "Old", url: "https://old.com/", closedAt: 1 },
+                    { id: "broken", title: "No URL", closedAt: 3 },
+                ],
+            };
+
+            const result = await runMigrations();
+            await runMigrations();
+
+            expect(result.quarantined).to.equal(1);
+            const history = await getExpiredTabs();
+            expect(history.map((t) => t.id)).to.deep.equal(["new", "1"]);
+            expect(storageData).to.not.have.property("expiredTabs");
+            expect(storageData.quarantine.map(({ value }) => value.id)).to.deep.equal([
+                "broken",
+            ]);
+        });
+
+        it("should move the whole history whatever the history limit", async () => {
+            storageData = {
+                historyLimit: -1,
+                expiredTabs: Array.from({ length: 1500 }, (_, i) => ({
+                    id: `t${i}`,
+                    url: `https://example.com/${i}`,
+                    closedAt: i,
+                })),
+            };
+
+            await runMigrations();
+
+            expect(await getExpiredTabs()).to.have.lengthOf(1500);
+            expect(syncData.historyLimit).to.equal(-1);
+        });
+
+        it("should not duplicate entries moved before a failed storage write", async () => {
+            storageData = {
+                expiredTabs: [{ url: "https://a.com/", closedAt: 1 }],
+            };
+            chromeMock.storage.local.set
+                .onFirstCall()
+                .rejects(new Error("Quota exceeded"));
+
+            let error;
+            try {
+                await runMigrations();
+            } catch (err) {
+                error = err;
+            }
+            await runMigrations();
+
+            expect(error?.message).to.equal("Quota exceeded");
+            expect(await getExpiredTabs()).to.have.lengthOf(1);
+            expect(storageData).to.not.have.property("expiredTabs");
+        });
+
+        it("should quarantine malformed values", async () => {
+            storageData = {
+                schemaVersion: SCHEMA_VERSION,
+                timeout: 0,
+                unit: "hours",
+                tab_abc: 123456,
+                tab_1: "yesterday",
+                tab_2: 123456,
+                timeout_2: { timeout: 1, unit: "weeks" },
+                expiredTabs: [
+                    { id: "a", url: "https://a.com/", closedAt: 1 },
+                    { id: "b", title: "No URL", closedAt: 2 },
+                ],
+            };
+
+            const result = await runMigrations();
+
+            expect(result.quarantined).to.equal(5);
+            expect(storageData).to.include({ unit: "hours", tab_2: 123456 });
+            expect(storageData).to.not.have.any.keys(
+                "timeout",
+                "tab_abc",
+                "tab_1",
+                "timeout_2",
+            );
+            expect(storageData.expiredTabs.map((t) => t.id)).to.deep.equal(["a"]);
+            expect(
+                storageData.quarantine.map(({ key, reason }) => `${key}: ${reason}`),
+            ).to.have.members([
+                "timeout: invalid value",
+                "tab_abc: invalid tab id",
+                "tab_1: invalid value",
+                "timeout_2: invalid value",
+                "expiredTabs: invalid history entry",
+            ]);
+            expect(storageData.quarantine[0].quarantinedAt).to.be.a("number");
+        });
+
+        it("should quarantine malformed synced settings", async () => {
+            storageData = { schemaVersion: SCHEMA_VERSION };
+            syncData = { timeout: -5, unit: "hours", archiveMode: "trash" };
+
+            const result = await runMigrations();
+
+            expect(result.quarantined).to.equal(2);
+            expect(syncData).to.deep.equal({ unit: "hours" });
+            expect(
+                storageData.quarantine.map(({ key, reason }) => `${key}: ${reason}`),
+            ).to.have.members([
+                "timeout: invalid synced value",
+                "archiveMode: invalid synced value",
+            ]);
+        });
+
+        it("should move settings of older versions to sync storage once", async () => {
+            storageData = {
+                schemaVersion: 2,
+                timeout: 5,
+                unit: "days",
+                [SETTINGS_MODIFIED_KEY]: { timeout: 3000 },
+            };
+            syncData = {
+                timeout: 60,
+                unit: "minutes",
+                [SETTINGS_MODIFIED_KEY]: { timeout: 1000, unit: 1000 },
+            };
+
+            await runMigrations();
+            storageData.timeout = 10;
+            await runMigrations();
+
+            expect(syncData).to.deep.equal({
+                timeout: 5,
+                unit: "minutes",
+                [SETTINGS_MODIFIED_KEY]: { timeout: 3000, unit: 1000 },
+            });
+            expect(storageData).to.deep.equal({
+                schemaVersion: SCHEMA_VERSION,
+                timeout: 10,
+            });
+        });
+
+        it("should keep the settings on this device when they cannot be synced", async () => {
+            storageData = { schemaVersion: 2, timeout: 5 };
+            chromeMock.storage.sync.set.rejects(new Error("QUOTA_BYTES"));
+
+            const result = await runMigrations();
+
+            expect(result.to).to.equal(SCHEMA_VERSION);
+            expect(storageData).to.include({ timeout: 5, syncSettings: false });
+            expect(syncData).to.deep.equal({});
+        });
+
+        it("should not write anything when storage is up to date", async () => {
+            storageData = { schemaVersion: SCHEMA_VERSION, tab_1: 123456 };
+
+            await runMigrations();
+
+            expect(chromeMock.storage.local.set.called).to.be.false;
+            expect(chromeMock.storage.local.remove.called).to.be.false;
+        });
+
+        it("should leave storage from a newer version untouched", async () => {
+            storageData = { schemaVersion: SCHEMA_VERSION + 1, tab_abc: "?" };
+
+            const result = await runMigrations();
+
+            expect(result.to).to.equal(SCHEMA_VERSION + 1);
+            expect(chromeMock.storage.local.set.called).to.be.false;
+            expect(chromeMock.storage.local.remove.called).to.be.false;
+        });
+
+        it("should validate every tab-scoped key", () => {
+            expect(Object.keys(TAB_VALUE_VALIDATORS)).to.have.members(TAB_KEY_PREFIXES);
+        });
+    });
+
+    describe("check scheduling", () => {
+        const minuteMs = unitToMs("minutes");
+        const timeoutMs = defaults.timeout * defaultUnitMultiplier;
+        let storageData;
+        let settings;
+
+        const makeTab = (id, overrides = {}) => ({
+            id,
+            active: false,
+            pinned: false,
+            audible: false,
+            title: `Tab ${id}`,
+            url: `https://${id}.com/`,
+            ...overrides,
+        });
+
+        beforeEach(() => {
+            storageData = {};
+            settings = { timeout: defaults.timeout, unit: defaults.unit };
+            chromeMock.storage.local.get.callsFake((keys) => {
+                if (keys === null) return Promise.resolve({ ...storageData });
+                if (Array.isArray(keys) && keys.includes("timeout"))
+                    return Promise.resolve({ ...settings });
+                const result = {};
+                for (const key of [].concat(keys)) {
+                    if (key in storageData) result[key] = storageData[key];
+                }
+                return Promise.resolve(result);
+            });
+            chromeMock.storage.local.set.callsFake(async (data) => {
+                Object.assign(storageData, data);
+            });
+            chromeMock.alarms.create.resolves();
+            chromeMock.alarms.clear.resolves(true);
+        });
+
+        it("should plan the next check right after the first tab expires", async () => {
+            const now = Date.now();
+            chromeMock.tabs.query.resolves([makeTab(1), makeTab(2)]);
+            storageData = {
+                tab_1: now - timeoutMs + 10 * minuteMs,
+                tab_2: now - timeoutMs + 5 * minuteMs,
+            };
+
+            const status = await getTabsStatus();
+
+            expect(status.nextChangeAt).to.equal(storageData.tab_2 + timeoutMs + 1);
+        });
+
+        it("should plan the next check at the warning and discard stages", async () => {
+            const now = Date.now();
+            settings.warningMinutes = 5;
+            chromeMock.tabs.query.resolves([makeTab(1)]);
+            storageData = { tab_1: now - timeoutMs + 10 * minuteMs };
+
+            const warned = await getTabsStatus();
+
+            expect(warned.nextChangeAt).to.equal(
+                storageData.tab_1 + timeoutMs - 5 * minuteMs,
+            );
+
+            settings.warningMinutes = 0;
+            settings.discardAfter = 1;
+            storageData = { tab_1: now - 30 * minuteMs };
+
+            const discarded = await getTabsStatus();
+
+            expect(discarded.nextChangeAt).to.equal(storageData.tab_1 + 60 * minuteMs);
+        });
+
+        it("should plan the next check when a protection or the pause ends", async () => {
+            const now = Date.now();
+            chromeMock.tabs.query.resolves([makeTab(1)]);
+            storageData = {
+                tab_1: now,
+                protected_1: now + 2 * minuteMs,
+                pausedUntil: now + minuteMs,
+            };
+
+            const status = await getTabsStatus();
+
+            expect(status.nextChangeAt).to.equal(storageData.pausedUntil);
+        });
+
+        it("should not plan a check when no tab can expire by itself", async () => {
+            const now = Date.now();
+            chromeMock.tabs.query.resolves([
+                makeTab(1, { pinned: true }),
+                makeTab(2, { active: true }),
+                makeTab(3),
+            ]);
+            storageData = { tab_1: now, tab_2: now, tab_3: now, protected_3: true };
+
+            const status = await getTabsStatus();
+
+            expect(status.nextChangeAt).to.equal(Infinity);
+        });
+
+        it("should not plan a check while the clock is frozen by idleness", async () => {
+            const now = Date.now();
+            settings.pauseWhenIdle = true;
+            chromeMock.tabs.query.resolves([makeTab(1)]);
+            storageData = { tab_1: now - timeoutMs + minuteMs, idleSince: now };
+
+            const status = await getTabsStatus();
+
+            expect(status.nextChangeAt).to.equal(Infinity);
+        });
+
+        it("should return the next check from checkTabs", async () => {
+            const now = Date.now();
+            chromeMock.tabs.query.resolves([makeTab(1)]);
+            storageData = { tab_1: now };
+
+            expect(await checkTabs()).to.equal(now + timeoutMs + 1);
+        });
+
+        it("should set an alarm for the next check", async () => {
+            const at = Date.now() + 10 * minuteMs;
+
+            await scheduleCheck(at);
+
+            expect(
+                chromeMock.alarms.create.calledOnceWith(CHECK_ALARM_NAME, { when: at }),
+            ).to.be.true;
+        });
+
+        it("should clear the alarm when no check is planned", async () => {
+            await scheduleCheck(Infinity);
+
+            expect(chromeMock.alarms.clear.calledOnceWith(CHECK_ALARM_NAME)).to.be.true;
+            expect(chromeMock.alarms.create.called).to.be.false;
+        });
+
+        it("should check again a minute after a failed check", async () => {
+            const clock = sinon.useFakeTimers({ now: 1000000, toFake: ["Date"] });
+            chromeMock.tabs.query.rejects(new Error("No tabs"));
+
+            try {
+                await runCheck();
+            } finally {
+                clock.restore();
+            }
+
+            expect(
+                chromeMock.alarms.create.calledOnceWith(CHECK_ALARM_NAME, {
+                    when: 1000000 + minuteMs,
+                }),
+            ).to.be.true;
+        });
+
+        it("should merge check requests made before the check starts", async () => {
+            const now = Date.now();
+            chromeMock.tabs.query.resolves([makeTab(1)]);
+            storageData = { tab_1: now };
+
+            const first = requestCheck();
+            const second = requestCheck();
+            await Promise.all([first, second]);
+
+            expect(second).to.equal(first);
+            expect(chromeMock.alarms.create.calledOnce).to.be.true;
+        });
+
+        it("should check again after changes to the status of the tabs only", () => {
+            expect(changesTabsStatus({ tab_1: {} }, "local")).to.be.true;
+            expect(changesTabsStatus({ protected_1: {} }, "local")).to.be.true;
+            expect(changesTabsStatus({ timeout: {} }, "local")).to.be.true;
+            expect(changesTabsStatus({ pausedUntil: {} }, "local")).to.be.true;
+            expect(changesTabsStatus({ idleSince: {} }, "local")).to.be.true;
+            expect(changesTabsStatus({ warned_1: {} }, "local")).to.be.false;
+            expect(changesTabsStatus({ tabSnapshot: {} }, "local")).to.be.false;
+            expect(changesTabsStatus({ syncSettings: {} }, "local")).to.be.true;
+            expect(changesTabsStatus({ timeout: {} }, "sync")).to.be.true;
+            expect(changesTabsStatus({ tab_1: {} }, "sync")).to.be.false;
+        });
+    });
+
+    describe("tab state mirror", () => {
+        let storageData;
+        let stopWatching;
+
+        const makeTab = (id, overrides = {}) => ({
+            id,
+            windowId: 1,
+            index: id - 1,
+            active: false,
+            pinned: false,
+            audible: false,
+            title: `Tab ${id}`,
+            url: `https://${id}.com/`,
+            ...overrides,
+        });
+
+        /**
+         * Sends an event to the listener the mirror registered.
+         * @param {Object} event - e.g. `chromeMock.tabs.onCreated`
+         * @param {...*} args
+         */
+        const emit = (event, ...args) => event.addListener.lastCall.args[0](...args);
+
+        const trackedIds = async () => {
+            const { visibleTabs, hiddenTabs } = await getTrackedTabs();
+            return [...visibleTabs, ...hiddenTabs].map((tab) => tab.id);
+        };
+
+        beforeEach(() => {
+            storageData = { tab_1: 1000, tab_2: 2000 };
+            chromeMock.storage.local.get.callsFake((keys) => {
+                if (keys === null) return Promise.resolve({ ...storageData });
+                return Promise.resolve({});
+            });
+            chromeMock.tabs.query.resolves([makeTab(1), makeTab(2)]);
+            stopWatching = watchTabState();
+        });
+
+        afterEach(() => {
+            stopWatching();
+        });
+
+        it("should read the tabs and the storage only once", async () => {
+            await getTrackedTabs();
+            const { visibleTabs, storedData } = await getTrackedTabs();
+
+            expect(visibleTabs.map((tab) => tab.id)).to.deep.equal([1, 2]);
+            expect(storedData).to.deep.equal({ tab_1: 1000, tab_2: 2000 });
+            expect(chromeMock.tabs.query.calledOnce).to.be.true;
+            expect(chromeMock.storage.local.get.withArgs(null).calledOnce).to.be.true;
+        });
+
+        it("should follow storage changes", async () => {
+            await getTrackedTabs();
+
+            emit(
+                chromeMock.storage.onChanged,
+                {
+                    tab_1: { oldValue: 1000, newValue: 3000 },
+                    tab_2: { oldValue: 2000 },
+                },
+                "local",
+            );
+            emit(chromeMock.storage.onChanged, { tab_3: { newValue: 1 } }, "sync");
+
+            const { storedData } = await getTrackedTabs();
+            expect(storedData).to.deep.equal({ tab_1: 3000 });
+        });
+
+        it("should follow tabs being opened, moved, activated and closed", async () => {
+            await getTrackedTabs();
+
+            emit(chromeMock.tabs.onCreated, makeTab(3, { index: 0 }));
+            emit(chromeMock.tabs.onMoved, 2, { windowId: 1, fromIndex: 2, toIndex: 0 });
+            emit(chromeMock.tabs.onActivated, { tabId: 1, windowId: 1 });
+            emit(chromeMock.tabs.onRemoved, 3, { windowId: 1 });
+
+            const { visibleTabs } = await getTrackedTabs();
+            const positions = Object.fromEntries(
+                visibleTabs.map((tab) => [tab.id, [tab.index, tab.active]]),
+            );
+            expect(positions).to.deep.equal({ 1: [1, true], 2: [0, false] });
+            expect(chromeMock.tabs.query.calledOnce).to.be.true;
+        });
+
+        it("should update the last access time of activated tabs", async () => {
+            const clock = sinon.useFakeTimers({ now: 50000, toFake: ["Date"] });
+            try {
+                chromeMock.tabs.query.resolves([
+                    makeTab(1, { lastAccessed: 1000 }),
+                    makeTab(2, { lastAccessed: 2000 }),
+                ]);
+                await getTrackedTabs();
+
+                emit(chromeMock.tabs.onActivated, { tabId: 1, windowId: 1 });
+
+                const { visibleTabs } = await getTrackedTabs();
+                expect(visibleTabs.map((tab) => tab.lastAccessed)).to.deep.equal([
+                    50000, 2000,
+                ]);
+            } finally {
+                clock.restore();
+            }
+        });
+
+        it("should read again when an event happened while reading", async () => {
+            chromeMock.tabs.query.callsFake(async () => {
+                if (chromeMock.tabs.query.callCount === 1) {
+                    emit(chromeMock.tabs.onRemoved, 2, { windowId: 1 });
+                }
+                return [makeTab(1)];
+            });
+
+            await getTrackedTabs();
+            await getTrackedTabs();
+            await getTrackedTabs();
+
+            expect(chromeMock.tabs.query.calledTwice).to.be.true;
+        });
+
+        it("should classify tabs from the mirror", async () => {
+            const timeoutMs = defaults.timeout * defaultUnitMultiplier;
+            await getTrackedTabs();
+            emit(
+                chromeMock.storage.onChanged,
+                {
+                    tab_1: { oldValue: 1000, newValue: Date.now() },
+                    tab_2: { oldValue: 2000, newValue: Date.now() - timeoutMs - 1000 },
+                },
+                "local",
+            );
+            chromeMock.storage.local.get.resetHistory();
+
+            const status = await getTabsStatus();
+
+            expect(status.expired.map((tab) => tab.id)).to.deep.equal([2]);
+            expect(chromeMock.storage.local.get.calledWith(null)).to.be.false;
+        });
+
+        it("should read from the browser again once stopped", async () => {
+            await getTrackedTabs();
+            stopWatching();
+
+            expect(await trackedIds()).to.deep.equal([1, 2]);
+            expect(chromeMock.tabs.query.calledTwice).to.be.true;
+            expect(chromeMock.storage.onChanged.removeListener.calledOnce).to.be.true;
+        });
+    });
+
+    describe("write queue", () => {
+        it("should run the next tasks when one fails", async () => {
+            const failing = enqueueWrite(async () => {
+                throw new Error("boom");
+            });
+            const next = enqueueWrite(async () => "done");
+
+            let error;
+            try {
+                await failing;
+            } catch (err) {
+                error = err;
+            }
+
+            expect(error.message).to.equal("boom");
+            expect(await next).to.equal("done");
+        });
+    });
+
+    describe("handleMessage", () => {
+        const popup = {};
+        const contentScript = { tab: { id: 5 } };
+
+        it("should only handle known messages, tab messages from a tab", () => {
+            expect(isHandledMessage({ type: "expire-all" }, popup)).to.be.true;
+            expect(isHandledMessage({ type: "unsaved-work" }, contentScript)).to.be
+                .true;
+            expect(isHandledMessage({ type: "unsaved-work" }, popup)).to.be.false;
+            expect(isHandledMessage({ type: "unknown" }, popup)).to.be.false;
+            expect(isHandledMessage({ type: "toString" }, popup)).to.be.false;
+            expect(isHandledMessage(undefined, popup)).to.be.false;
+        });
+
+        it("should set the protection of a tab", async () => {
+            await handleMessage(
+                { type: "set-tab-protection", tabId: 3, isProtected: true, until: 42 },
+                popup,
+            );
+
+            expect(chromeMock.storage.local.set.calledWith({ protected_3: 42 })).to.be
+                .true;
+        });
+
+        it("should record unsaved work of the sending tab", async () => {
+            await handleMessage(
+                { type: "unsaved-work", hasUnsavedWork: true },
+                contentScript,
+            );
+
+            expect(chromeMock.storage.local.set.calledWith({ unsaved_5: true })).to.be
+                .true;
+        });
+
+        it("should remove history entries", async () => {
+            await seedHistory([
+                { id: "a", url: "http://a.com", closedAt: 1 },
+                { id: "b", url: "http://b.com", closedAt: 2 },
+            ]);
+
+            await handleMessage({ type: "remove-history-entries", ids: ["a"] }, popup);
+
+            const history = await getExpiredTabs();
+            expect(history.map((t) => t.id)).to.deep.equal(["b"]);
+        });
+
+        it("should reopen a history entry and remove it", async () => {
+            await seedHistory([{ id: "a", url: "http://a.com", closedAt: 1 }]);
+            chromeMock.tabs.create.resolves({ id: 9 });
+
+            const response = await handleMessage(
+                { type: "restore-history-entry", id: "a", remove: true },
+                popup,
+            );
+
+            expect(response).to.deep.equal({ restored: true });
+            expect(chromeMock.tabs.create.firstCall.args[0].url).to.equal(
+                "http://a.com",
+            );
+            expect(await getExpiredTabs()).to.be.empty;
+        });
+
+        it("should report a history entry that no longer exists", async () => {
+            const response = await handleMessage(
+                { type: "restore-history-entry", id: "gone", remove: true },
+                popup,
+            );
+
+            expect(response).to.deep.equal({ restored: false });
+            expect(chromeMock.tabs.create.called).to.be.false;
+        });
+
+        it("should import the history of a backup", async () => {
+            await seedHistory([{ id: "a", url: "http://a.com", closedAt: 1 }]);
+
+            const response = await handleMessage(
+                {
+                    type: "import-backup",
+                    data: {
+                        expiredTabs: [
+                            { id: "a", url: "http://a.com", closedAt: 1 },
+                            { id: "b", url: "http://b.com", closedAt: 2 },
+                        ],
+                        tab_3: 1000,
+                    },
+                    mode: "merge",
+                },
+                popup,
+            );
+
+            expect(response).to.deep.equal({ added: 1 });
+            const history = await getExpiredTabs();
+            expect(history.map((t) => t.id)).to.deep.equal(["b", "a"]);
+            expect(chromeMock.storage.local.set.calledWithMatch({ tab_3: 1000 })).to.be
+                .false;
+        });
+
+        it("should handle messages one at a time", async () => {
+            const events = [];
+            chromeMock.storage.local.set.callsFake(async (items) => {
+                events.push(`start ${Object.keys(items)[0]}`);
+                await new Promise((resolve) => setTimeout(resolve, 5));
+                events.push(`end ${Object.keys(items)[0]}`);
+            });
+
+            await Promise.all([
+                handleMessage({ type: "set-pause", isPaused: true }, popup),
+                handleMessage({ type: "set-tab-snooze", tabId: 1, until: 42 }, popup),
+            ]);
+
+            expect(events).to.deep.equal([
+                "start pausedUntil",
+                "end pausedUntil",
+                "start snoozed_1",
+                "end snoozed_1",
+            ]);
+        });
     });
 });
@@ -6,6 +6,7 @@ import {
     launchBrowser,
     seedStorage,
     clearStorage,
+    getHistory,
     loadTestData,
     getOptionsUrl,
     sleep,
@@ -273,6 +274,62 @@ describe("Options Page New Features", function () {
         // Don't remove the directory as it's reused or created in before
     });
 
+    it("should import a backup", async function () {
+        await seedStorage(page, { expiredTabs: testData.expiredTabs.slice(0, 2) });
+        const backupFile = path.join(downloadPath, "backup.json");
+        fs.writeFileSync(
+            backupFile,
+            JSON.stringify({
+                expiredTabs: testData.expiredTabs,
+                timeout: 7,
+                unit: "days",
+                tab_999: Date.now(),
+                protected_999: true,
+            }),
+        );
+
+        await reloadPage(page);
+        await page.waitForSelector("#history-list li");
+        const fileInput = await page.$("#importFile");
+        await fileInput.uploadFile(backupFile);
+
+        // Some test entries are the same page closed at the same time
+        const distinct = new Set(
+            testData.expiredTabs.map((tab) => `${tab.closedAt} ${tab.url}`),
+        ).size;
+        await page.waitForSelector("#import-container:not([hidden])");
+        const summary = await page.$eval("#importSummary", (el) => el.textContent);
+        assert.strictEqual(
+            summary,
+            `This backup has ${distinct} history entries (${distinct - 2} not in your history), 2 settings, 2 other keys ignored.`,
+        );
+
+        await page.click("#mergeImportButton");
+        await waitForFunction(
+            page,
+            (count) => document.getElementById("results-count").textContent === count,
+            [String(distinct)],
+        );
+
+        const expiredTabs = await getHistory(page);
+        assert.strictEqual(expiredTabs.length, distinct);
+        const stored = await page.evaluate(async () => {
+            const api = globalThis.browser ?? chrome;
+            return {
+                local: await api.storage.local.get(["tab_999", "protected_999"]),
+                sync: await api.storage.sync.get(["timeout", "unit"]),
+            };
+        });
+        assert.deepStrictEqual(stored.local, {}, "Tab state should not be imported");
+        assert.deepStrictEqual(stored.sync, { timeout: 7, unit: "days" });
+        assert.ok(
+            await page.$eval("#import-container", (el) => el.hidden),
+            "Import preview should be closed",
+        );
+
+        fs.unlinkSync(backupFile);
+    });
+
     it("should load more items on scroll (infinite scrolling)", async function () {
         this.slow(1000);
 
@@ -376,4 +433,212 @@ describe("Options Page New Features", function () {
         );
         assert.strictEqual(countNoMatch, 0, "Should have 0 items for random query");
     });
+
+    it("should save ordered site rules", async function () {
+        await page.waitForSelector("#addRuleButton");
+
+        await page.click("#addRuleButton");
+        await page.click("#addRuleButton");
+        await page.evaluate(() => {
+            const rows = document.querySelectorAll("#rules-list .rule-row");
+            rows[0].querySelector(".rule-pattern").value = "docs.google.com";
+            rows[0].querySelector(".rule-timeout").value = "3";
+            rows[0].querySelector(".rule-unit").value = "days";
+            rows[1].querySelector(".rule-pattern").value = "https://news.*/*";
+            rows[1].querySelector(".rule-type").value = "glob";
+            rows[1].querySelector(".rule-unit").value = "never";
+        });
+
+        // Move the glob rule first
+        await page.click("#rules-list .rule-row:nth-child(2) .move-up-btn");
+        await page.click("#saveRulesButton");
+
+        await waitForFunction(page, () => {
+            return (
+                document.getElementById("rulesStatusMsg").textContent === "Rules saved."
+            );
+        });
+
+        const { rules } = await page.evaluate(async () => {
+            const api = globalThis.browser ?? chrome;
+            return await api.storage.sync.get(["rules"]);
+        });
+        assert.deepStrictEqual(rules, [
+            { pattern: "https://news.*/*", type: "glob", unit: "never" },
+            { pattern: "docs.google.com", type: "host", timeout: 3, unit: "days" },
+        ]);
+    });
+
+    it("should reject invalid site rules", async function () {
+        await page.waitForSelector("#addRuleButton");
+
+        await page.click("#addRuleButton");
+        await page.evaluate(() => {
+            const row = document.querySelector("#rules-list .rule-row");
+            row.querySelector(".rule-pattern").value = "([";
+            row.querySelector(".rule-type").value = "regex";
+        });
+        await page.click("#saveRulesButton");
+
+        await waitForFunction(page, () => {
+            const msg = document.getElementById("rulesStatusMsg");
+            return (
+                msg.classList.contains("error") && msg.textContent.startsWith("Rule 1:")
+            );
+        });
+
+        const { rules } = await page.evaluate(async () => {
+            const api = globalThis.browser ?? chrome;
+            return await api.storage.sync.get(["rules"]);
+        });
+        assert.strictEqual(rules, undefined);
+    });
+
+    it("should show the details recorded for expired tabs", async function () {
+        const now = Date.now();
+        const tabs = [
+            {
+                ...testData.expiredTabs[1],
+                id: "rich-tab",
+                closedAt: now,
+                reason: "duplicate",
+                favIconUrl: "https://extension.js.org/favicon.ico",
+                group: { title: "Docs", color: "blue" },
+                openedAt: now - 2 * 60 * 60 * 1000,
+                lastFocusedAt: now - 60 * 60 * 1000,
+                focusTime: 65 * 60 * 1000,
+            },
+            {
+                ...testData.expiredTabs[0],
+                id: "legacy-tab",
+                closedAt: now - 1000,
+            },
+        ];
+        await seedStorage(page, { expiredTabs: tabs });
+        await reloadPage(page);
+        await page.waitForSelector("#history-list li");
+
+        const details = await page.evaluate(() =>
+            [...document.querySelectorAll("#history-list li")].map((li) => ({
+                id: li.dataset.id,
+                meta: [...li.querySelectorAll(".meta span")].map((s) => s.textContent),
+                hasFavicon: li.querySelector(".favicon") !== null,
+            })),
+        );
+        assert.strictEqual(details[0].id, "rich-tab");
+        assert.ok(details[0].hasFavicon);
+        assert.deepStrictEqual(details[0].meta.slice(0, 2), ["Duplicate", "Docs"]);
+        assert.ok(details[0].meta.includes("Focused for 1 h 05 min"));
+        assert.deepStrictEqual(details[1], {
+            id: "legacy-tab",
+            meta: [],
+            hasFavicon: false,
+        });
+    });
+
+    /**
+     * Answers the bookmarks permission prompt, which puppeteer cannot click.
+     * @param {boolean} granted
+     */
+    const answerPermissionRequest = async (granted) => {
+        await page.evaluate((granted) => {
+            const api = globalThis.browser ?? chrome;
+            api.permissions.request = async () => granted;
+        }, granted);
+    };
+
+    it("should save the bookmarks archive settings", async function () {
+        await page.waitForSelector("#saveArchiveButton");
+        await answerPermissionRequest(true);
+
+        await page.select("#archiveMode", "both");
+        await page.evaluate(() => {
+            document.getElementById("archiveFolder").value = "  Old tabs ";
+        });
+        await page.click("#saveArchiveButton");
+
+        await waitForFunction(page, () => {
+            return (
+                document.getElementById("archiveStatusMsg").textContent ===
+                "Archive settings saved."
+            );
+        });
+
+        const settings = await page.evaluate(async () => {
+            const api = globalThis.browser ?? chrome;
+            return await api.storage.sync.get(["archiveMode", "archiveFolder"]);
+        });
+        assert.deepStrictEqual(settings, {
+            archiveMode: "both",
+            archiveFolder: "Old tabs",
+        });
+    });
+
+    it("should not archive to bookmarks when they are not allowed", async function () {
+        await page.waitForSelector("#saveArchiveButton");
+        await answerPermissionRequest(false);
+
+        await page.select("#archiveMode", "bookmarks");
+        await page.click("#saveArchiveButton");
+
+        await waitForFunction(page, () => {
+            return document
+                .getElementById("archiveStatusMsg")
+                .textContent.startsWith("Bookmarks were not allowed");
+        });
+        const settings = await page.evaluate(async () => {
+            const api = globalThis.browser ?? chrome;
+            return await api.storage.sync.get("archiveMode");
+        });
+        assert.deepStrictEqual(settings, {});
+    });
+
+    it("should restore a tab from history", async function () {
+        const tabs = [
+            {
+                id: "restore-me",
+                title: "Restore Me",
+                url: "https://example.com/?restored",
+                closedAt: Date.now(),
+                windowId: -1,
+            },
+            {
+                id: "keep-me",
+                title: "Keep Me",
+                url: "https://example.com/?kept",
+                closedAt: Date.now(),
+            },
+        ];
+        await seedStorage(page, { expiredTabs: tabs });
+
+        await reloadPage(page);
+        await page.waitForSelector("#history-list li");
+        await waitForFunction(
+            page,
+            () => document.getElementById("removeOnRestore").checked,
+        );
+
+        await page.click('#history-list li[data-id="restore-me"] .restore-btn');
+
+        // Restored entries are removed from history by default
+        await waitForFunction(page, () => {
+            return document.querySelectorAll("#history-list li").length === 1;
+        });
+
+        const restored = await page.evaluate(async () => {
+            const api = globalThis.browser ?? chrome;
+            const tabs = await api.tabs.query({ url: "https://example.com/*" });
+            return tabs.map((t) => t.url);
+        });
+        assert.ok(
+            restored.includes("https://example.com/?restored"),
+            `Tab should be reopened. Open tabs: ${restored.join(", ")}`,
+        );
+
+        const expiredTabs = await getHistory(page);
+        assert.deepStrictEqual(
+            expiredTabs.map((t) => t.id),
+            ["keep-me"],
+        );
+    });
 });
@@ -61,7 +61,7 @@ describe("Popup Settings", function () {
         // Verify storage
         const settings = await page.evaluate(async () => {
             const api = globalThis.browser ?? chrome;
-            return await api.storage.local.get(["timeout", "unit", "historyLimit"]);
+            return await api.storage.sync.get(["timeout", "unit", "historyLimit"]);
         });
 
         assert.strictEqual(settings.timeout, 45);
@@ -91,7 +91,7 @@ describe("Popup Settings", function () {
         // But saving writes to storage. If save failed, no write.
         const settings = await page.evaluate(async () => {
             const api = globalThis.browser ?? chrome;
-            return await api.storage.local.get(["timeout"]);
+            return await api.storage.sync.get(["timeout"]);
         });
         // If nothing saved, it might be undefined or default if the background script initialized it
         // Let's check if it matches the invalid value
@@ -117,7 +117,7 @@ describe("Popup Settings", function () {
 
         const settings = await page.evaluate(async () => {
             const api = globalThis.browser ?? chrome;
-            return await api.storage.local.get(["historyLimit"]);
+            return await api.storage.sync.get(["historyLimit"]);
         });
         assert.notStrictEqual(settings.historyLimit, 0);
     });
@@ -139,8 +139,282 @@ describe("Popup Settings", function () {
 
         const settings = await page.evaluate(async () => {
             const api = globalThis.browser ?? chrome;
-            return await api.storage.local.get(["historyLimit"]);
+            return await api.storage.sync.get(["historyLimit"]);
         });
         assert.strictEqual(settings.historyLimit, -1);
     });
+
+    it("should snooze and unsnooze the current tab", async function () {
+        await page.click('.snooze-btn[data-snooze="2h"]');
+
+        await waitForFunction(page, () =>
+            document
+                .getElementById("snoozeStatus")
+                .textContent.startsWith("Snoozed until"),
+        );
+
+        const snoozed = await page.evaluate(async () => {
+            const api = globalThis.browser ?? chrome;
+            const all = await api.storage.local.get(null);
+            return Object.entries(all).filter(([key]) => key.startsWith("snoozed_"));
+        });
+        assert.strictEqual(snoozed.length, 1);
+        assert.ok(snoozed[0][1] > Date.now() + 60 * 60 * 1000);
+
+        await page.click("#snoozeCancelBtn");
+
+        await waitForFunction(
+            page,
+            () =>
+                document.getElementById("snoozeStatus").textContent === "Snooze tab 💤",
+        );
+        const remaining = await page.evaluate(async () => {
+            const api = globalThis.browser ?? chrome;
+            const all = await api.storage.local.get(null);
+            return Object.keys(all).filter((key) => key.startsWith("snoozed_"));
+        });
+        assert.deepStrictEqual(remaining, []);
+    });
+
+    it("should reject an invalid custom snooze", async function () {
+        await page.click("#snoozeCustomBtn");
+        await page.evaluate(() => {
+            document.getElementById("snoozeCustomInput").value = "0";
+        });
+        await page.click("#snoozeCustomApplyBtn");
+
+        await waitForFunction(page, () => {
+            const msg = document.getElementById("statusMsg");
+            return (
+                msg.textContent === "Invalid snooze." && msg.classList.contains("error")
+            );
+        });
+    });
+
+    it("should protect the current tab for a limited time", async function () {
+        await page.select("#protectDurationSelect", "4");
+        await page.click("#protectToggleBtn");
+
+        await waitForFunction(page, () =>
+            document
+                .getElementById("protectToggleBtn")
+                .textContent.startsWith("Protected until"),
+        );
+
+        const protections = await page.evaluate(async () => {
+            const api = globalThis.browser ?? chrome;
+            const all = await api.storage.local.get(null);
+            return Object.entries(all).filter(([key]) => key.startsWith("protected_"));
+        });
+        assert.strictEqual(protections.length, 1);
+        assert.ok(protections[0][1] > Date.now() + 3 * 60 * 60 * 1000);
+
+        // Protection options are hidden until the tab is unprotected
+        const isHidden = await page.$eval("#protectDurationSelect", (el) =>
+            el.classList.contains("hidden"),
+        );
+        assert.strictEqual(isHidden, true);
+    });
+
+    it("should set and reset the current tab's timeout", async function () {
+        await page.evaluate(() => {
+            document.getElementById("tabTimeoutInput").value = "90";
+            document.getElementById("tabTimeoutUnit").value = "minutes";
+        });
+        await page.click("#tabTimeoutSaveBtn");
+
+        await waitForFunction(
+            page,
+            () =>
+                document.getElementById("statusMsg").textContent ===
+                "Tab timeout saved.",
+        );
+
+        const getOverrides = () =>
+            page.evaluate(async () => {
+                const api = globalThis.browser ?? chrome;
+                const all = await api.storage.local.get(null);
+                return Object.entries(all)
+                    .filter(([key]) => key.startsWith("timeout_"))
+                    .map(([, value]) => value);
+            });
+        assert.deepStrictEqual(await getOverrides(), [
+            { timeout: 90, unit: "minutes" },
+        ]);
+
+        await page.click("#tabTimeoutResetBtn");
+
+        await waitForFunction(
+            page,
+            () =>
+                document.getElementById("statusMsg").textContent ===
+                "Tab timeout reset.",
+        );
+        assert.deepStrictEqual(await getOverrides(), []);
+    });
+
+    it("should save the max open tabs cap", async function () {
+        await page.evaluate(() => {
+            document.getElementById("maxTabsInput").value = "20";
+            document.getElementById("maxTabsScopeSelect").value = "window";
+        });
+        await page.click("#saveBtn");
+
+        await waitForFunction(
+            page,
+            () =>
+                document.getElementById("statusMsg").textContent === "Settings saved.",
+        );
+
+        const settings = await page.evaluate(async () => {
+            const api = globalThis.browser ?? chrome;
+            return await api.storage.sync.get(["maxTabs", "maxTabsScope"]);
+        });
+        assert.strictEqual(settings.maxTabs, 20);
+        assert.strictEqual(settings.maxTabsScope, "window");
+    });
+
+    it("should reject an invalid max open tabs cap", async function () {
+        await page.evaluate(() => {
+            document.getElementById("maxTabsInput").value = "-1";
+        });
+        await page.click("#saveBtn");
+
+        await waitForFunction(page, () => {
+            const msg = document.getElementById("statusMsg");
+            return (
+                msg.textContent === "Invalid tab limit." &&
+                msg.classList.contains("error")
+            );
+        });
+    });
+
+    it("should save the pause while away setting", async function () {
+        await page.click("#pauseWhenIdleInput");
+        await page.click("#saveBtn");
+
+        await waitForFunction(
+            page,
+            () =>
+                document.getElementById("statusMsg").textContent === "Settings saved.",
+        );
+
+        const { pauseWhenIdle } = await page.evaluate(async () => {
+            const api = globalThis.browser ?? chrome;
+            return await api.storage.sync.get(["pauseWhenIdle"]);
+        });
+        assert.strictEqual(pauseWhenIdle, true);
+    });
+
+    it("should save the close duplicates setting", async function () {
+        await page.click("#closeDuplicatesInput");
+        await page.click("#saveBtn");
+
+        await waitForFunction(
+            page,
+            () =>
+                document.getElementById("statusMsg").textContent === "Settings saved.",
+        );
+
+        const { closeDuplicates } = await page.evaluate(async () => {
+            const api = globalThis.browser ?? chrome;
+            return await api.storage.sync.get(["closeDuplicates"]);
+        });
+        assert.strictEqual(closeDuplicates, true);
+    });
+
+    it("should save the count closed time setting", async function () {
+        await page.click("#countClosedTimeInput");
+        await page.click("#saveBtn");
+
+        await waitForFunction(
+            page,
+            () =>
+                document.getElementById("statusMsg").textContent === "Settings saved.",
+        );
+
+        const { countClosedTime } = await page.evaluate(async () => {
+            const api = globalThis.browser ?? chrome;
+            return await api.storage.sync.get(["countClosedTime"]);
+        });
+        assert.strictEqual(countClosedTime, true);
+    });
+
+    it("should keep settings on this device when syncing is turned off", async function () {
+        await page.click("#syncSettingsInput");
+        await waitForFunction(
+            page,
+            () =>
+                document.getElementById("statusMsg").textContent ===
+                "Settings kept on this device.",
+        );
+
+        await page.evaluate(() => {
+            document.getElementById("timeoutInput").value = "30";
+        });
+        await page.click("#saveBtn");
+        await waitForFunction(
+            page,
+            () =>
+                document.getElementById("statusMsg").textContent === "Settings saved.",
+        );
+
+        const { local, synced } = await page.evaluate(async () => {
+            const api = globalThis.browser ?? chrome;
+            return {
+                local: await api.storage.local.get(["syncSettings", "timeout"]),
+                synced: await api.storage.sync.get(["timeout"]),
+            };
+        });
+        assert.deepStrictEqual(local, { syncSettings: false, timeout: 30 });
+        assert.strictEqual(synced.timeout, undefined);
+    });
+
+    it("should pause and resume expiration", async function () {
+        await page.select("#pauseDurationSelect", "2");
+        await page.click("#pauseToggleBtn");
+
+        await waitForFunction(page, () =>
+            document
+                .getElementById("pauseToggleBtn")
+                .textContent.startsWith("Paused until"),
+        );
+        const getPausedUntil = () =>
+            page.evaluate(async () => {
+                const api = globalThis.browser ?? chrome;
+                return (await api.storage.local.get(["pausedUntil"])).pausedUntil;
+            });
+        assert.ok((await getPausedUntil()) > Date.now() + 60 * 60 * 1000);
+
+        await page.click("#pauseToggleBtn");
+
+        await waitForFunction(
+            page,
+            () =>
+                document.getElementById("pauseToggleBtn").textContent ===
+                "Pause Expiration ⏸️",
+        );
+        assert.strictEqual(await getPausedUntil(), undefined);
+    });
+
+    it("should save the unload stage", async function () {
+        await page.evaluate(() => {
+            document.getElementById("discardInput").value = "3";
+            document.getElementById("discardUnitSelect").value = "hours";
+        });
+        await page.click("#saveBtn");
+
+        await waitForFunction(
+            page,
+            () =>
+                document.getElementById("statusMsg").textContent === "Settings saved.",
+        );
+
+        const settings = await page.evaluate(async () => {
+            const api = globalThis.browser ?? chrome;
+            return await api.storage.sync.get(["discardAfter", "discardUnit"]);
+        });
+        assert.strictEqual(settings.discardAfter, 3);
+        assert.strictEqual(settings.discardUnit, "hours");
+    });
 });
@@ -0,0 +1,202 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import "fake-indexeddb/auto";
+
+// Mock browser API
+const chromeMock = {
+    storage: {
+        local: {
+            get: sinon.stub(),
+            set: sinon.stub(),
+            remove: sinon.stub(),
+        },
+    },
+    tabs: {
+        create: sinon.stub(),
+    },
+    windows: {
+        get: sinon.stub(),
+    },
+};
+
+global.chrome = chromeMock;
+global.browser = chromeMock;
+
+// Import after mocking
+import { restoreExpiredTab, getLastBatch, restoreLastBatch } from "../utils/restore.js";
+import { addExpiredTab, clearExpiredTabs, getExpiredTabs } from "../utils/history.js";
+
+const historyIds = async () => (await getExpiredTabs()).map((t) => t.id);
+
+describe("Restore Utils", () => {
+    beforeEach(async () => {
+        global.chrome = chromeMock;
+        global.browser = chromeMock;
+        sinon.reset();
+        chromeMock.tabs.create.callsFake(async (props) => ({ id: 42, ...props }));
+        chromeMock.storage.local.get.resolves({});
+        chromeMock.storage.local.set.resolves();
+        await clearExpiredTabs();
+    });
+
+    afterEach(() => {
+        sinon.reset();
+    });
+
+    describe("restoreExpiredTab", () => {
+        const entry = {
+            id: "abc",
+            title: "Example",
+            url: "https://example.com/",
+            closedAt: 12345,
+            windowId: 7,
+            index: 3,
+        };
+
+        it("should reopen the tab at its original position if its window still exists", async () => {
+            chromeMock.windows.get.withArgs(7).resolves({ id: 7 });
+
+            await restoreExpiredTab(entry);
+
+            expect(chromeMock.tabs.create.calledOnce).to.be.true;
+            expect(chromeMock.tabs.create.firstCall.args[0]).to.deep.equal({
+                url: entry.url,
+                active: false,
+                windowId: 7,
+                index: 3,
+            });
+        });
+
+        it("should fall back to the current window if the original one is gone", async () => {
+            chromeMock.windows.get.rejects(new Error("No window with id: 7"));
+
+            await restoreExpiredTab(entry);
+
+            expect(chromeMock.tabs.create.firstCall.args[0]).to.deep.equal({
+                url: entry.url,
+                active: false,
+            });
+        });
+
+        it("should use the current window for entries without a window id", async () => {
+            const { windowId, ...legacyEntry } = entry;
+
+            await restoreExpiredTab(legacyEntry);
+
+            expect(chromeMock.windows.get.called).to.be.false;
+            expect(chromeMock.tabs.create.firstCall.args[0]).to.not.have.property(
+                "windowId",
+            );
+        });
+
+        it("should keep the entry in history by default", async () => {
+            chromeMock.windows.get.resolves({ id: 7 });
+            await addExpiredTab({ ...entry });
+
+            await restoreExpiredTab(entry);
+
+            expect(await historyIds()).to.deep.equal(["abc"]);
+        });
+
+        it("should remove the entry from history when requested", async () => {
+            chromeMock.windows.get.resolves({ id: 7 });
+            await addExpiredTab({ ...entry });
+            await addExpiredTab({
+                id: "other",
+                url: "https://other.com/",
+                closedAt: 1,
+            });
+
+            await restoreExpiredTab(entry, { remove: true });
+
+            expect(await historyIds()).to.deep.equal(["other"]);
+        });
+
+        it("should not remove the entry if the tab could not be created", async () => {
+            chromeMock.windows.get.resolves({ id: 7 });
+            chromeMock.tabs.create.rejects(new Error("Illegal URL"));
+            await addExpiredTab({ ...entry });
+
+            let error;
+            try {
+                await restoreExpiredTab(entry, { remove: true });
+            } catch (err) {
+                error = err;
+            }
+
+            expect(error).to.be.instanceOf(Error);
+            expect(await historyIds()).to.deep.equal(["abc"]);
+        });
+    });
+
+    describe("undo last batch", () => {
+        const history = [
+            { id: "c", url: "https://c.com/", windowId: 2, index: 0, batchId: "new" },
+            { id: "b", url: "https://b.com/", windowId: 1, index: 5, batchId: "new" },
+            { id: "a", url: "https://a.com/", windowId: 1, index: 2, batchId: "new" },
+            { id: "z", url: "https://z.com/", windowId: 1, index: 1, batchId: "old" },
+            { id: "legacy", url: "https://legacy.com/" },
+        ];
+
+        beforeEach(async () => {
+            // Newest first, like the history lists them
+            for (const [i, entry] of history.entries()) {
+                await addExpiredTab({ ...entry, closedAt: history.length - i });
+            }
+            chromeMock.windows.get.callsFake(async (id) => ({ id }));
+        });
+
+        it("should return the most recent batch in window and tab order", async () => {
+            const batch = await getLastBatch();
+
+            expect(batch.map((t) => t.id)).to.deep.equal(["a", "b", "c"]);
+        });
+
+        it("should return an empty batch if history has no batches", async () => {
+            await clearExpiredTabs();
+            await addExpiredTab({
+                id: "legacy",
+                url: "https://legacy.com/",
+                closedAt: 1,
+            });
+
+            const batch = await getLastBatch();
+
+            expect(batch).to.deep.equal([]);
+        });
+
+        it("should reopen every tab of the batch in order and remove them from history", async () => {
+            const result = await restoreLastBatch();
+
+            expect(result.restored).to.equal(3);
+            const created = chromeMock.tabs.create.getCalls().map((c) => c.args[0]);
+            expect(created).to.deep.equal([
+                { url: "https://a.com/", active: false, windowId: 1, index: 2 },
+                { url: "https://b.com/", active: false, windowId: 1, index: 5 },
+                { url: "https://c.com/", active: false, windowId: 2, index: 0 },
+            ]);
+
+            expect(await historyIds()).to.deep.equal(["z", "legacy"]);
+        });
+
+        it("should keep tabs that fail to reopen in history", async () => {
+            chromeMock.tabs.create
+                .withArgs(sinon.match({ url: "https://b.com/" }))
+                .rejects(new Error("Illegal URL"));
+
+            const result = await restoreLastBatch();
+
+            expect(result.restored).to.equal(2);
+            expect(await historyIds()).to.deep.equal(["b", "z", "legacy"]);
+        });
+
+        it("should do nothing if there is no batch to undo", async () => {
+            await clearExpiredTabs();
+
+            const result = await restoreLastBatch();
+
+            expect(result.restored).to.equal(0);
+            expect(chromeMock.tabs.create.called).to.be.false;
+        });
+    });
+});
@@ -9,6 +9,7 @@ const chromeMock = {
         sync: {
             get: sinon.stub(),
             set: sinon.stub(),
+            remove: sinon.stub(),
         },
         local: {
             get: sinon.stub(),
@@ -27,12 +28,45 @@ global.browser = chromeMock;
 import {
     getSettings,
     saveSettings,
-    getExpiredTabs,
-    addExpiredTab,
-    clearExpiredTabs,
-    removeExpiredTab,
+    getTabSnooze,
+    setTabSnooze,
+    getTabProtectionState,
+    setTabProtection,
+    getTabTimeout,
+    setTabTimeout,
+    setTabUnsaved,
+    getPauseState,
+    setPause,
+    isSettingsSyncEnabled,
+    moveSettingsToSync,
+    setSettingsSync,
+    SETTINGS_MODIFIED_KEY,
+    SYNC_SETTINGS_KEY,
 } from "../utils/storage.js";
 
+/**
+ * Backs the stubs of a storage area with an object.
+ * @param {Object} area - e.g. `chromeMock.storage.sync`
+ * @param {Object} data - Initial content, modified in place
+ * @returns {Object} The content of the area.
+ */
+const fakeArea = (area, data = {}) => {
+    area.get.callsFake(async (keys) => {
+        const result = {};
+        for (const key of [].concat(keys)) {
+            if (key in data) result[key] = structuredClone(data[key]);
+        }
+        return result;
+    });
+    area.set.callsFake(async (items) => {
+        Object.assign(data, structuredClone(items));
+    });
+    area.remove.callsFake(async (keys) => {
+        for (const key of [].concat(keys)) delete data[key];
+    });
+    return data;
+};
+
 describe("Storage Utils", () => {
     beforeEach(() => {
         global.chrome = chromeMock;
@@ -45,8 +79,12 @@ describe("Storage Utils", () => {
     });
 
     describe("getSettings", () => {
-        it("should return default settings if not set", async () => {
+        beforeEach(() => {
             chromeMock.storage.local.get.resolves({});
+        });
+
+        it("should return default settings if not set", async () => {
+            chromeMock.storage.sync.get.resolves({});
             const settings = await getSettings();
             expect(settings.timeout).to.equal(defaults.timeout);
             expect(settings.unit).to.equal(defaults.unit);
@@ -54,7 +92,7 @@ describe("Storage Utils", () => {
         });
 
         it("should return saved settings", async () => {
-            chromeMock.storage.local.get.resolves({
+            chromeMock.storage.sync.get.resolves({
                 timeout: 60,
                 unit: "hours",
                 historyLimit: 200,
@@ -66,7 +104,7 @@ describe("Storage Utils", () => {
         });
 
         it("should respect falsy values like 0", async () => {
-            chromeMock.storage.local.get.resolves({
+            chromeMock.storage.sync.get.resolves({
                 timeout: 0,
                 unit: "hours",
                 historyLimit: 0,
@@ -75,112 +113,344 @@ describe("Storage Utils", () => {
             expect(settings.timeout).to.equal(0);
             expect(settings.historyLimit).to.equal(0);
         });
+
+        it("should read settings of this device when syncing is off", async () => {
+            fakeArea(chromeMock.storage.local, {
+                [SYNC_SETTINGS_KEY]: false,
+                timeout: 5,
+            });
+            fakeArea(chromeMock.storage.sync, { timeout: 60 });
+
+            const settings = await getSettings();
+
+            expect(settings.timeout).to.equal(5);
+        });
     });
 
     describe("saveSettings", () => {
+        let clock;
+
+        beforeEach(() => {
+            clock = sinon.useFakeTimers({ now: 5000, toFake: ["Date"] });
+        });
+
+        afterEach(() => {
+            clock.restore();
+        });
+
         it("should save settings object", async () => {
-            chromeMock.storage.local.set.resolves();
+            fakeArea(chromeMock.storage.local);
+            fakeArea(chromeMock.storage.sync);
             await saveSettings({ timeout: 45, unit: "days", historyLimit: 50 });
             expect(
-                chromeMock.storage.local.set.calledWith({
+                chromeMock.storage.sync.set.calledWith({
                     timeout: 45,
                     unit: "days",
                     historyLimit: 50,
+                    [SETTINGS_MODIFIED_KEY]: {
+                        timeout: 5000,
+                        unit: 5000,
+                        historyLimit: 5000,
+                    },
                 }),
             ).to.be.true;
+            expect(chromeMock.storage.local.set.called).to.be.false;
+        });
+
+        it("should only stamp settings whose value changed", async () => {
+            fakeArea(chromeMock.storage.local);
+            const synced = fakeArea(chromeMock.storage.sync, {
+                timeout: 45,
+                unit: "days",
+                [SETTINGS_MODIFIED_KEY]: { timeout: 1000, unit: 1000 },
+            });
+
+            await saveSettings({ timeout: 45, unit: "hours" });
+
+            expect(synced[SETTINGS_MODIFIED_KEY]).to.deep.equal({
+                timeout: 1000,
+                unit: 5000,
+            });
+        });
+
+        it("should save settings on this device when syncing is off", async () => {
+            const local = fakeArea(chromeMock.storage.local, {
+                [SYNC_SETTINGS_KEY]: false,
+            });
+            fakeArea(chromeMock.storage.sync);
+
+            await saveSettings({ timeout: 45 });
+
+            expect(local.timeout).to.equal(45);
+            expect(chromeMock.storage.sync.set.called).to.be.false;
+        });
+    });
+
+    describe("settings sync", () => {
+        it("should be on by default", async () => {
+            fakeArea(chromeMock.storage.local);
+            expect(await isSettingsSyncEnabled()).to.be.true;
+        });
+
+        it("should move settings of older versions to sync storage", async () => {
+            const local = { timeout: 5, unit: "days", tab_1: 123 };
+            const synced = fakeArea(chromeMock.storage.sync, {
+                timeout: 60,
+                [SETTINGS_MODIFIED_KEY]: { timeout: 1000 },
+            });
+
+            await moveSettingsToSync(local);
+
+            // The synced timeout was changed more recently than unstamped local values
+            expect(synced).to.deep.include({ timeout: 60, unit: "days" });
+            expect(local).to.deep.equal({ tab_1: 123 });
+        });
+
+        it("should turn syncing off when the settings of older versions do not fit", async () => {
+            const local = { rules: [], tab_1: 123 };
+            fakeArea(chromeMock.storage.sync);
+            chromeMock.storage.sync.set.rejects(new Error("QUOTA_BYTES_PER_ITEM"));
+
+            await moveSettingsToSync(local);
+
+            expect(local).to.deep.equal({
+                rules: [],
+                tab_1: 123,
+                [SYNC_SETTINGS_KEY]: false,
+            });
+        });
+
+        it("should leave settings of older versions on this device if syncing is off", async () => {
+            const local = { timeout: 5, [SYNC_SETTINGS_KEY]: false };
+            fakeArea(chromeMock.storage.sync);
+
+            await moveSettingsToSync(local);
+
+            expect(local).to.deep.equal({ timeout: 5, [SYNC_SETTINGS_KEY]: false });
+            expect(chromeMock.storage.sync.set.called).to.be.false;
+        });
+
+        it("should keep the most recently changed value of each setting", async () => {
+            fakeArea(chromeMock.storage.local, {
+                timeout: 5,
+                unit: "days",
+                [SETTINGS_MODIFIED_KEY]: { timeout: 3000, unit: 1000 },
+            });
+            const synced = fakeArea(chromeMock.storage.sync, {
+                timeout: 60,
+                unit: "minutes",
+                [SETTINGS_MODIFIED_KEY]: { timeout: 2000, unit: 2000 },
+            });
+
+            await setSettingsSync(true);
+
+            expect(synced).to.deep.equal({
+                timeout: 5,
+                unit: "minutes",
+                [SETTINGS_MODIFIED_KEY]: { timeout: 3000, unit: 2000 },
+            });
+        });
+
+        it("should copy synced settings to this device when turned off", async () => {
+            const local = fakeArea(chromeMock.storage.local);
+            fakeArea(chromeMock.storage.sync, {
+                timeout: 60,
+                [SETTINGS_MODIFIED_KEY]: { timeout: 2000 },
+            });
+
+            await setSettingsSync(false);
+
+            expect(local).to.deep.equal({
+                timeout: 60,
+                [SETTINGS_MODIFIED_KEY]: { timeout: 2000 },
+                [SYNC_SETTINGS_KEY]: false,
+            });
+            expect(await isSettingsSyncEnabled()).to.be.false;
+        });
+
+        it("should stay off when the settings do not fit in sync storage", async () => {
+            const local = fakeArea(chromeMock.storage.local, {
+                [SYNC_SETTINGS_KEY]: false,
+                rules: [],
+            });
+            fakeArea(chromeMock.storage.sync);
+            chromeMock.storage.sync.set.rejects(new Error("QUOTA_BYTES_PER_ITEM"));
+
+            let error;
+            try {
+                await setSettingsSync(true);
+            } catch (err) {
+                error = err;
+            }
+
+            expect(error.message).to.equal("QUOTA_BYTES_PER_ITEM");
+            expect(local).to.deep.include({ [SYNC_SETTINGS_KEY]: false, rules: [] });
         });
     });
 
-    describe("addExpiredTab", () => {
-        it("should add a tab to history and generate ID", async () => {
-            // getSettings returns default historyLimit=100
-            chromeMock.storage.local.get
-                .withArgs(["timeout", "unit", "historyLimit"])
-                .resolves({});
-            chromeMock.storage.local.get
-                .withArgs(["expiredTabs"])
-                .resolves({ expiredTabs: [] });
-            chromeMock.storage.local.set.resolves();
-
-            const tab = {
-                title: "Test",
-                url: "http://test.com",
-                closedAt: 12345,
-            };
-            await addExpiredTab(tab);
-
-            const savedTab =
-                chromeMock.storage.local.set.lastCall.args[0].expiredTabs[0];
-            expect(savedTab.title).to.equal(tab.title);
-            expect(savedTab.url).to.equal(tab.url);
-            expect(savedTab.id).to.exist; // Check if ID was generated
-        });
-
-        it("should limit history to configured limit", async () => {
-            // Mock configured limit of 10
-            chromeMock.storage.local.get
-                .withArgs(["timeout", "unit", "historyLimit"])
-                .resolves({ historyLimit: 10 });
-
-            const existing = Array(10).fill({ title: "Old", url: "old.com" });
-            chromeMock.storage.local.get
-                .withArgs(["expiredTabs"])
-                .resolves({ expiredTabs: existing });
-            chromeMock.storage.local.set.resolves();
-
-            const tab = { title: "New", url: "new.com" };
-            await addExpiredTab(tab);
-
-            const args = chromeMock.storage.local.set.lastCall.args[0];
-            expect(args.expiredTabs.length).to.equal(10);
-            expect(args.expiredTabs[0].title).to.equal(tab.title);
-        });
-
-        it("should allow infinite history if limit is -1", async () => {
-            // Mock infinite limit
-            chromeMock.storage.local.get
-                .withArgs(["timeout", "unit", "historyLimit"])
-                .resolves({ historyLimit: -1 });
-
-            // Existing 150 items (more than default 100)
-            const existing = Array(150).fill({ title: "Old", url: "old.com" });
-            chromeMock.storage.local.get
-                .withArgs(["expiredTabs"])
-                .resolves({ expiredTabs: existing });
-            chromeMock.storage.local.set.resolves();
-
-            const tab = { title: "New", url: "new.com" };
-            await addExpiredTab(tab);
-
-            const args = chromeMock.storage.local.set.lastCall.args[0];
-            expect(args.expiredTabs.length).to.equal(151);
+    describe("tab snooze", () => {
+        it("should return the end of an ongoing snooze", async () => {
+            const until = Date.now() + 60000;
+            chromeMock.storage.local.get.withArgs(["snoozed_3"]).resolves({
+                snoozed_3: until,
+            });
+
+            expect(await getTabSnooze(3)).to.equal(until);
+        });
+
+        it("should treat ended or missing snoozes as not snoozed", async () => {
+            chromeMock.storage.local.get.withArgs(["snoozed_3"]).resolves({
+                snoozed_3: Date.now() - 1,
+            });
+            chromeMock.storage.local.get.withArgs(["snoozed_4"]).resolves({});
+
+            expect(await getTabSnooze(3)).to.be.null;
+            expect(await getTabSnooze(4)).to.be.null;
+        });
+
+        it("should store the snooze end", async () => {
+            await setTabSnooze(3, 12345);
+
+            expect(chromeMock.storage.local.set.calledWith({ snoozed_3: 12345 })).to.be
+                .true;
+        });
+
+        it("should remove the snooze when cancelled", async () => {
+            await setTabSnooze(3, null);
+
+            expect(chromeMock.storage.local.remove.calledWith("snoozed_3")).to.be.true;
+            expect(chromeMock.storage.local.set.called).to.be.false;
         });
     });
 
-    describe("removeExpiredTab", () => {
-        it("should remove a tab by ID", async () => {
-            const tabs = [
-                { id: "1", title: "Tab 1" },
-                { id: "2", title: "Tab 2" },
-                { id: "3", title: "Tab 3" },
-            ];
-            chromeMock.storage.local.get.resolves({ expiredTabs: tabs });
-            chromeMock.storage.local.set.resolves();
+    describe("tab protection", () => {
+        it("should store the end of a time-limited protection", async () => {
+            await setTabProtection(3, true, 12345);
+
+            expect(chromeMock.storage.local.set.calledWith({ protected_3: 12345 })).to
+                .be.true;
+        });
 
-            await removeExpiredTab("2");
+        it("should store permanent protection as true", async () => {
+            await setTabProtection(3, true);
 
-            const savedTabs =
-                chromeMock.storage.local.set.firstCall.args[0].expiredTabs;
-            expect(savedTabs.length).to.equal(2);
-            expect(savedTabs.find((t) => t.id === "2")).to.be.undefined;
+            expect(chromeMock.storage.local.set.calledWith({ protected_3: true })).to.be
+                .true;
+        });
+
+        it("should report the end of an ongoing protection", async () => {
+            const until = Date.now() + 60000;
+            chromeMock.storage.local.get.withArgs(["protected_3"]).resolves({
+                protected_3: until,
+            });
+            chromeMock.storage.local.get.withArgs(["protected_4"]).resolves({
+                protected_4: true,
+            });
+
+            expect(await getTabProtectionState(3)).to.deep.equal({
+                isProtected: true,
+                until,
+            });
+            expect(await getTabProtectionState(4)).to.deep.equal({
+                isProtected: true,
+                until: null,
+            });
+        });
+
+        it("should treat ended protections as unprotected", async () => {
+            chromeMock.storage.local.get.withArgs(["protected_3"]).resolves({
+                protected_3: Date.now() - 1,
+            });
+
+            expect(await getTabProtectionState(3)).to.deep.equal({
+                isProtected: false,
+                until: null,
+            });
         });
     });
 
-    describe("clearExpiredTabs", () => {
-        it("should clear history", async () => {
-            chromeMock.storage.local.set.resolves();
-            await clearExpiredTabs();
-            expect(chromeMock.storage.local.set.calledWith({ expiredTabs: [] })).to.be
+    describe("tab timeout", () => {
+        it("should return the tab's timeout override", async () => {
+            chromeMock.storage.local.get.withArgs(["timeout_3"]).resolves({
+                timeout_3: { timeout: 2, unit: "days" },
+            });
+            chromeMock.storage.local.get.withArgs(["timeout_4"]).resolves({});
+
+            expect(await getTabTimeout(3)).to.deep.equal({ timeout: 2, unit: "days" });
+            expect(await getTabTimeout(4)).to.be.null;
+        });
+
+        it("should store and remove the tab's timeout override", async () => {
+            await setTabTimeout(3, { timeout: 2, unit: "days" });
+            await setTabTimeout(4, null);
+
+            expect(
+                chromeMock.storage.local.set.calledWith({
+                    timeout_3: { timeout: 2, unit: "days" },
+                }),
+            ).to.be.true;
+            expect(chromeMock.storage.local.remove.calledWith("timeout_4")).to.be.true;
+        });
+    });
+
+    describe("unsaved work", () => {
+        it("should flag a tab with unsaved work", async () => {
+            await setTabUnsaved(3, true);
+
+            expect(chromeMock.storage.local.set.calledWith({ unsaved_3: true })).to.be
+                .true;
+            expect(chromeMock.storage.local.remove.called).to.be.false;
+        });
+
+        it("should restart the timer once the page is clean", async () => {
+            const now = Date.now();
+            await setTabUnsaved(3, false);
+
+            expect(chromeMock.storage.local.remove.calledWith("unsaved_3")).to.be.true;
+            expect(chromeMock.storage.local.set.firstCall.args[0].tab_3).to.be.at.least(
+                now,
+            );
+        });
+    });
+
+    describe("global pause", () => {
+        it("should report an indefinite pause", async () => {
+            chromeMock.storage.local.get.resolves({ pausedUntil: true });
+
+            expect(await getPauseState()).to.deep.equal({
+                isPaused: true,
+                until: null,
+            });
+        });
+
+        it("should report the end of a time-limited pause", async () => {
+            const until = Date.now() + 60000;
+            chromeMock.storage.local.get.resolves({ pausedUntil: until });
+
+            expect(await getPauseState()).to.deep.equal({ isPaused: true, until });
+        });
+
+        it("should treat ended pauses as not paused", async () => {
+            chromeMock.storage.local.get.resolves({ pausedUntil: Date.now() - 1 });
+
+            expect(await getPauseState()).to.deep.equal({
+                isPaused: false,
+                until: null,
+            });
+        });
+
+        it("should store and remove the pause", async () => {
+            await setPause(true, 12345);
+            await setPause(true);
+            await setPause(false);
+
+            expect(chromeMock.storage.local.set.firstCall.args[0]).to.deep.equal({
+                pausedUntil: 12345,
+            });
+            expect(chromeMock.storage.local.set.secondCall.args[0]).to.deep.equal({
+                pausedUntil: true,
+            });
+            expect(chromeMock.storage.local.remove.calledWith("pausedUntil")).to.be
                 .true;
         });
     });
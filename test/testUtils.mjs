@@ -212,20 +212,72 @@ export const loadTestData = () => {
 };
 
 /**
- * Seed the storage of a given page with a given data.
- * @param {Page} page - The page to seed the storage of.
+ * Run a request on the extension's history store, from a given page.
+ * @param {Page} page - An extension page.
+ * @param {"getAll"|"clear"|"put"} method - The store method to call.
+ * @param {Object[]} [entries] - The history entries to put, one request each.
+ * @returns {Promise<*>} The result of the last request.
+ */
+const requestHistory = async (page, method, entries = [undefined]) =>
+    await page.evaluate(
+        async (method, entries) => {
+            const db = await new Promise((resolve) => {
+                const request = indexedDB.open("expire-tabs");
+                // Leave creating the database to the extension
+                request.onupgradeneeded = () => request.transaction.abort();
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => resolve(null);
+            });
+            if (!db) return [];
+            try {
+                const mode = method === "getAll" ? "readonly" : "readwrite";
+                const store = db
+                    .transaction("expiredTabs", mode)
+                    .objectStore("expiredTabs");
+                let result;
+                for (const entry of entries) {
+                    result = await new Promise((resolve, reject) => {
+                        const request = store[method](entry);
+                        request.onsuccess = () => resolve(request.result);
+                        request.onerror = () => reject(request.error);
+                    });
+                }
+                return result;
+            } finally {
+                db.close();
+            }
+        },
+        method,
+        entries,
+    );
+
+/**
+ * Seed the storage of a given page with a given data. The expired tabs
+ * history (`expiredTabs`) goes to the extension's history store, which the
+ * page must have opened.
+ * @param {Page} page - An extension page.
  * @param {Object} data - The data to seed the storage with.
  * @returns {Promise<void>}
  */
-export const seedStorage = async (page, data) => {
+export const seedStorage = async (page, { expiredTabs, ...data }) => {
     await page.evaluate(async (data) => {
         const api = globalThis.browser ?? chrome;
         await api.storage.local.set(data);
     }, data);
+    if (expiredTabs) {
+        const records = expiredTabs.map((entry) => ({
+            ...entry,
+            id: String(entry.id),
+            title: entry.title ?? "",
+            domain: URL.canParse(entry.url) ? new URL(entry.url).hostname : "",
+        }));
+        await requestHistory(page, "put", records);
+    }
 };
 
 /**
- * Clear the storage of a given page.
+ * Clear the storage of a given page, including the synced settings and the
+ * expired tabs history.
  * @param {Page} page - The page to clear the storage of.
  * @returns {Promise<void>}
  */
@@ -233,7 +285,19 @@ export const clearStorage = async (page) => {
     await page.evaluate(async () => {
         const api = globalThis.browser ?? chrome;
         await api.storage.local.clear();
+        await api.storage.sync.clear();
     });
+    await requestHistory(page, "clear");
+};
+
+/**
+ * Get the expired tabs history, newest first.
+ * @param {Page} page - An extension page.
+ * @returns {Promise<Object[]>} The history entries.
+ */
+export const getHistory = async (page) => {
+    const entries = await requestHistory(page, "getAll");
+    return entries.sort((a, b) => b.closedAt - a.closedAt);
 };
 
 /**
@@ -0,0 +1,79 @@
+/**
+ * Archives expired tabs as bookmarks, in a folder with one subfolder per day,
+ * so they show up in the browser's bookmark manager (and its sync).
+ */
+
+/**
+ * Formats a timestamp as the name of its day subfolder (e.g. "2024-05-31").
+ * @param {number} timestamp
+ * @returns {string}
+ */
+const getDayFolderTitle = (timestamp) => {
+    const date = new Date(timestamp);
+    const month = String(date.getMonth() + 1).padStart(2, "0");
+    const day = String(date.getDate()).padStart(2, "0");
+    return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Finds a bookmarks folder by title, creating it if it does not exist.
+ * Without a parent, any folder with that title is reused and new folders are
+ * created in the browser's default location ("Other bookmarks").
+ * @param {string} title
+ * @param {string} [parentId]
+ * @returns {Promise<string>} The folder ID.
+ */
+async function getOrCreateFolder(title, parentId) {
+    const candidates = parentId
+        ? await browser.bookmarks.getChildren(parentId)
+        : await browser.bookmarks.search({ title });
+    const existing = candidates.find((node) => !node.url && node.title === title);
+    if (existing) return existing.id;
+    const folder = await browser.bookmarks.create(
+        parentId ? { parentId, title } : { title },
+    );
+    return folder.id;
+}
+
+/**
+ * Saves an expired tab as a bookmark in `<folderName>/<closing day>/`.
+ * Failures (e.g. URLs that cannot be bookmarked) are logged and ignored so
+ * they never prevent the tab from being closed.
+ * @param {import("../history.js").ExpiredTab} entry
+ * @param {string} folderName - Title of the archive folder
+ * @returns {Promise<string|null>} The bookmark ID, or null if it was not created.
+ */
+export async function archiveToBookmarks(entry, folderName) {
+    try {
+        const folderId = await getOrCreateFolder(folderName);
+        const dayFolderId = await getOrCreateFolder(
+            getDayFolderTitle(entry.closedAt),
+            folderId,
+        );
+        const bookmark = await browser.bookmarks.create({
+            parentId: dayFolderId,
+            title: entry.title || entry.url,
+            url: entry.url,
+        });
+        return bookmark.id;
+    } catch (err) {
+        console.error(`Failed to bookmark ${entry.url}:`, err);
+        return null;
+    }
+}
+
+/**
+ * Removes the bookmarks of tabs that could not be closed after all.
+ * @param {(string|null)[]} bookmarkIds - IDs returned by `archiveToBookmarks`
+ * @returns {Promise<void>}
+ */
+export async function removeArchivedBookmarks(bookmarkIds) {
+    for (const id of bookmarkIds) {
+        if (id === null) continue;
+        try {
+            await browser.bookmarks.remove(id);
+        } catch (err) {
+            console.error(`Failed to remove bookmark ${id}:`, err);
+        }
+    }
+}
@@ -0,0 +1,69 @@
+import { FOCUSED_TABS_KEY, getFocusTimeKey, getOpenedKey } from "../storage.js";
+
+/**
+ * Records when a tab was opened.
+ * @param {number} tabId
+ * @returns {Promise<void>}
+ */
+export async function recordTabOpened(tabId) {
+    await browser.storage.local.set({ [getOpenedKey(tabId)]: Date.now() });
+}
+
+/**
+ * Records that a tab became the active tab of its window: the time spent on
+ * the window's previously active tab is added to that tab's focus time.
+ * @param {number} tabId
+ * @param {number} windowId
+ * @returns {Promise<void>}
+ */
+export async function recordTabFocus(tabId, windowId) {
+    const now = Date.now();
+    const { [FOCUSED_TABS_KEY]: focusedTabs = {} } = await browser.storage.local.get([
+        FOCUSED_TABS_KEY,
+    ]);
+    const previous = focusedTabs[windowId];
+    if (previous?.tabId === tabId) return;
+    if (previous) {
+        const focusTimeKey = getFocusTimeKey(previous.tabId);
+        const { [focusTimeKey]: focusTime = 0 } = await browser.storage.local.get([
+            focusTimeKey,
+        ]);
+        await browser.storage.local.set({
+            [focusTimeKey]: focusTime + (now - previous.since),
+        });
+    }
+    focusedTabs[windowId] = { tabId, since: now };
+    await browser.storage.local.set({ [FOCUSED_TABS_KEY]: focusedTabs });
+}
+
+/**
+ * Forgets the focus of a removed tab, if it was the active tab of its window.
+ * @param {number} tabId
+ * @param {number} windowId
+ * @returns {Promise<void>}
+ */
+export async function forgetTabFocus(tabId, windowId) {
+    const { [FOCUSED_TABS_KEY]: focusedTabs = {} } = await browser.storage.local.get([
+        FOCUSED_TABS_KEY,
+    ]);
+    if (focusedTabs[windowId]?.tabId !== tabId) return;
+    delete focusedTabs[windowId];
+    await browser.storage.local.set({ [FOCUSED_TABS_KEY]: focusedTabs });
+}
+
+/**
+ * Computes the total time a tab has been focused, including the ongoing
+ * focus if it is the active tab of its window.
+ * @param {chrome.tabs.Tab} tab
+ * @param {Object} storedData - `storage.local` data with the tab's focus time
+ *   and the focused tabs
+ * @returns {number} Focus time in ms.
+ */
+export function getTabFocusTime(tab, storedData) {
+    let focusTime = storedData[getFocusTimeKey(tab.id)] ?? 0;
+    const current = storedData[FOCUSED_TABS_KEY]?.[tab.windowId];
+    if (current?.tabId === tab.id) {
+        focusTime += Date.now() - current.since;
+    }
+    return focusTime;
+}
@@ -0,0 +1,80 @@
+import { getProtectedKey, getSettings, getSnoozeKey, getTabKey } from "../storage.js";
+
+/**
+ * Seconds without input after which the system is considered idle.
+ */
+export const IDLE_DETECTION_INTERVAL_SECONDS = 5 * 60;
+
+/**
+ * Storage key of the timestamp at which the system went idle or locked.
+ * Only set while the expiry clock is paused.
+ */
+export const IDLE_SINCE_KEY = "idleSince";
+
+/**
+ * Prefixes of the tab-scoped timestamps moved forward when the user is back:
+ * last activity, end of snooze and end of timed protection.
+ */
+const SHIFTED_PREFIXES = [getTabKey(""), getSnoozeKey(""), getProtectedKey("")];
+
+/**
+ * Pauses or resumes the expiry clock when the system idle state changes.
+ *
+ * Going idle or locked records when the user left (`idleSince`), which freezes
+ * the clock used by `getTabsStatus()`. Coming back moves every `tab_<id>`
+ * timestamp forward by the time spent away, so that tabs only age while the
+ * user is active, and the ends of snoozes and timed protections too, so they
+ * do not run out while the user is away. Does nothing but forget a pending
+ * pause when the `pauseWhenIdle` setting is off.
+ * @param {string} state - "active", "idle" or "locked"
+ * @returns {Promise<void>}
+ */
+export async function handleIdleStateChange(state) {
+    const { pauseWhenIdle } = await getSettings();
+    const { [IDLE_SINCE_KEY]: idleSince } = await browser.storage.local.get([
+        IDLE_SINCE_KEY,
+    ]);
+
+    if (!pauseWhenIdle) {
+        if (idleSince !== undefined) {
+            await browser.storage.local.remove(IDLE_SINCE_KEY);
+        }
+        return;
+    }
+
+    if (state === "active") {
+        if (idleSince === undefined) return;
+        const awayMs = Math.max(0, Date.now() - idleSince);
+        const storedData = await browser.storage.local.get(null);
+        const shifted = {};
+        for (const [key, recordedAt] of Object.entries(storedData)) {
+            // Protections without an end are stored as `true`
+            if (
+                SHIFTED_PREFIXES.some((p) => key.startsWith(p)) &&
+                typeof recordedAt === "number"
+            ) {
+                shifted[key] = recordedAt + awayMs;
+            }
+        }
+        await browser.storage.local.set(shifted);
+        await browser.storage.local.remove(IDLE_SINCE_KEY);
+        console.log(`Resumed after ${Math.round(awayMs / 1000)}s away`);
+    } else if (idleSince === undefined) {
+        // "idle" is only reported once the detection interval has elapsed
+        const since =
+            state === "idle"
+                ? Date.now() - IDLE_DETECTION_INTERVAL_SECONDS * 1000
+                : Date.now();
+        await browser.storage.local.set({ [IDLE_SINCE_KEY]: since });
+    }
+}
+
+/**
+ * Syncs the expiry clock with the current idle state, e.g. after a restart
+ * that happened while the system was idle.
+ * @returns {Promise<void>}
+ */
+export async function syncIdleState() {
+    const state = await browser.idle.queryState(IDLE_DETECTION_INTERVAL_SECONDS);
+    await handleIdleStateChange(state);
+}
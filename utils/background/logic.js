@@ -1,116 +1,249 @@
 import {
     getSettings,
-    addExpiredTab,
+    generateId,
     getTabKey,
     getProtectedKey,
     getTabProtection,
+    getTabProtectionState,
     setTabProtection,
+    isActiveUntil,
+    getPauseState,
+    setPause,
+    PAUSED_UNTIL_KEY,
+    getWarnedKey,
+    getSnoozeKey,
+    setTabSnooze,
+    getTimeoutKey,
+    getUnsavedKey,
+    getOpenedKey,
+    getFocusTimeKey,
+    FOCUSED_TABS_KEY,
+    quarantineKeys,
 } from "../storage.js";
-import { msToDuration } from "../config.js";
+import { addExpiredTabs, removeExpiredTabs } from "../history.js";
+import { msToDuration, unitToMs } from "../config.js";
+import { getTabTimeoutMs } from "../rules.js";
+import { selectDuplicateTabs } from "../duplicates.js";
+import { restoreLastBatch } from "../restore.js";
+import { notifyExpiredTabs } from "./notifications.js";
+import { IDLE_SINCE_KEY } from "./idle.js";
+import { archiveToBookmarks, removeArchivedBookmarks } from "./archive.js";
+import { FEATURE_PERMISSIONS, hasPermission } from "../permissions.js";
+import { getTabFocusTime } from "./focus.js";
+import { getTrackedTabs, resolveTrackedTabs, tabIdFromStorageKey } from "./tabState.js";
+
+const SNOOZE_FROM_WARNING_MS = 60 * 60 * 1000;
+const PAUSED_BADGE_TEXT = "⏸";
+const PAUSED_BADGE_COLOR = "#9196e6";
 
 /**
- * Extracts tab metadata from a `tab_<id>` or `protected_<id>` storage key.
- * @param {string} key
- * @returns {{ tabId: number|null, isTabScoped: boolean, isValidTabId: boolean }}
+ * Checks all tabs and closes them if they have expired.
+ * Fetches storage data in bulk to optimize performance.
+ * All tabs closed by one run share a history `batchId` so they can be undone together.
+ * If a maximum number of open tabs is set, the least recently used tabs that
+ * may expire are closed too until the cap is respected.
+ * If duplicate detection is on, copies of a page open in several tabs are
+ * closed early, keeping the most recently focused copy.
+ * Tabs in the discard stage are discarded (unloaded) if they are not already.
+ * Tabs about to expire are warned through their content script, and closed
+ * tabs are reported with desktop notifications if enabled. Time-limited
+ * protections that ended are removed, restarting the tabs' timers.
+ * While expiration is paused, activity is still tracked but no tab is closed,
+ * discarded or warned.
+ * All tabs to close are closed together by `closeTabs`.
+ * @returns {Promise<number>} When the tabs should be checked again, see
+ *   `nextChangeAt` of `getTabsStatus`.
  */
-function tabInfoFromStorageKey(key) {
-    let raw;
-    if (key.startsWith("tab_")) {
-        raw = key.slice("tab_".length);
-    } else if (key.startsWith("protected_")) {
-        raw = key.slice("protected_".length);
-    } else {
-        return { tabId: null, isTabScoped: false, isValidTabId: false };
-    }
-    const id = Number(raw);
-    const isValidTabId = Number.isInteger(id) && id >= 0 && String(id) === raw;
-    return {
-        tabId: isValidTabId ? id : null,
-        isTabScoped: true,
-        isValidTabId,
-    };
+export async function checkTabs() {
+    const {
+        expired,
+        pinned,
+        audible,
+        active,
+        protected: protectedTabs,
+        unsaved,
+        mayExpire,
+        discarded,
+        orphan,
+        expiringSoon,
+        expireAt,
+        lastActiveAt,
+        hiddenTabIds,
+        protectionEnded,
+        paused,
+        pauseEnded,
+        settings,
+        nextChangeAt,
+    } = await getTabsStatus();
+    for (const tab of protectionEnded) {
+        await setTabProtection(tab.id, false);
+        if (canInjectContentScript(tab.url)) {
+            await sendMessageWithRetry(tab.id, {
+                type: "protection-status",
+                isProtected: false,
+            });
+        }
+    }
+    for (const tab of orphan) {
+        await browser.storage.local.set({ [getTabKey(tab.id)]: Date.now() });
+    }
+    if (pauseEnded) {
+        await setPause(false);
+    }
+    if (paused) return nextChangeAt;
+    if (expired.length > 0) {
+        console.log("To expire tabs:", expired);
+    }
+    const expirable = [...discarded, ...mayExpire];
+    const duplicates = settings.closeDuplicates
+        ? selectDuplicateTabs(
+              [
+                  ...pinned,
+                  ...audible,
+                  ...active,
+                  ...protectedTabs,
+                  ...unsaved,
+                  ...expirable,
+                  ...orphan,
+              ],
+              lastActiveAt,
+          ).filter((tab) => expirable.includes(tab))
+        : [];
+    if (duplicates.length > 0) {
+        console.log("Duplicate tabs:", duplicates);
+    }
+    const overCap = selectTabsOverCap(
+        expirable.filter((tab) => !duplicates.includes(tab)),
+        lastActiveAt,
+        settings,
+    );
+    const closedIds = new Set([...duplicates, ...overCap].map((tab) => tab.id));
+    if (overCap.length > 0) {
+        console.log("Tabs over the cap:", overCap);
+    }
+    const batchId = generateId();
+    const toClose = (tabs, reason) =>
+        tabs.map((tab) => ({
+            tab,
+            isHidden: hiddenTabIds.has(tab.id),
+            details: { batchId, reason },
+        }));
+    const { closed } = await closeTabs([
+        ...toClose(expired, "timeout"),
+        ...toClose(duplicates, "duplicate"),
+        ...toClose(overCap, "cap"),
+    ]);
+    for (const tab of discarded) {
+        if (!tab.discarded && !closedIds.has(tab.id)) {
+            await discardTab(tab);
+        }
+    }
+    if (closed.length > 0) {
+        await notifyExpiredTabs(closed, settings.notifications, {
+            canUndo: settings.archiveMode !== "bookmarks",
+        });
+    }
+    if (expiringSoon.length > 0) {
+        await warnExpiringTabs(expiringSoon, expireAt);
+    }
+    return nextChangeAt;
 }
 
 /**
- * Extracts the numeric tab id from a valid `tab_<id>` or `protected_<id>` storage key.
- * @param {string} key
- * @returns {number|null} The tab id, or null if the key is not valid tab-scoped storage.
+ * Discards (unloads) a tab to free its memory while keeping it in the tab strip.
+ * @param {chrome.tabs.Tab} tab
+ * @returns {Promise<void>}
  */
-function tabIdFromStorageKey(key) {
-    return tabInfoFromStorageKey(key).tabId;
+async function discardTab(tab) {
+    console.log("Discarding tab:", tab.id, tab.title, tab.url);
+    try {
+        await browser.tabs.discard(tab.id);
+    } catch (err) {
+        console.error(`Failed to discard tab ${tab.id}:`, err);
+    }
 }
 
 /**
- * Resolves the full set of tabs the extension knows about, working around the
- * Zen/Firefox bug where `browser.tabs.query({})` only returns tabs in the
- * currently-active workspace (see https://github.com/zen-browser/desktop/issues/8989).
- *
- * For every tab id referenced by a `tab_*` or `protected_*` storage key that is
- * not in the query result, we fall back to `browser.tabs.get(id)`. If the tab
- * actually exists (cross-workspace), it is returned in `hiddenTabs`. If the
- * lookup fails, the id is reported in `deletedTabIds` so callers can safely
- * clean up its keys.
- *
- * @returns {Promise<{
- *   visibleTabs: chrome.tabs.Tab[],
- *   hiddenTabs: chrome.tabs.Tab[],
- *   deletedTabIds: Set<number>,
- *   storedData: Object,
- * }>}
+ * Picks the tabs to close so that at most `maxTabs` expirable tabs stay open,
+ * in total or in each window. Least recently used tabs are picked first.
+ * @param {chrome.tabs.Tab[]} tabs - Expirable tabs still open
+ * @param {Map<number, number>} lastActiveAt - Last activity timestamp of each tab
+ * @param {{ maxTabs: number, maxTabsScope: string }} settings
+ * @returns {chrome.tabs.Tab[]} The tabs to close, least recently used first.
  */
-export async function resolveTrackedTabs() {
-    const visibleTabs = await browser.tabs.query({});
-    const storedData = await browser.storage.local.get(null);
-    const visibleIds = new Set(visibleTabs.map((t) => t.id));
-
-    const candidateIds = new Set();
-    const invalidStorageKeys = [];
-    for (const key of Object.keys(storedData)) {
-        const tabInfo = tabInfoFromStorageKey(key);
-        if (tabInfo.isTabScoped && !tabInfo.isValidTabId) {
-            invalidStorageKeys.push(key);
-        }
-        const { tabId } = tabInfo;
-        if (tabId !== null && !visibleIds.has(tabId)) {
-            candidateIds.add(tabId);
-        }
+function selectTabsOverCap(tabs, lastActiveAt, { maxTabs, maxTabsScope }) {
+    if (!(maxTabs > 0)) return [];
+    const groups = new Map();
+    for (const tab of tabs) {
+        const groupKey = maxTabsScope === "window" ? tab.windowId : "all";
+        if (!groups.has(groupKey)) groups.set(groupKey, []);
+        groups.get(groupKey).push(tab);
     }
-
-    const hiddenTabs = [];
-    const deletedTabIds = new Set();
-
-    if (candidateIds.size > 0) {
-        const ids = [...candidateIds];
-        const results = await Promise.allSettled(ids.map((id) => browser.tabs.get(id)));
-        for (let i = 0; i < results.length; i++) {
-            const result = results[i];
-            if (result.status === "fulfilled" && result.value) {
-                hiddenTabs.push(result.value);
-            } else {
-                deletedTabIds.add(ids[i]);
-            }
-        }
+    const toClose = [];
+    for (const group of groups.values()) {
+        if (group.length <= maxTabs) continue;
+        group.sort((a, b) => lastActiveAt.get(a.id) - lastActiveAt.get(b.id));
+        toClose.push(...group.slice(0, group.length - maxTabs));
     }
-
-    return { visibleTabs, hiddenTabs, deletedTabIds, invalidStorageKeys, storedData };
+    return toClose.sort((a, b) => lastActiveAt.get(a.id) - lastActiveAt.get(b.id));
 }
 
 /**
- * Checks all tabs and closes them if they have expired.
- * Fetches storage data in bulk to optimize performance.
+ * Sends an expiry warning to each tab's content script, once per expiry moment.
+ * Tabs that cannot receive content scripts are skipped.
+ * @param {chrome.tabs.Tab[]} tabs - Tabs about to expire
+ * @param {Map<number, number>} expireAt - Expiry timestamp of each tab
  * @returns {Promise<void>}
  */
-export async function checkTabs() {
-    const { expired, orphan, hiddenTabIds } = await getTabsStatus();
-    if (expired.length > 0) {
-        console.log("To expire tabs:", expired);
+async function warnExpiringTabs(tabs, expireAt) {
+    const candidates = tabs.filter((tab) => canInjectContentScript(tab.url));
+    if (candidates.length === 0) return;
+    const warnedData = await browser.storage.local.get(
+        candidates.map((tab) => getWarnedKey(tab.id)),
+    );
+    for (const tab of candidates) {
+        const warnedKey = getWarnedKey(tab.id);
+        const tabExpireAt = expireAt.get(tab.id);
+        if (warnedData[warnedKey] === tabExpireAt) continue;
+        await sendMessageWithRetry(tab.id, {
+            type: "expiry-warning",
+            expireAt: tabExpireAt,
+        });
+        await browser.storage.local.set({ [warnedKey]: tabExpireAt });
     }
-    for (const tab of expired) {
-        await closeTab(tab, true, hiddenTabIds.has(tab.id));
+}
+
+/**
+ * Handles the action picked by the user on an expiry warning toast.
+ * @param {number} tabId
+ * @param {string} action - "keep" (reset the timer), "snooze" (postpone by an hour)
+ *   or "protect" (protect the tab)
+ * @returns {Promise<void>}
+ */
+export async function handleExpiryWarningAction(tabId, action) {
+    if (action === "keep") {
+        await browser.storage.local.set({ [getTabKey(tabId)]: Date.now() });
+    } else if (action === "snooze") {
+        await setTabSnooze(tabId, Date.now() + SNOOZE_FROM_WARNING_MS);
+    } else if (action === "protect") {
+        await setTabProtection(tabId, true);
     }
-    for (const tab of orphan) {
-        await browser.storage.local.set({ [getTabKey(tab.id)]: Date.now() });
+}
+
+/**
+ * Snoozes a tab for the given duration, or cancels its snooze, and confirms
+ * the change with a toast on the page.
+ * @param {chrome.tabs.Tab} tab
+ * @param {number|null} durationMs - Snooze duration, null to cancel the snooze
+ * @returns {Promise<number|null>} The snooze end, or null if it was cancelled.
+ */
+export async function snoozeTab(tab, durationMs) {
+    const snoozedUntil = durationMs === null ? null : Date.now() + durationMs;
+    await setTabSnooze(tab.id, snoozedUntil);
+    if (canInjectContentScript(tab.url)) {
+        await sendMessageWithRetry(tab.id, { type: "snooze-status", snoozedUntil });
     }
+    return snoozedUntil;
 }
 
 /**
@@ -118,17 +251,18 @@ export async function checkTabs() {
  * @returns {Promise<void>}
  */
 export async function displayTabsStatus() {
-    const storedData = await browser.storage.local.get(null);
     const tabsStatus = await getTabsStatus();
-    const { timeoutMs } = await getSettings();
+    const { expireAt } = tabsStatus;
     const headers = {
         orphan: "🔴 Orphan tabs",
         audible: "🎤 Audible tabs",
         pinned: "📍 Pinned tabs",
         protected: "🔒 Protected tabs",
+        unsaved: "📝 Tabs with unsaved work",
         expired: "🟡 Tabs to expire",
         active: "🎯 Active tabs",
         mayExpire: "🔄 Tabs to expire next",
+        discarded: "💤 Discarded tabs awaiting close",
     };
     console.log("Tabs status at", new Date().toISOString());
     for (const [key, value] of Object.entries(headers)) {
@@ -141,25 +275,46 @@ export async function displayTabsStatus() {
                     url: tab.url,
                     id: tab.id,
                 };
-                const tabKey = getTabKey(tab.id);
-                const recordedAt = storedData[tabKey];
-                if (recordedAt) {
-                    const expireAtMs = recordedAt + timeoutMs;
+                const tabTimeout = tabsStatus.tabTimeouts.get(tab.id);
+                if (tabTimeout) {
+                    display.timeout = `${tabTimeout.timeout} ${tabTimeout.unit}`;
+                }
+                const expireAtMs = expireAt.get(tab.id);
+                if (expireAtMs !== undefined) {
                     display.expireAt = new Date(expireAtMs).toLocaleString();
                     display.timeLeft = msToDuration(expireAtMs - Date.now());
                 }
                 return display;
             });
-            if (key === "mayExpire") {
-                displays.sort(
-                    (a, b) => storedData[getTabKey(a.id)] - storedData[getTabKey(b.id)],
-                );
+            if (key === "mayExpire" || key === "discarded") {
+                displays.sort((a, b) => expireAt.get(a.id) - expireAt.get(b.id));
             }
             console.log(displays);
         }
     }
 }
 
+/**
+ * Computes when a tab expires: its last activity plus its timeout, postponed
+ * to the end of its snooze if it is snoozed. The end of a time-limited
+ * protection counts as activity, so the tab gets a full timeout once the
+ * protection ends.
+ * @param {number} tabId
+ * @param {Object} storedData - Bulk `storage.local` data
+ * @param {number} timeoutMs - Timeout that applies to the tab
+ * @returns {number} The expiry timestamp, `NaN` if the tab has no recorded activity.
+ */
+function getTabExpireAt(tabId, storedData, timeoutMs) {
+    let recordedAt = storedData[getTabKey(tabId)];
+    if (typeof recordedAt !== "number") return NaN;
+    const protectedUntil = storedData[getProtectedKey(tabId)];
+    if (typeof protectedUntil === "number") {
+        recordedAt = Math.max(recordedAt, protectedUntil);
+    }
+    const snoozedUntil = storedData[getSnoozeKey(tabId)] ?? -Infinity;
+    return Math.max(recordedAt + timeoutMs, snoozedUntil);
+}
+
 /**
  * Gets the status of all tabs, categorized by priority.
  *
@@ -168,116 +323,412 @@ export async function displayTabsStatus() {
  * workspaces). Hidden tabs are classified by the same priority rules so that
  * pinned/audible/active hidden tabs are still shielded from expiration.
  *
- * Priority order: pinned > audible > active > protected > expired > mayExpire > orphan.
+ * Each tab is compared against its own timeout override if it has one, else
+ * the timeout of the first site rule matching its URL, falling back to the
+ * global timeout. Tabs matched by a "never" rule are
+ * classified as protected. Snoozed tabs cannot expire before their snooze ends.
+ * Tabs whose time-limited protection ended are classified normally and also
+ * listed in `protectionEnded`. Tabs whose page reported unsaved work (see the
+ * content script) are shielded like protected tabs, in their own bucket.
+ *
+ * Whether expiration is paused is reported in `paused`; tabs are classified
+ * the same either way.
+ *
+ * If a discard stage is set (`discardAfter`), tabs that have been inactive for
+ * that long but have not expired yet are classified as `discarded` rather than
+ * `mayExpire`: they are unloaded first and closed once they expire. Tabs
+ * whose timeout is not longer than the discard threshold skip that stage.
+ *
+ * When `pauseWhenIdle` is on, the clock is frozen at the moment the system went
+ * idle, so no tab ages while the user is away.
+ *
+ * `nextChangeAt` is the next moment at which classifying the tabs again gives
+ * a different result without any event: a tab expires, reaches the discard
+ * stage or the warning window, or a snooze, protection or pause ends. Changes
+ * caused by events (activation, settings, pinning...) are not anticipated.
+ *
+ * Priority order: pinned > audible > active > protected > unsaved > expired > discarded > mayExpire > orphan.
  *
  * @returns {Promise<Object>}
  * @property {chrome.tabs.Tab[]} pinned - pinned tabs
  * @property {chrome.tabs.Tab[]} audible - playing audio
  * @property {chrome.tabs.Tab[]} active - currently active in their window
- * @property {chrome.tabs.Tab[]} protected - user-protected tabs
+ * @property {chrome.tabs.Tab[]} protected - user-protected tabs or tabs matching a "never" rule
+ * @property {chrome.tabs.Tab[]} unsaved - pages with unsaved form input, edits or a `beforeunload` handler
  * @property {chrome.tabs.Tab[]} expired - past timeout, should be closed
+ * @property {chrome.tabs.Tab[]} discarded - past the discard threshold, to discard and close once expired
  * @property {chrome.tabs.Tab[]} mayExpire - tracked but not yet expired
  * @property {chrome.tabs.Tab[]} orphan - visible tab without a storage entry, needs a timestamp reset
+ * @property {chrome.tabs.Tab[]} expiringSoon - `mayExpire` tabs within the warning window
+ * @property {Map<number, number>} expireAt - expiry timestamp of every tab with a finite timeout
+ * @property {Map<number, number>} lastActiveAt - last activity timestamp of every tracked tab
+ * @property {chrome.tabs.Tab[]} protectionEnded - tabs whose time-limited protection ended
+ * @property {Map<number, import("../storage.js").TabTimeout>} tabTimeouts - timeout override of every tab that has one
  * @property {Set<number>} hiddenTabIds - ids of tabs that were resolved via `tabs.get` only
+ * @property {boolean} paused - whether expiration is paused
+ * @property {boolean} pauseEnded - whether a time-limited pause ended and should be removed
+ * @property {import("../storage.js").Settings} settings - settings the tabs were classified with
+ * @property {number} nextChangeAt - next moment the classification changes by itself, `Infinity` if none (e.g. while the clock is frozen)
  */
 export async function getTabsStatus() {
-    const { timeoutMs } = await getSettings();
-    const now = Date.now();
-    const { visibleTabs, hiddenTabs, storedData } = await resolveTrackedTabs();
+    const settings = await getSettings();
+    const warningMs = settings.warningMinutes * unitToMs("minutes");
+    const { visibleTabs, hiddenTabs, storedData } = await getTrackedTabs();
+    const idleSince = settings.pauseWhenIdle ? storedData[IDLE_SINCE_KEY] : undefined;
+    const now = idleSince ?? Date.now();
     const hiddenTabIds = new Set(hiddenTabs.map((t) => t.id));
     const tabsStatus = {
         expired: [], // expired, to close
         audible: [], // playing audio, to ignore
         pinned: [], // pinned, to ignore
         protected: [], // protected, to ignore
+        unsaved: [], // unsaved work in the page, to ignore
         active: [], // currently active, to ignore
+        discarded: [], // discarded or to discard, awaiting close
         mayExpire: [], // may become expired but not yet
         orphan: [], // visible but not listed in storage, to reset timestamp
+        expiringSoon: [], // may expire, within the warning window
+        expireAt: new Map(),
+        lastActiveAt: new Map(),
+        protectionEnded: [], // time-limited protection ended, to unprotect
+        tabTimeouts: new Map(),
         hiddenTabIds,
+        paused: isActiveUntil(storedData[PAUSED_UNTIL_KEY], now),
+        pauseEnded:
+            typeof storedData[PAUSED_UNTIL_KEY] === "number" &&
+            !isActiveUntil(storedData[PAUSED_UNTIL_KEY], now),
+        settings,
+        nextChangeAt: Infinity,
+    };
+    /** Records a moment at which the classification changes, if still to come. */
+    const changesAt = (moment) => {
+        if (moment > now && moment < tabsStatus.nextChangeAt) {
+            tabsStatus.nextChangeAt = moment;
+        }
     };
+    changesAt(storedData[PAUSED_UNTIL_KEY]);
     for (const tab of [...visibleTabs, ...hiddenTabs]) {
+        const tabTimeout = storedData[getTimeoutKey(tab.id)] ?? null;
+        if (tabTimeout) {
+            tabsStatus.tabTimeouts.set(tab.id, tabTimeout);
+        }
+        const timeoutMs = getTabTimeoutMs(tab, settings, tabTimeout);
+        const expireAt = getTabExpireAt(tab.id, storedData, timeoutMs);
+        if (Number.isFinite(expireAt)) {
+            tabsStatus.expireAt.set(tab.id, expireAt);
+        }
+        const recordedAt = storedData[getTabKey(tab.id)];
+        if (typeof recordedAt === "number") {
+            tabsStatus.lastActiveAt.set(tab.id, recordedAt);
+        }
+        const protection = storedData[getProtectedKey(tab.id)];
+        if (typeof protection === "number" && !isActiveUntil(protection, now)) {
+            tabsStatus.protectionEnded.push(tab);
+        }
+        changesAt(protection);
         if (tab.pinned) {
             tabsStatus.pinned.push(tab);
         } else if (tab.audible) {
             tabsStatus.audible.push(tab);
         } else if (tab.active) {
             tabsStatus.active.push(tab);
-        } else if (storedData[getProtectedKey(tab.id)]) {
+        } else if (isActiveUntil(protection, now) || timeoutMs === Infinity) {
             tabsStatus.protected.push(tab);
-        } else if (now - storedData[getTabKey(tab.id)] > timeoutMs) {
+        } else if (storedData[getUnsavedKey(tab.id)] === true) {
+            tabsStatus.unsaved.push(tab);
+        } else if (now > expireAt) {
             tabsStatus.expired.push(tab);
-        } else if (now - storedData[getTabKey(tab.id)] <= timeoutMs) {
+        } else if (
+            settings.discardMs > 0 &&
+            settings.discardMs < timeoutMs &&
+            now >= expireAt - timeoutMs + settings.discardMs
+        ) {
+            tabsStatus.discarded.push(tab);
+            changesAt(expireAt + 1);
+        } else if (now <= expireAt) {
             tabsStatus.mayExpire.push(tab);
+            if (warningMs > 0 && expireAt - now <= warningMs) {
+                tabsStatus.expiringSoon.push(tab);
+            }
+            // Expired once past `expireAt`, the earlier stages start before
+            changesAt(expireAt + 1);
+            if (settings.discardMs > 0 && settings.discardMs < timeoutMs) {
+                changesAt(expireAt - timeoutMs + settings.discardMs);
+            }
+            if (warningMs > 0) {
+                changesAt(expireAt - warningMs);
+            }
         } else {
             tabsStatus.orphan.push(tab);
         }
     }
+    if (idleSince !== undefined) {
+        // Frozen clock: nothing changes until the user is back
+        tabsStatus.nextChangeAt = Infinity;
+    }
     return tabsStatus;
 }
 
 /**
- * Immediately closes all expirable tabs (not pinned, active, audible, or protected).
- * @returns {Promise<{closed: number}>} The number of tabs that were closed.
+ * Immediately closes all expirable tabs (not pinned, active, audible, protected,
+ * or with unsaved work).
+ * The closed tabs are recorded as a single history batch.
+ * @returns {Promise<{closed: number, failed: number}>} The number of tabs that
+ *   were closed, and of tabs that could not be closed.
  */
 export async function expireAllTabs() {
-    const { expired, mayExpire, orphan, hiddenTabIds } = await getTabsStatus();
-    const toClose = [...expired, ...mayExpire, ...orphan];
-    for (const tab of toClose) {
-        await closeTab(tab, true, hiddenTabIds.has(tab.id));
+    const { expired, discarded, mayExpire, orphan, hiddenTabIds } =
+        await getTabsStatus();
+    const batchId = generateId();
+    const { closed, failed } = await closeTabs(
+        [...expired, ...discarded, ...mayExpire, ...orphan].map((tab) => ({
+            tab,
+            isHidden: hiddenTabIds.has(tab.id),
+            details: { batchId, reason: "expire-all" },
+        })),
+    );
+    return { closed: closed.length, failed: failed.length };
+}
+
+/**
+ * Gets a tab group, if tab groups are supported.
+ * @param {number} groupId
+ * @returns {Promise<{ title: string, color: string }|undefined>}
+ */
+async function getTabGroup(groupId) {
+    if (!browser.tabGroups) return undefined;
+    try {
+        const { title, color } = await browser.tabGroups.get(groupId);
+        return { title, color };
+    } catch (err) {
+        return undefined;
     }
-    return { closed: toClose.length };
 }
 
 /**
- * Closes a specific tab and adds it to history.
- * @param {chrome.tabs.Tab} tab
- * @param {boolean} [log=true] - Whether to log the tab closure to the console.
- * @param {boolean} [isHidden=false] - True if the tab is only reachable via
+ * Collects the metadata recorded in the history entries of closing tabs.
+ * @param {chrome.tabs.Tab[]} tabs
+ * @returns {Promise<Partial<import("../history.js").ExpiredTab>[]>} The
+ *   metadata of each tab, in order.
+ */
+async function getTabsMetadata(tabs) {
+    const storedData = await browser.storage.local.get([
+        ...tabs.flatMap((tab) => [
+            getTabKey(tab.id),
+            getOpenedKey(tab.id),
+            getFocusTimeKey(tab.id),
+        ]),
+        FOCUSED_TABS_KEY,
+    ]);
+    const groups = new Map();
+    for (const { groupId } of tabs) {
+        if (groupId >= 0 && !groups.has(groupId)) {
+            groups.set(groupId, await getTabGroup(groupId));
+        }
+    }
+    return tabs.map((tab) => ({
+        favIconUrl: tab.favIconUrl,
+        group: groups.get(tab.groupId),
+        cookieStoreId: tab.cookieStoreId,
+        incognito: tab.incognito,
+        openedAt: storedData[getOpenedKey(tab.id)],
+        lastFocusedAt: tab.lastAccessed ?? storedData[getTabKey(tab.id)],
+        focusTime: getTabFocusTime(tab, storedData),
+    }));
+}
+
+/**
+ * Removes tabs in a single call. If that fails (e.g. one of them is already
+ * gone), tabs are removed one by one to find out which ones could not be.
+ * @param {chrome.tabs.Tab[]} tabs
+ * @returns {Promise<Map<number, Error>>} The error of each tab still open.
+ */
+async function removeTabs(tabs) {
+    const errors = new Map();
+    try {
+        await browser.tabs.remove(tabs.map((tab) => tab.id));
+        return errors;
+    } catch (err) {
+        if (tabs.length === 1) {
+            errors.set(tabs[0].id, err);
+            return errors;
+        }
+    }
+    for (const tab of tabs) {
+        try {
+            await browser.tabs.remove(tab.id);
+        } catch (err) {
+            errors.set(tab.id, err);
+        }
+    }
+    return errors;
+}
+
+/**
+ * @typedef {Object} CloseRequest
+ * @property {chrome.tabs.Tab} tab
+ * @property {boolean} [isHidden=false] - True if the tab is only reachable via
  *   `tabs.get` (e.g. lives in another Zen workspace). When true, the closure is
  *   logged as a warning so the user knows a cross-workspace tab was closed.
- * @returns {Promise<void>}
+ * @property {Object} [details={}] - Extra fields recorded in the history entry
+ *   (e.g. `batchId`, `reason`).
  */
-export async function closeTab(tab, log = true, isHidden = false) {
+
+/**
+ * Closes tabs and adds them to history, to the bookmarks archive, or both,
+ * depending on the `archiveMode` setting. The history entries record each
+ * tab's metadata (favicon, group, container, focus times...) along with its
+ * `details`.
+ *
+ * Bookmarks and history are written for all tabs before they are removed,
+ * with a single `tabs.remove` call, so a tab is never closed without a record.
+ * In bookmarks only mode, tabs that could not be bookmarked get a history
+ * entry instead. The records of tabs that could not be removed are taken out
+ * again.
+ * @param {CloseRequest[]} requests
+ * @param {Object} [options]
+ * @param {boolean} [options.log=true] - Whether to log the tab closures to the console.
+ * @returns {Promise<{ closed: import("../history.js").ExpiredTab[], failed: { tab: chrome.tabs.Tab, error: Error }[] }>}
+ *   The history entries of the closed tabs, and the tabs that could not be closed.
+ */
+export async function closeTabs(requests, { log = true } = {}) {
+    const result = { closed: [], failed: [] };
+    if (requests.length === 0) return result;
     if (log) {
-        if (isHidden) {
-            console.warn(
-                "Closing hidden tab (likely in another workspace):",
-                tab.id,
-                tab.title,
-                tab.url,
-            );
-        } else {
-            console.log("Closing tab:", tab.id, tab.title, tab.url);
+        for (const { tab, isHidden } of requests) {
+            if (isHidden) {
+                console.warn(
+                    "Closing hidden tab (likely in another workspace):",
+                    tab.id,
+                    tab.title,
+                    tab.url,
+                );
+            } else {
+                console.log("Closing tab:", tab.id, tab.title, tab.url);
+            }
         }
     }
+
+    const tabs = requests.map(({ tab }) => tab);
+    const closedAt = Date.now();
+    let entries;
     try {
-        // Add to history first
-        await addExpiredTab({
+        const metadata = await getTabsMetadata(tabs);
+        entries = requests.map(({ tab, details = {} }, i) => ({
+            // Set even if the entry is not kept in history, to tell notifications apart
+            id: generateId(),
             title: tab.title,
             url: tab.url,
-            closedAt: Date.now(),
-        });
+            closedAt,
+            windowId: tab.windowId,
+            index: tab.index,
+            ...metadata[i],
+            ...details,
+        }));
+    } catch (err) {
+        console.error("Failed to collect the closing tabs:", err);
+        result.failed = tabs.map((tab) => ({ tab, error: err }));
+        return result;
+    }
 
-        await browser.tabs.remove(tab.id);
+    // Archive the tabs before removing them, so none is lost
+    const { archiveMode, archiveFolder } = await getSettings();
+    const bookmarkIds = [];
+    if (
+        (archiveMode === "bookmarks" || archiveMode === "both") &&
+        (await hasPermission(FEATURE_PERMISSIONS.bookmarksArchive))
+    ) {
+        for (const entry of entries) {
+            bookmarkIds.push(await archiveToBookmarks(entry, archiveFolder));
+        }
+    }
+    // Tabs only archived to bookmarks go to history if bookmarking them failed
+    const recorded =
+        archiveMode === "bookmarks"
+            ? entries.filter((entry, i) => !bookmarkIds[i])
+            : entries;
+    try {
+        await addExpiredTabs(recorded);
     } catch (err) {
-        console.error(`Failed to close tab ${tab.id}:`, err);
+        console.error("Failed to record the closing tabs in history:", err);
+        await removeArchivedBookmarks(bookmarkIds);
+        result.failed = tabs.map((tab) => ({ tab, error: err }));
+        return result;
+    }
+
+    const errors = await removeTabs(tabs);
+    entries.forEach((entry, i) => {
+        const tab = tabs[i];
+        if (errors.has(tab.id)) {
+            console.error(`Failed to close tab ${tab.id}:`, errors.get(tab.id));
+            result.failed.push({ tab, error: errors.get(tab.id) });
+        } else {
+            result.closed.push(entry);
+        }
+    });
+    if (result.failed.length > 0) {
+        const isOpen = (entry) => errors.has(tabs[entries.indexOf(entry)].id);
+        await removeExpiredTabs(recorded.filter(isOpen).map(({ id }) => id));
+        await removeArchivedBookmarks(
+            bookmarkIds.filter((id, i) => errors.has(tabs[i].id)),
+        );
     }
+    return result;
+}
+
+/**
+ * Reopens the tabs closed by the last expiration run. Tabs archived to
+ * bookmarks only have no history entries, so there is nothing to undo in that
+ * mode (and the last batch in history belongs to an older run).
+ * @returns {Promise<{restored: number}>} The number of tabs that were reopened.
+ */
+export async function undoLastExpiration() {
+    const { archiveMode } = await getSettings();
+    if (archiveMode === "bookmarks") {
+        console.log("Undo is not available when tabs are only archived to bookmarks");
+        return { restored: 0 };
+    }
+    return await restoreLastBatch();
+}
+
+/**
+ * Closes a specific tab, see `closeTabs`.
+ * @param {chrome.tabs.Tab} tab
+ * @param {boolean} [log=true] - Whether to log the tab closure to the console.
+ * @param {boolean} [isHidden=false] - True if the tab is only reachable via `tabs.get`.
+ * @param {Object} [details={}] - Extra fields recorded in the history entry (e.g. `batchId`).
+ * @returns {Promise<import("../history.js").ExpiredTab|null>} The history entry, or null if closing failed.
+ */
+export async function closeTab(tab, log = true, isHidden = false, details = {}) {
+    const { closed } = await closeTabs([{ tab, isHidden, details }], { log });
+    return closed[0] ?? null;
 }
 
 /**
  * Updates the badge for a specific tab (shows lock icon if protected).
+ * Time-limited protections use an orange badge instead of a green one.
+ * While expiration is paused, every tab shows the paused badge instead.
  * @param {number} tabId
  * @returns {Promise<void>}
  */
 export async function updateBadge(tabId) {
     try {
-        const isProtected = await getTabProtection(tabId);
+        const { isPaused } = await getPauseState();
+        if (isPaused) {
+            await browser.action.setBadgeText({ tabId, text: PAUSED_BADGE_TEXT });
+            await browser.action.setBadgeBackgroundColor({
+                tabId,
+                color: PAUSED_BADGE_COLOR,
+            });
+            return;
+        }
+        const { isProtected, until } = await getTabProtectionState(tabId);
         const text = isProtected ? "🔒" : "";
         await browser.action.setBadgeText({ tabId, text });
         if (isProtected) {
             await browser.action.setBadgeBackgroundColor({
                 tabId,
-                color: "#5dc162",
+                color: until === null ? "#5dc162" : "#d58438",
             });
         }
     } catch (err) {
@@ -285,12 +736,30 @@ export async function updateBadge(tabId) {
     }
 }
 
+/**
+ * Updates the default badge and the badge of every tab, e.g. after expiration
+ * was paused or resumed.
+ * @returns {Promise<void>}
+ */
+export async function refreshBadges() {
+    const { isPaused } = await getPauseState();
+    await browser.action.setBadgeText({ text: isPaused ? PAUSED_BADGE_TEXT : "" });
+    if (isPaused) {
+        await browser.action.setBadgeBackgroundColor({ color: PAUSED_BADGE_COLOR });
+    }
+    const tabs = await browser.tabs.query({});
+    for (const tab of tabs) {
+        await updateBadge(tab.id);
+    }
+}
+
 /**
  * Cleans up storage by removing data for tabs that no longer exist.
  *
  * Uses `resolveTrackedTabs()` so that tabs which are merely hidden in another
  * workspace (and therefore missing from `tabs.query({})`) are NOT treated as
  * deleted. Only tabs that also fail `tabs.get()` are considered orphaned.
+ * Tab-scoped keys with an invalid tab id are moved to the quarantine.
  *
  * @param {Object} [options]
  * @param {boolean} [options.shouldDelete=false] - Whether to actually remove orphaned keys from storage.
@@ -299,7 +768,12 @@ export async function updateBadge(tabId) {
 export async function cleanUpStorage({ shouldDelete = false } = {}) {
     const { deletedTabIds, invalidStorageKeys, storedData } = await resolveTrackedTabs();
 
-    const keysToRemove = [...invalidStorageKeys];
+    if (invalidStorageKeys.length > 0) {
+        console.warn("Quarantining invalid keys:", invalidStorageKeys);
+        await quarantineKeys(invalidStorageKeys, storedData, "invalid tab id");
+    }
+
+    const keysToRemove = [];
     for (const key of Object.keys(storedData)) {
         const tabId = tabIdFromStorageKey(key);
         if (tabId !== null && deletedTabIds.has(tabId)) {
@@ -309,11 +783,8 @@ export async function cleanUpStorage({ shouldDelete = false } = {}) {
 
     if (keysToRemove.length > 0) {
         console.log("Orphaned keys:", keysToRemove);
-        const keysToActuallyRemove = shouldDelete
-            ? keysToRemove
-            : invalidStorageKeys;
-        if (keysToActuallyRemove.length > 0) {
-            await browser.storage.local.remove(keysToActuallyRemove);
+        if (shouldDelete) {
+            await browser.storage.local.remove(keysToRemove);
         }
     }
 }
@@ -407,5 +878,20 @@ export async function handleCommand(command) {
         }
     } else if (command === "open-history") {
         browser.runtime.openOptionsPage();
+    } else if (command === "undo-expiration") {
+        await undoLastExpiration();
+    } else if (command === "toggle-pause") {
+        const { isPaused } = await getPauseState();
+        await setPause(!isPaused);
+        const [tab] = await browser.tabs.query({
+            active: true,
+            currentWindow: true,
+        });
+        if (tab && canInjectContentScript(tab.url)) {
+            await sendMessageWithRetry(tab.id, {
+                type: "pause-status",
+                isPaused: !isPaused,
+            });
+        }
     }
 }
@@ -0,0 +1,61 @@
+import { SNOOZE_PRESETS } from "../config.js";
+import { snoozeTab } from "./logic.js";
+
+const SNOOZE_MENU_ID = "snooze-tab";
+const SNOOZE_CANCEL_ID = `${SNOOZE_MENU_ID}:cancel`;
+
+/**
+ * Firefox exposes the tab strip context menu through `menus`, Chrome only
+ * has `contextMenus`.
+ * @returns {typeof browser.contextMenus}
+ */
+const getMenusApi = () => browser.menus ?? browser.contextMenus;
+
+/**
+ * Creates the "Snooze tab" context menu. It is attached to the tab strip where
+ * the browser supports it (Firefox) and to the toolbar button otherwise (Chrome).
+ * Existing items are removed first so this can run on both install and startup.
+ * @returns {Promise<void>}
+ */
+export async function createContextMenus() {
+    const menus = getMenusApi();
+    if (!menus) return;
+
+    const contexts = menus.ContextType?.TAB ? ["tab"] : ["action"];
+    await menus.removeAll();
+    menus.create({ id: SNOOZE_MENU_ID, title: "Snooze tab", contexts });
+    for (const preset of SNOOZE_PRESETS) {
+        menus.create({
+            id: `${SNOOZE_MENU_ID}:${preset.id}`,
+            parentId: SNOOZE_MENU_ID,
+            title: `For ${preset.label}`,
+            contexts,
+        });
+    }
+    menus.create({
+        id: SNOOZE_CANCEL_ID,
+        parentId: SNOOZE_MENU_ID,
+        title: "Cancel snooze",
+        contexts,
+    });
+}
+
+/**
+ * Handles a click on one of the "Snooze tab" context menu items.
+ * @param {Object} info - Menu click info
+ * @param {chrome.tabs.Tab} [tab] - The tab the menu was opened on
+ * @returns {Promise<void>}
+ */
+export async function handleContextMenuClick(info, tab) {
+    if (!tab) return;
+    if (info.menuItemId === SNOOZE_CANCEL_ID) {
+        await snoozeTab(tab, null);
+        return;
+    }
+    const preset = SNOOZE_PRESETS.find(
+        (p) => info.menuItemId === `${SNOOZE_MENU_ID}:${p.id}`,
+    );
+    if (preset) {
+        await snoozeTab(tab, preset.ms);
+    }
+}
@@ -0,0 +1,81 @@
+import {
+    setPause,
+    setTabProtection,
+    setTabSnooze,
+    setTabTimeout,
+    setTabUnsaved,
+} from "../storage.js";
+import { getExpiredTab, removeExpiredTabs } from "../history.js";
+import { restoreExpiredTab } from "../restore.js";
+import { importBackup, parseBackup } from "../backup.js";
+import {
+    expireAllTabs,
+    handleExpiryWarningAction,
+    undoLastExpiration,
+} from "./logic.js";
+import { enqueueWrite } from "./queue.js";
+
+/**
+ * Messages the background handles for the popup, the options page and the
+ * content scripts. Every one of them mutates the history or the tabs' state,
+ * so they all run through the write queue.
+ */
+
+/**
+ * Reopens a history entry.
+ * @param {string} id - History entry ID
+ * @param {boolean} remove - Whether to remove the entry from history once reopened
+ * @returns {Promise<{restored: boolean}>} Whether the entry was found and reopened.
+ */
+async function restoreHistoryEntry(id, remove) {
+    const entry = await getExpiredTab(id);
+    if (!entry) return { restored: false };
+    await restoreExpiredTab(entry, { remove });
+    return { restored: true };
+}
+
+/**
+ * Handlers by message type.
+ * @type {Object<string, (message: Object, sender: chrome.runtime.MessageSender) => Promise<*>>}
+ */
+const HANDLERS = {
+    "expire-all": () => expireAllTabs(),
+    "undo-last-batch": () => undoLastExpiration(),
+    "expiry-warning-action": ({ action }, { tab }) =>
+        handleExpiryWarningAction(tab.id, action),
+    "unsaved-work": ({ hasUnsavedWork }, { tab }) =>
+        setTabUnsaved(tab.id, hasUnsavedWork),
+    "set-tab-protection": ({ tabId, isProtected, until }) =>
+        setTabProtection(tabId, isProtected, until),
+    "set-tab-snooze": ({ tabId, until }) => setTabSnooze(tabId, until),
+    "set-tab-timeout": ({ tabId, timeout }) => setTabTimeout(tabId, timeout),
+    "set-pause": ({ isPaused, until }) => setPause(isPaused, until),
+    "remove-history-entries": ({ ids }) => removeExpiredTabs(ids),
+    "restore-history-entry": ({ id, remove }) => restoreHistoryEntry(id, remove),
+    "import-backup": ({ data, mode }) => importBackup(parseBackup(data), mode),
+};
+
+/**
+ * Messages only content scripts send, about their own tab.
+ */
+const TAB_MESSAGES = ["expiry-warning-action", "unsaved-work"];
+
+/**
+ * Checks whether the background handles a message.
+ * @param {Object} message
+ * @param {chrome.runtime.MessageSender} sender
+ * @returns {boolean}
+ */
+export const isHandledMessage = (message, sender) =>
+    Object.hasOwn(HANDLERS, message?.type) &&
+    (!TAB_MESSAGES.includes(message.type) || sender.tab !== undefined);
+
+/**
+ * Handles a message through the write queue.
+ * @param {Object} message - `{ type, ...payload }`
+ * @param {chrome.runtime.MessageSender} sender
+ * @returns {Promise<*>} The response to the message.
+ */
+export async function handleMessage(message, sender) {
+    return await enqueueWrite(() => HANDLERS[message.type](message, sender));
+}
@@ -0,0 +1,294 @@
+import {
+    generateId,
+    addToQuarantine,
+    moveSettingsToSync,
+    PAUSED_UNTIL_KEY,
+    QUARANTINE_KEY,
+    SCHEMA_VERSION_KEY,
+    SETTINGS_MODIFIED_KEY,
+    SETTINGS_STORAGE_KEYS,
+    SYNC_SETTINGS_KEY,
+    TAB_KEY_PREFIXES,
+} from "../storage.js";
+import { validateRule } from "../rules.js";
+import {
+    addExpiredTabs,
+    findNewEntries,
+    getExpiredTabs,
+    LEGACY_HISTORY_KEY,
+} from "../history.js";
+import { IDLE_SINCE_KEY } from "./idle.js";
+
+/**
+ * Storage migrations for Expire Tabs extension.
+ *
+ * Each migration upgrades the storage layout of the previous version in
+ * place. Versions are never reused: to change the layout, append a migration
+ * with the next version.
+ */
+
+/**
+ * @typedef {Object} Migration
+ * @property {number} version - Schema version after the migration
+ * @property {string} description
+ * @property {(data: Object) => void|Promise<void>} migrate - Upgrades the bulk
+ *   `storage.local` data in place
+ */
+
+/** @type {Migration[]} */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: "Drop unprotected markers and give every history entry an id",
+        migrate: (data) => {
+            for (const key of Object.keys(data)) {
+                if (key.startsWith("protected_") && data[key] === false) {
+                    delete data[key];
+                }
+            }
+            if (Array.isArray(data.expiredTabs)) {
+                data.expiredTabs = data.expiredTabs.map((entry) =>
+                    entry && typeof entry === "object" && !entry.id
+                        ? { ...entry, id: generateId() }
+                        : entry,
+                );
+            }
+        },
+    },
+    {
+        version: 2,
+        description: "Move the history to IndexedDB",
+        migrate: async (data) => {
+            const legacyHistory = data[LEGACY_HISTORY_KEY];
+            if (!Array.isArray(legacyHistory)) return;
+            // Entries moved before a failed storage write are not moved again:
+            // ids given by version 1 in that same run were not saved
+            const valid = legacyHistory.filter(isValidHistoryEntry);
+            // Older versions applied the history limit already, and the saved
+            // limit may not be readable before version 3 moves the settings
+            await addExpiredTabs(findNewEntries(valid, await getExpiredTabs()), {
+                trim: false,
+            });
+            console.log(`Moved ${valid.length} history entries to IndexedDB`);
+            // Malformed entries stay behind to be quarantined
+            const invalid = legacyHistory.filter(
+                (entry) => !isValidHistoryEntry(entry),
+            );
+            if (invalid.length > 0) {
+                data[LEGACY_HISTORY_KEY] = invalid;
+            } else {
+                delete data[LEGACY_HISTORY_KEY];
+            }
+        },
+    },
+    {
+        version: 3,
+        description: "Move the settings to storage.sync",
+        migrate: moveSettingsToSync,
+    },
+];
+
+/**
+ * Current version of the storage layout.
+ */
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+const UNITS = ["minutes", "hours", "days"];
+
+const isTimestamp = (value) => Number.isFinite(value) && value >= 0;
+const isCount = (min) => (value) => Number.isInteger(value) && value >= min;
+const isBoolean = (value) => typeof value === "boolean";
+const isOneOf = (values) => (value) => values.includes(value);
+const isActiveUntilValue = (value) => value === true || isTimestamp(value);
+const isTabTimeout = (value) =>
+    isCount(1)(value?.timeout) && UNITS.includes(value?.unit);
+
+/**
+ * Validators of the tab-scoped values, by key prefix. Every prefix of
+ * `TAB_KEY_PREFIXES` must have one.
+ * @type {Object<string, (value: *) => boolean>}
+ */
+export const TAB_VALUE_VALIDATORS = {
+    tab_: isTimestamp,
+    protected_: isActiveUntilValue,
+    warned_: isTimestamp,
+    snoozed_: isTimestamp,
+    timeout_: isTabTimeout,
+    unsaved_: (value) => value === true,
+    opened_: isTimestamp,
+    focus_: isTimestamp,
+};
+
+/**
+ * Validators of the other known keys: settings and global state.
+ * @type {Object<string, (value: *) => boolean>}
+ */
+const KEY_VALIDATORS = {
+    timeout: isCount(1),
+    unit: isOneOf(UNITS),
+    historyLimit: (value) => Number.isInteger(value) && value >= -1 && value !== 0,
+    rules: (value) =>
+        Array.isArray(value) && value.every((rule) => validateRule(rule) === null),
+    removeOnRestore: isBoolean,
+    warningMinutes: isCount(0),
+    notifications: isOneOf(["none", "tab", "batch"]),
+    maxTabs: isCount(0),
+    maxTabsScope: isOneOf(["global", "window"]),
+    pauseWhenIdle: isBoolean,
+    discardAfter: isCount(0),
+    discardUnit: isOneOf(UNITS),
+    archiveMode: isOneOf(["history", "bookmarks", "both"]),
+    archiveFolder: (value) => typeof value === "string" && value.trim() !== "",
+    closeDuplicates: isBoolean,
+    countClosedTime: isBoolean,
+    [SETTINGS_MODIFIED_KEY]: (value) =>
+        typeof value === "object" &&
+        value !== null &&
+        Object.values(value).every(isTimestamp),
+    [SYNC_SETTINGS_KEY]: isBoolean,
+    expiredTabs: Array.isArray,
+    [PAUSED_UNTIL_KEY]: isActiveUntilValue,
+    [IDLE_SINCE_KEY]: isTimestamp,
+};
+
+/**
+ * Checks a history entry has what the history page and restoring rely on.
+ * @param {*} entry
+ * @returns {boolean}
+ */
+export const isValidHistoryEntry = (entry) =>
+    ["string", "number"].includes(typeof entry?.id) &&
+    typeof entry.url === "string" &&
+    isTimestamp(entry.closedAt);
+
+/**
+ * Finds the reason a stored value is malformed.
+ * @param {string} key
+ * @param {*} value
+ * @returns {string|null} The reason, or null if the value is valid or the key unknown.
+ */
+export function getInvalidReason(key, value) {
+    const prefix = TAB_KEY_PREFIXES.find((p) => key.startsWith(p));
+    if (prefix) {
+        const rawId = key.slice(prefix.length);
+        const tabId = Number(rawId);
+        if (!Number.isInteger(tabId) || tabId < 0 || String(tabId) !== rawId) {
+            return "invalid tab id";
+        }
+        return TAB_VALUE_VALIDATORS[prefix](value) ? null : "invalid value";
+    }
+    if (key in KEY_VALIDATORS && !KEY_VALIDATORS[key](value)) {
+        return "invalid value";
+    }
+    return null;
+}
+
+/**
+ * Moves malformed values of the bulk storage data to its quarantine list:
+ * whole keys, or single entries of the history.
+ * @param {Object} data - Bulk `storage.local` data, modified in place
+ * @returns {number} The number of quarantined items.
+ */
+export function quarantineInvalidData(data) {
+    const items = [];
+    for (const [key, value] of Object.entries(data)) {
+        const reason = getInvalidReason(key, value);
+        if (reason) {
+            items.push({ key, value, reason });
+            delete data[key];
+        }
+    }
+    if (Array.isArray(data.expiredTabs)) {
+        const valid = data.expiredTabs.filter(isValidHistoryEntry);
+        if (valid.length !== data.expiredTabs.length) {
+            for (const entry of data.expiredTabs) {
+                if (!isValidHistoryEntry(entry)) {
+                    items.push({
+                        key: "expiredTabs",
+                        value: entry,
+                        reason: "invalid history entry",
+                    });
+                }
+            }
+            if (valid.length > 0) {
+                data.expiredTabs = valid;
+            } else {
+                delete data.expiredTabs;
+            }
+        }
+    }
+    if (items.length > 0) {
+        data[QUARANTINE_KEY] = addToQuarantine(data[QUARANTINE_KEY], items);
+    }
+    return items.length;
+}
+
+/**
+ * Moves the malformed settings of `storage.sync`, e.g. saved by another
+ * device, to the quarantine list of the bulk storage data.
+ * @param {Object} data - Bulk `storage.local` data, modified in place
+ * @returns {Promise<string[]>} The quarantined keys, to remove from `storage.sync`.
+ */
+async function quarantineInvalidSyncedSettings(data) {
+    if (!browser.storage.sync) return [];
+    const synced = await browser.storage.sync.get(SETTINGS_STORAGE_KEYS);
+    const items = [];
+    for (const [key, value] of Object.entries(synced)) {
+        if (getInvalidReason(key, value)) {
+            items.push({ key, value, reason: "invalid synced value" });
+        }
+    }
+    if (items.length > 0) {
+        data[QUARANTINE_KEY] = addToQuarantine(data[QUARANTINE_KEY], items);
+    }
+    return items.map(({ key }) => key);
+}
+
+/**
+ * Upgrades the storage layout to `SCHEMA_VERSION` and quarantines malformed
+ * values, including the synced settings. Storage written by a newer version of
+ * the extension is left untouched. Only the keys that changed are written.
+ * @returns {Promise<{ from: number, to: number, quarantined: number }>}
+ */
+export async function runMigrations() {
+    const original = await browser.storage.local.get(null);
+    const from = original[SCHEMA_VERSION_KEY] ?? 0;
+    if (from > SCHEMA_VERSION) {
+        console.warn(
+            `Storage schema ${from} is newer than ${SCHEMA_VERSION}, skipping migrations`,
+        );
+        return { from, to: from, quarantined: 0 };
+    }
+
+    const data = structuredClone(original);
+    for (const { version, description, migrate } of MIGRATIONS) {
+        if (version <= from) continue;
+        console.log(`Migrating storage to schema ${version}: ${description}`);
+        await migrate(data);
+    }
+    const invalidSynced = await quarantineInvalidSyncedSettings(data);
+    const quarantined = quarantineInvalidData(data) + invalidSynced.length;
+    if (quarantined > 0) {
+        console.warn(`Quarantined ${quarantined} malformed storage item(s)`);
+    }
+    data[SCHEMA_VERSION_KEY] = SCHEMA_VERSION;
+
+    const changed = {};
+    for (const [key, value] of Object.entries(data)) {
+        if (JSON.stringify(value) !== JSON.stringify(original[key])) {
+            changed[key] = value;
+        }
+    }
+    const removed = Object.keys(original).filter((key) => !(key in data));
+    if (Object.keys(changed).length > 0) {
+        await browser.storage.local.set(changed);
+    }
+    if (removed.length > 0) {
+        await browser.storage.local.remove(removed);
+    }
+    // Only once they are safe in the quarantine list
+    if (invalidSynced.length > 0) {
+        await browser.storage.sync.remove(invalidSynced);
+    }
+    return { from, to: SCHEMA_VERSION, quarantined };
+}
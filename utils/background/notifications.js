@@ -0,0 +1,140 @@
+import { restoreBatch, restoreEntry } from "../restore.js";
+import { FEATURE_PERMISSIONS, hasPermission } from "../permissions.js";
+
+const NOTIFICATION_PREFIX = "expire-tabs";
+const MAX_LISTED_TITLES = 3;
+
+/**
+ * Builds a notification ID encoding what the Undo button should restore.
+ * @param {"batch"|"tab"} kind
+ * @param {string} id - Batch ID or history entry ID
+ * @returns {string}
+ */
+const getNotificationId = (kind, id) => `${NOTIFICATION_PREFIX}:${kind}:${id}`;
+
+/**
+ * Parses a notification ID created by `getNotificationId`.
+ * @param {string} notificationId
+ * @returns {{ kind: string, id: string }|null} Null for notifications from other sources.
+ */
+const parseNotificationId = (notificationId) => {
+    const [prefix, kind, ...rest] = notificationId.split(":");
+    if (prefix !== NOTIFICATION_PREFIX || !kind || rest.length === 0) return null;
+    return { kind, id: rest.join(":") };
+};
+
+/**
+ * Creates a notification with Undo / Open history buttons, or without buttons
+ * if the tabs cannot be reopened.
+ * Firefox does not support notification buttons, so the notification is
+ * created again without them if the first attempt is rejected.
+ * @param {string} notificationId
+ * @param {string} title
+ * @param {string} message
+ * @param {boolean} canUndo
+ * @returns {Promise<void>}
+ */
+async function createNotification(notificationId, title, message, canUndo) {
+    const options = {
+        type: "basic",
+        iconUrl: browser.runtime.getURL("/icon/128.png"),
+        title,
+        message,
+    };
+    if (!canUndo) {
+        try {
+            await browser.notifications.create(notificationId, options);
+        } catch (err) {
+            console.error("Failed to create notification:", err);
+        }
+        return;
+    }
+    try {
+        await browser.notifications.create(notificationId, {
+            ...options,
+            buttons: [{ title: "Undo" }, { title: "Open history" }],
+        });
+    } catch (err) {
+        try {
+            await browser.notifications.create(notificationId, options);
+        } catch (err) {
+            console.error("Failed to create notification:", err);
+        }
+    }
+}
+
+/**
+ * Notifies the user about tabs closed by an expiration run.
+ * @param {import("../history.js").ExpiredTab[]} entries - History entries of the closed tabs
+ * @param {string} mode - "tab" (one notification per tab), "batch" (one summary) or "none"
+ * @param {Object} [options]
+ * @param {boolean} [options.canUndo=true] - Whether the tabs are in history, so
+ *   they can be reopened. Tabs archived to bookmarks only are not.
+ * @returns {Promise<void>}
+ */
+export async function notifyExpiredTabs(entries, mode, { canUndo = true } = {}) {
+    if (entries.length === 0 || mode === "none") return;
+    if (!(await hasPermission(FEATURE_PERMISSIONS.notifications))) {
+        console.warn("Notifications are on, but their permission was not granted");
+        return;
+    }
+
+    if (mode === "tab") {
+        for (const entry of entries) {
+            await createNotification(
+                getNotificationId("tab", entry.id),
+                "Tab expired",
+                entry.title || entry.url,
+                canUndo,
+            );
+        }
+    } else if (mode === "batch") {
+        const count = entries.length;
+        const titles = entries
+            .slice(0, MAX_LISTED_TITLES)
+            .map((entry) => entry.title || entry.url);
+        if (count > MAX_LISTED_TITLES) {
+            titles.push(`+${count - MAX_LISTED_TITLES} more`);
+        }
+        await createNotification(
+            getNotificationId("batch", entries[0].batchId),
+            `${count} tab${count > 1 ? "s" : ""} expired`,
+            titles.join(", "),
+            canUndo,
+        );
+    }
+}
+
+/**
+ * Handles a click on a notification button: 0 reopens the notified tab(s),
+ * 1 opens the history page.
+ * @param {string} notificationId
+ * @param {number} buttonIndex
+ * @returns {Promise<void>}
+ */
+export async function handleNotificationButtonClick(notificationId, buttonIndex) {
+    const parsed = parseNotificationId(notificationId);
+    if (!parsed) return;
+
+    if (buttonIndex === 0) {
+        if (parsed.kind === "batch") {
+            await restoreBatch(parsed.id);
+        } else if (parsed.kind === "tab") {
+            await restoreEntry(parsed.id);
+        }
+    } else if (buttonIndex === 1) {
+        await browser.runtime.openOptionsPage();
+    }
+    await browser.notifications.clear(notificationId);
+}
+
+/**
+ * Handles a click on the notification itself by opening the history page.
+ * @param {string} notificationId
+ * @returns {Promise<void>}
+ */
+export async function handleNotificationClick(notificationId) {
+    if (!parseNotificationId(notificationId)) return;
+    await browser.runtime.openOptionsPage();
+    await browser.notifications.clear(notificationId);
+}
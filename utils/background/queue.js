@@ -0,0 +1,37 @@
+/**
+ * Write queue of the background: every mutation of the history or of the tabs'
+ * state runs as a task of this queue, one at a time, so concurrent
+ * read-modify-write operations (tab events, alarm runs, popup and options
+ * page messages) cannot overwrite each other's changes.
+ *
+ * Tasks are queued by the background's entry points (event listeners and
+ * message handlers). A task must never wait for another queued task, or the
+ * queue deadlocks.
+ */
+
+/** Settles once the last queued task is done. */
+let tail = Promise.resolve();
+
+/**
+ * Runs a task once every previously queued task is done. A failing task does
+ * not prevent the next ones from running.
+ * @template T
+ * @param {() => T|Promise<T>} task
+ * @returns {Promise<T>} The result of the task.
+ */
+export function enqueueWrite(task) {
+    const run = tail.then(task);
+    tail = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Wraps a function so each call runs as a task of the write queue.
+ * @template {(...args: any[]) => any} F
+ * @param {F} fn
+ * @returns {(...args: Parameters<F>) => Promise<Awaited<ReturnType<F>>>}
+ */
+export const serialized =
+    (fn) =>
+    (...args) =>
+        enqueueWrite(() => fn(...args));
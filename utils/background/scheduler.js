@@ -0,0 +1,111 @@
+import { SETTINGS_KEYS, PAUSED_UNTIL_KEY, SYNC_SETTINGS_KEY } from "../storage.js";
+import { checkTabs } from "./logic.js";
+import { IDLE_SINCE_KEY } from "./idle.js";
+import { saveTabSnapshot } from "./session.js";
+import { enqueueWrite } from "./queue.js";
+
+/**
+ * Schedules the tab checks. Instead of polling, each check plans the next one
+ * for the next moment a tab's status changes by itself (see `nextChangeAt` of
+ * `getTabsStatus`), and events that change it earlier (activation, protection,
+ * settings...) request a check right away.
+ */
+
+/** Name of the alarm of the next check. */
+export const CHECK_ALARM_NAME = "check_tabs";
+
+/** Name of the alarm refreshing the tab snapshot while nothing else happens. */
+export const SNAPSHOT_ALARM_NAME = "save_tab_snapshot";
+
+/** Period of the snapshot alarm, which bounds the error on the time the browser was closed. */
+export const SNAPSHOT_INTERVAL_IN_MINUTES = 5;
+
+/** Chrome delays alarms set less than 30 seconds ahead, so those checks also use a timer. */
+const MIN_ALARM_DELAY_MS = 30 * 1000;
+
+/** Delay before checking again after a check failed. */
+const RETRY_DELAY_MS = 60 * 1000;
+
+/** Prefixes of the tab-scoped keys the status of a tab depends on. */
+const STATUS_KEY_PREFIXES = ["tab_", "protected_", "snoozed_", "timeout_", "unsaved_"];
+
+/** Timer of the next check, if it is less than `MIN_ALARM_DELAY_MS` ahead. */
+let timer = null;
+
+/** Check queued but not started yet, which new requests join. */
+let pendingCheck = null;
+
+/**
+ * Plans the next check. The alarm survives the background being suspended,
+ * the timer makes checks due soon run on time.
+ * @param {number} at - Timestamp of the next check, `Infinity` for none
+ * @returns {Promise<void>}
+ */
+export async function scheduleCheck(at) {
+    clearTimeout(timer);
+    timer = null;
+    if (!Number.isFinite(at)) {
+        await browser.alarms.clear(CHECK_ALARM_NAME);
+        return;
+    }
+    const when = Math.max(at, Date.now());
+    await browser.alarms.create(CHECK_ALARM_NAME, { when });
+    const delay = when - Date.now();
+    if (delay < MIN_ALARM_DELAY_MS) {
+        timer = setTimeout(requestCheck, delay);
+    }
+}
+
+/**
+ * Checks the tabs, refreshes the tab snapshot and plans the next check.
+ * Must run as a task of the write queue: use `requestCheck` from elsewhere.
+ * If the check fails, it is retried a minute later.
+ * @returns {Promise<void>}
+ */
+export async function runCheck() {
+    let nextCheckAt;
+    try {
+        nextCheckAt = await checkTabs();
+        await saveTabSnapshot();
+    } catch (err) {
+        console.error("Failed to check tabs:", err);
+        nextCheckAt = Date.now() + RETRY_DELAY_MS;
+    }
+    await scheduleCheck(nextCheckAt);
+}
+
+/**
+ * Queues a check of the tabs. Requests made before the queued check starts
+ * are merged into it.
+ * @returns {Promise<void>} Settles once the check is done.
+ */
+export function requestCheck() {
+    pendingCheck ??= enqueueWrite(async () => {
+        pendingCheck = null;
+        await runCheck();
+    });
+    return pendingCheck;
+}
+
+/**
+ * Checks whether a storage change can change the status of the tabs: their
+ * activity, protection, snooze, timeout or unsaved work, the pause, the idle
+ * clock or the settings (synced or not).
+ * @param {Object<string, chrome.storage.StorageChange>} changes
+ * @param {string} area
+ * @returns {boolean}
+ */
+export function changesTabsStatus(changes, area) {
+    if (area === "sync") {
+        return Object.keys(changes).some((key) => SETTINGS_KEYS.includes(key));
+    }
+    if (area !== "local") return false;
+    return Object.keys(changes).some(
+        (key) =>
+            key === PAUSED_UNTIL_KEY ||
+            key === IDLE_SINCE_KEY ||
+            key === SYNC_SETTINGS_KEY ||
+            SETTINGS_KEYS.includes(key) ||
+            STATUS_KEY_PREFIXES.some((prefix) => key.startsWith(prefix)),
+    );
+}
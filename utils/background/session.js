@@ -0,0 +1,142 @@
+import { getSettings, getTabKey, TAB_KEY_PREFIXES } from "../storage.js";
+import { getTrackedTabs, resolveTrackedTabs } from "./tabState.js";
+
+/**
+ * Storage key of the last known open tabs: `{ savedAt, tabs: [{ id, url, index }] }`.
+ * Refreshed on every check and at least every few minutes (see the
+ * scheduler), so `savedAt` is also roughly when the browser was last running.
+ */
+export const TAB_SNAPSHOT_KEY = "tabSnapshot";
+
+/**
+ * Storage key (`storage.session`) of the ids of the tabs restored after a
+ * restart and still loading: their first load is not user activity. Kept out
+ * of memory, which is lost whenever the background service worker stops.
+ */
+export const RESTORED_TABS_KEY = "restoredTabIds";
+
+/**
+ * Tab-scoped state that does not survive a restart: the restored page is a
+ * fresh load, so its unsaved work is gone.
+ */
+const NON_PERSISTENT_PREFIXES = ["unsaved_"];
+
+/**
+ * Records the open tabs so their state can be carried over to the new tab ids
+ * after a browser restart.
+ * @returns {Promise<void>}
+ */
+export async function saveTabSnapshot() {
+    const { visibleTabs, hiddenTabs } = await getTrackedTabs();
+    const tabs = [...visibleTabs, ...hiddenTabs].map(({ id, url, index }) => ({
+        id,
+        url,
+        index,
+    }));
+    await browser.storage.local.set({
+        [TAB_SNAPSHOT_KEY]: { savedAt: Date.now(), tabs },
+    });
+}
+
+/**
+ * Matches the tabs of the last snapshot to the tabs restored after a restart:
+ * same URL, closest position in the tab strip.
+ * @param {{ id: number, url: string, index: number }[]} previousTabs
+ * @param {chrome.tabs.Tab[]} tabs - Tabs open now
+ * @returns {Map<number, number>} New tab id of each matched previous tab id.
+ */
+function matchRestoredTabs(previousTabs, tabs) {
+    const candidates = new Map();
+    for (const previous of previousTabs) {
+        if (!candidates.has(previous.url)) candidates.set(previous.url, []);
+        candidates.get(previous.url).push(previous);
+    }
+    const newIds = new Map();
+    for (const tab of tabs) {
+        const sameUrl = candidates.get(tab.url);
+        if (!sameUrl?.length) continue;
+        let best = 0;
+        for (let i = 1; i < sameUrl.length; i++) {
+            if (
+                Math.abs(sameUrl[i].index - tab.index) <
+                Math.abs(sameUrl[best].index - tab.index)
+            ) {
+                best = i;
+            }
+        }
+        const [previous] = sameUrl.splice(best, 1);
+        newIds.set(previous.id, tab.id);
+    }
+    return newIds;
+}
+
+/**
+ * Carries the state of the tabs open before a browser restart (activity
+ * timestamps, protections, snoozes, timeout overrides) over to the restored
+ * tabs, which get new ids. State of the previous tab ids is removed, so it
+ * cannot leak into unrelated tabs reusing those ids.
+ *
+ * Unless `countClosedTime` is on, activity timestamps are moved forward by the
+ * time the browser was closed, so tabs do not age while it is.
+ *
+ * The restored tabs still loading are recorded under `RESTORED_TABS_KEY`.
+ * Tabs already loaded are left out, as their first load will not be reported.
+ * @returns {Promise<Set<number>>} Ids of the recorded tabs.
+ */
+export async function restoreTabState() {
+    const { countClosedTime } = await getSettings();
+    const { visibleTabs, hiddenTabs, storedData } = await resolveTrackedTabs();
+    const snapshot = storedData[TAB_SNAPSHOT_KEY];
+    if (!snapshot?.tabs?.length) return new Set();
+
+    const tabs = [...visibleTabs, ...hiddenTabs];
+    const newIds = matchRestoredTabs(snapshot.tabs, tabs);
+    const closedFor = countClosedTime ? 0 : Math.max(0, Date.now() - snapshot.savedAt);
+    const keysToRemove = [];
+    const restored = {};
+    for (const { id } of snapshot.tabs) {
+        const newId = newIds.get(id);
+        for (const prefix of TAB_KEY_PREFIXES) {
+            const key = `${prefix}${id}`;
+            if (!(key in storedData)) continue;
+            keysToRemove.push(key);
+            if (newId === undefined || NON_PERSISTENT_PREFIXES.includes(prefix))
+                continue;
+            const newKey = `${prefix}${newId}`;
+            restored[newKey] =
+                newKey === getTabKey(newId)
+                    ? storedData[key] + closedFor
+                    : storedData[key];
+        }
+    }
+
+    if (keysToRemove.length > 0) {
+        await browser.storage.local.remove(keysToRemove);
+    }
+    if (Object.keys(restored).length > 0) {
+        console.log("Restored tab state:", restored);
+        await browser.storage.local.set(restored);
+    }
+    const loadedIds = new Set(
+        tabs.filter((tab) => tab.status === "complete").map((tab) => tab.id),
+    );
+    const loadingIds = [...newIds.values()].filter((id) => !loadedIds.has(id));
+    await browser.storage.session.set({ [RESTORED_TABS_KEY]: loadingIds });
+    return new Set(loadingIds);
+}
+
+/**
+ * Tells whether a tab that finished loading was restored after a restart, in
+ * which case this load is not user activity. The tab is forgotten either way.
+ * @param {number} tabId
+ * @returns {Promise<boolean>}
+ */
+export async function takeRestoredTab(tabId) {
+    const { [RESTORED_TABS_KEY]: restoredIds = [] } =
+        await browser.storage.session.get(RESTORED_TABS_KEY);
+    if (!restoredIds.includes(tabId)) return false;
+    await browser.storage.session.set({
+        [RESTORED_TABS_KEY]: restoredIds.filter((id) => id !== tabId),
+    });
+    return true;
+}
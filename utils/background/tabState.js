@@ -0,0 +1,271 @@
+import { TAB_KEY_PREFIXES } from "../storage.js";
+
+/**
+ * Extracts tab metadata from a tab-scoped storage key (`tab_<id>`, `protected_<id>`, ...).
+ * @param {string} key
+ * @returns {{ tabId: number|null, isTabScoped: boolean, isValidTabId: boolean }}
+ */
+function tabInfoFromStorageKey(key) {
+    const prefix = TAB_KEY_PREFIXES.find((p) => key.startsWith(p));
+    if (!prefix) {
+        return { tabId: null, isTabScoped: false, isValidTabId: false };
+    }
+    const raw = key.slice(prefix.length);
+    const id = Number(raw);
+    const isValidTabId = Number.isInteger(id) && id >= 0 && String(id) === raw;
+    return {
+        tabId: isValidTabId ? id : null,
+        isTabScoped: true,
+        isValidTabId,
+    };
+}
+
+/**
+ * Extracts the numeric tab id from a valid tab-scoped storage key.
+ * @param {string} key
+ * @returns {number|null} The tab id, or null if the key is not valid tab-scoped storage.
+ */
+export function tabIdFromStorageKey(key) {
+    return tabInfoFromStorageKey(key).tabId;
+}
+
+/**
+ * Resolves the full set of tabs the extension knows about, working around the
+ * Zen/Firefox bug where `browser.tabs.query({})` only returns tabs in the
+ * currently-active workspace (see https://github.com/zen-browser/desktop/issues/8989).
+ *
+ * For every tab id referenced by a tab-scoped storage key (`tab_*`,
+ * `protected_*`, ...) that is not in the query result, we fall back to `browser.tabs.get(id)`. If the tab
+ * actually exists (cross-workspace), it is returned in `hiddenTabs`. If the
+ * lookup fails, the id is reported in `deletedTabIds` so callers can safely
+ * clean up its keys.
+ *
+ * @returns {Promise<{
+ *   visibleTabs: chrome.tabs.Tab[],
+ *   hiddenTabs: chrome.tabs.Tab[],
+ *   deletedTabIds: Set<number>,
+ *   storedData: Object,
+ * }>}
+ */
+export async function resolveTrackedTabs() {
+    const visibleTabs = await browser.tabs.query({});
+    const storedData = await browser.storage.local.get(null);
+    const visibleIds = new Set(visibleTabs.map((t) => t.id));
+
+    const candidateIds = new Set();
+    const invalidStorageKeys = [];
+    for (const key of Object.keys(storedData)) {
+        const tabInfo = tabInfoFromStorageKey(key);
+        if (tabInfo.isTabScoped && !tabInfo.isValidTabId) {
+            invalidStorageKeys.push(key);
+        }
+        const { tabId } = tabInfo;
+        if (tabId !== null && !visibleIds.has(tabId)) {
+            candidateIds.add(tabId);
+        }
+    }
+
+    const hiddenTabs = [];
+    const deletedTabIds = new Set();
+
+    if (candidateIds.size > 0) {
+        const ids = [...candidateIds];
+        const results = await Promise.allSettled(ids.map((id) => browser.tabs.get(id)));
+        for (let i = 0; i < results.length; i++) {
+            const result = results[i];
+            if (result.status === "fulfilled" && result.value) {
+                hiddenTabs.push(result.value);
+            } else {
+                deletedTabIds.add(ids[i]);
+            }
+        }
+    }
+
+    return { visibleTabs, hiddenTabs, deletedTabIds, invalidStorageKeys, storedData };
+}
+
+/**
+ * In-memory mirror of the tracked tabs and of `storage.local`, so computing
+ * the status of the tabs reads neither the whole storage nor every tab each
+ * time. It is hydrated by `resolveTrackedTabs()` on first use, then kept up to
+ * date by tab events and `storage.onChanged`: the background keeps writing to
+ * storage, the mirror follows. Events received while hydrating may be missing
+ * from the hydrated data, which is then only used once.
+ * @type {{ tabs: Map<number, chrome.tabs.Tab>, hiddenTabIds: Set<number>, storedData: Object }|null}
+ */
+let state = null;
+
+/** Whether the mirror is kept up to date, see `watchTabState()`. */
+let watching = false;
+
+/** Number of events received, to detect the ones received while hydrating. */
+let eventCount = 0;
+
+/**
+ * Moves the tabs of a window at or after an index by `delta` positions.
+ * @param {number} windowId
+ * @param {number} fromIndex
+ * @param {number} delta
+ */
+function shiftIndexes(windowId, fromIndex, delta) {
+    for (const tab of state.tabs.values()) {
+        if (tab.windowId === windowId && tab.index >= fromIndex) {
+            tab.index += delta;
+        }
+    }
+}
+
+/**
+ * Forgets a tab, closing the gap it leaves in its window.
+ * @param {number} tabId
+ */
+function forgetTab(tabId) {
+    const tab = state.tabs.get(tabId);
+    if (!tab) return;
+    state.tabs.delete(tabId);
+    state.hiddenTabIds.delete(tabId);
+    shiftIndexes(tab.windowId, tab.index + 1, -1);
+}
+
+/**
+ * Wraps a listener so it counts the event and only runs once hydrated.
+ * @param {(...args: any[]) => void} apply
+ * @returns {(...args: any[]) => void}
+ */
+const onEvent =
+    (apply) =>
+    (...args) => {
+        eventCount++;
+        if (state) apply(...args);
+    };
+
+const LISTENERS = [
+    [
+        () => browser.storage.onChanged,
+        onEvent((changes, area) => {
+            if (area !== "local") return;
+            for (const [key, change] of Object.entries(changes)) {
+                if ("newValue" in change) {
+                    state.storedData[key] = change.newValue;
+                } else {
+                    delete state.storedData[key];
+                }
+            }
+        }),
+    ],
+    [
+        () => browser.tabs.onCreated,
+        onEvent((tab) => {
+            shiftIndexes(tab.windowId, tab.index, 1);
+            state.tabs.set(tab.id, { ...tab });
+        }),
+    ],
+    [
+        () => browser.tabs.onUpdated,
+        onEvent((tabId, changeInfo, tab) => {
+            state.tabs.set(tabId, { ...tab });
+        }),
+    ],
+    [() => browser.tabs.onRemoved, onEvent((tabId) => forgetTab(tabId))],
+    [
+        () => browser.tabs.onActivated,
+        onEvent(({ tabId, windowId }) => {
+            for (const tab of state.tabs.values()) {
+                if (tab.windowId === windowId) {
+                    tab.active = tab.id === tabId;
+                }
+            }
+            // Recorded as the last focus time when the tab expires
+            const tab = state.tabs.get(tabId);
+            if (tab) tab.lastAccessed = Date.now();
+        }),
+    ],
+    [
+        () => browser.tabs.onMoved,
+        onEvent((tabId, { windowId, fromIndex, toIndex }) => {
+            const tab = state.tabs.get(tabId);
+            if (!tab) return;
+            shiftIndexes(windowId, fromIndex + 1, -1);
+            shiftIndexes(windowId, toIndex, 1);
+            tab.index = toIndex;
+        }),
+    ],
+    [
+        () => browser.tabs.onDetached,
+        onEvent((tabId, { oldWindowId, oldPosition }) => {
+            const tab = state.tabs.get(tabId);
+            if (!tab) return;
+            shiftIndexes(oldWindowId, oldPosition + 1, -1);
+            tab.windowId = undefined;
+        }),
+    ],
+    [
+        () => browser.tabs.onAttached,
+        onEvent((tabId, { newWindowId, newPosition }) => {
+            const tab = state.tabs.get(tabId);
+            if (!tab) return;
+            shiftIndexes(newWindowId, newPosition, 1);
+            Object.assign(tab, { windowId: newWindowId, index: newPosition });
+        }),
+    ],
+    [
+        () => browser.tabs.onReplaced,
+        // The new tab (e.g. a prerendered page) is reported by `onUpdated`
+        onEvent((addedTabId, removedTabId) => forgetTab(removedTabId)),
+    ],
+];
+
+/**
+ * Starts keeping the mirror of the tabs and of the storage up to date, so
+ * `getTrackedTabs()` reads from it. Must be called before other listeners
+ * are registered, so the mirror is updated first.
+ * @returns {() => void} Stops watching and drops the mirror.
+ */
+export function watchTabState() {
+    for (const [event, listener] of LISTENERS) {
+        event().addListener(listener);
+    }
+    watching = true;
+    return () => {
+        for (const [event, listener] of LISTENERS) {
+            event().removeListener(listener);
+        }
+        watching = false;
+        state = null;
+    };
+}
+
+/**
+ * Gets the tracked tabs and the stored data, like `resolveTrackedTabs()`, from
+ * the mirror if it is watched. Tabs that were closed without the extension
+ * noticing are not reported: use `resolveTrackedTabs()` to find them.
+ * @returns {Promise<{
+ *   visibleTabs: chrome.tabs.Tab[],
+ *   hiddenTabs: chrome.tabs.Tab[],
+ *   storedData: Object,
+ * }>}
+ */
+export async function getTrackedTabs() {
+    if (!watching) return await resolveTrackedTabs();
+    let current = state;
+    if (!current) {
+        const eventCountBefore = eventCount;
+        const { visibleTabs, hiddenTabs, storedData } = await resolveTrackedTabs();
+        current = {
+            tabs: new Map(
+                [...visibleTabs, ...hiddenTabs].map((tab) => [tab.id, { ...tab }]),
+            ),
+            hiddenTabIds: new Set(hiddenTabs.map((tab) => tab.id)),
+            storedData,
+        };
+        if (watching && eventCount === eventCountBefore) {
+            state = current;
+        }
+    }
+    const visibleTabs = [];
+    const hiddenTabs = [];
+    for (const tab of current.tabs.values()) {
+        (current.hiddenTabIds.has(tab.id) ? hiddenTabs : visibleTabs).push({ ...tab });
+    }
+    return { visibleTabs, hiddenTabs, storedData: { ...current.storedData } };
+}
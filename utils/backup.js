@@ -0,0 +1,162 @@
+import {
+    getStoredSettings,
+    importSettings,
+    SETTINGS_KEYS,
+    SETTINGS_MODIFIED_KEY,
+} from "./storage.js";
+import {
+    addExpiredTabs,
+    clearExpiredTabs,
+    findNewEntries,
+    getExpiredTabs,
+} from "./history.js";
+import { getInvalidReason, isValidHistoryEntry } from "./background/migrations.js";
+
+/**
+ * Backups of the history and settings, downloaded from the options page: the
+ * extension's storage as JSON, with the history under `expiredTabs`.
+ */
+
+/**
+ * Key of the history in a backup.
+ */
+const HISTORY_KEY = "expiredTabs";
+
+/**
+ * Fields of history entries that only make sense in the browser session they
+ * were recorded in: an imported entry is restored in the current window, and
+ * is not part of the last batch of expired tabs.
+ */
+const SESSION_ENTRY_FIELDS = ["windowId", "index", "batchId"];
+
+/**
+ * Ways to import a backup: add what is missing to the current history and
+ * settings, or replace them.
+ */
+export const IMPORT_MODES = ["merge", "replace"];
+
+/**
+ * @typedef {Object} Backup
+ * @property {import("./history.js").ExpiredTab[]|null} expiredTabs - Valid history
+ *   entries, or null if the backup has no history
+ * @property {Object} settings - Valid settings, with their modification times if any
+ * @property {number} invalid - Number of malformed history entries and settings,
+ *   which are not imported
+ * @property {string[]} ignoredKeys - Other keys, e.g. the state of the tabs of the
+ *   session the backup was made in, which are not imported
+ */
+
+/**
+ * Builds a backup of the history and settings.
+ * @returns {Promise<Object>}
+ */
+export const createBackup = async () => ({
+    ...(await browser.storage.local.get()),
+    ...(await getStoredSettings()),
+    [HISTORY_KEY]: await getExpiredTabs(),
+});
+
+/**
+ * Removes the session fields of a history entry.
+ * @param {import("./history.js").ExpiredTab} entry
+ * @returns {import("./history.js").ExpiredTab}
+ */
+const withoutSessionFields = (entry) => {
+    const copy = { ...entry };
+    for (const field of SESSION_ENTRY_FIELDS) {
+        delete copy[field];
+    }
+    return copy;
+};
+
+/**
+ * Validates the content of a backup file.
+ * @param {*} data - Parsed JSON of the file
+ * @returns {Backup}
+ * @throws {Error} If the data has neither a history nor settings.
+ */
+export const parseBackup = (data) => {
+    const isObject = typeof data === "object" && data !== null && !Array.isArray(data);
+    const keys = isObject ? Object.keys(data) : [];
+    if (
+        !keys.some(
+            (key) =>
+                key === HISTORY_KEY ||
+                key === SETTINGS_MODIFIED_KEY ||
+                SETTINGS_KEYS.includes(key),
+        )
+    ) {
+        throw new Error("This file is not an Expire Tabs backup.");
+    }
+
+    /** @type {Backup} */
+    const backup = { expiredTabs: null, settings: {}, invalid: 0, ignoredKeys: [] };
+    for (const key of keys) {
+        const value = data[key];
+        if (key === HISTORY_KEY) {
+            if (!Array.isArray(value)) {
+                backup.invalid++;
+                continue;
+            }
+            const valid = value.filter(isValidHistoryEntry);
+            backup.invalid += value.length - valid.length;
+            backup.expiredTabs = valid.map(withoutSessionFields);
+        } else if (key === SETTINGS_MODIFIED_KEY || SETTINGS_KEYS.includes(key)) {
+            if (getInvalidReason(key, value)) {
+                backup.invalid++;
+            } else {
+                backup.settings[key] = value;
+            }
+        } else {
+            backup.ignoredKeys.push(key);
+        }
+    }
+    return backup;
+};
+
+/**
+ * Counts what importing a backup would do.
+ * @param {Backup} backup
+ * @returns {Promise<{ entries: number, newEntries: number, settings: number,
+ *   invalid: number, ignored: number }>} The number of distinct history
+ *   entries, of those not in the history yet, of settings, of malformed items
+ *   and of ignored keys.
+ */
+export const previewBackup = async (backup) => {
+    const entries = findNewEntries(backup.expiredTabs ?? []);
+    return {
+        entries: entries.length,
+        newEntries: findNewEntries(entries, await getExpiredTabs()).length,
+        settings: SETTINGS_KEYS.filter((key) => key in backup.settings).length,
+        invalid: backup.invalid,
+        ignored: backup.ignoredKeys.length,
+    };
+};
+
+/**
+ * Imports a backup. Merging adds the entries missing from the history and
+ * keeps the most recently changed value of each setting. Replacing clears the
+ * history and overwrites the settings, if the backup has them. Either way,
+ * the history is then trimmed to the history limit.
+ * @param {Backup} backup
+ * @param {"merge"|"replace"} mode
+ * @returns {Promise<{ added: number }>} The number of history entries added.
+ */
+export const importBackup = async (backup, mode) => {
+    if (!IMPORT_MODES.includes(mode)) {
+        throw new Error(`Invalid import mode: ${mode}`);
+    }
+    const replace = mode === "replace";
+    // Settings first, so the imported history limit applies to the history
+    if (SETTINGS_KEYS.some((key) => key in backup.settings)) {
+        await importSettings(backup.settings, replace);
+    }
+    if (backup.expiredTabs === null) return { added: 0 };
+    if (replace) {
+        await clearExpiredTabs();
+    }
+    const history = replace ? [] : await getExpiredTabs();
+    const entries = findNewEntries(backup.expiredTabs, history);
+    await addExpiredTabs(entries);
+    return { added: entries.length };
+};
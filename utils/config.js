@@ -6,6 +6,19 @@ const defaultSettings = {
     historyLimit: 1000,
     batchSize: 25,
     loadMargin: 5,
+    rules: [],
+    removeOnRestore: true,
+    warningMinutes: 0,
+    notifications: "none",
+    maxTabs: 0,
+    maxTabsScope: "global",
+    pauseWhenIdle: false,
+    discardAfter: 0,
+    discardUnit: "hours",
+    archiveMode: "history",
+    archiveFolder: "Expired Tabs",
+    closeDuplicates: false,
+    countClosedTime: false,
 };
 
 /**
@@ -27,12 +40,22 @@ export const unitToMs = (unit) => {
     throw new Error(`Invalid unit: ${unit}`);
 };
 
+/**
+ * Snooze durations offered in the popup and the tab context menu.
+ * @type {{ id: string, label: string, ms: number }[]}
+ */
+export const SNOOZE_PRESETS = [
+    { id: "30m", label: "30 min", ms: 30 * 60 * 1000 },
+    { id: "2h", label: "2 hours", ms: 2 * 60 * 60 * 1000 },
+    { id: "1d", label: "1 day", ms: 24 * 60 * 60 * 1000 },
+];
+
 /**
  * Get a copy of the default settings object.
  * @returns {Object} The default settings.
  */
 export const getDefaults = () => {
-    return { ...defaultSettings };
+    return structuredClone(defaultSettings);
 };
 
 /**
@@ -51,3 +74,19 @@ export const msToDuration = (ms) => {
             ? Duration.fromMillis(ms).toFormat("h 'hours' mm:ss")
             : Duration.fromMillis(ms).toFormat("mm:ss");
 };
+
+/**
+ * Formats a future timestamp as a short time of day, prefixed with the
+ * weekday when it is not today (e.g. "14:30" or "Tue 09:15").
+ * @param {number} timestamp - Timestamp in milliseconds.
+ * @returns {string} Formatted time string.
+ */
+export const formatTimeOfDay = (timestamp) => {
+    const date = new Date(timestamp);
+    const isToday = date.toDateString() === new Date().toDateString();
+    return date.toLocaleString([], {
+        ...(!isToday && { weekday: "short" }),
+        hour: "2-digit",
+        minute: "2-digit",
+    });
+};
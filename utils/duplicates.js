@@ -0,0 +1,73 @@
+/**
+ * Duplicate tab detection for Expire Tabs extension.
+ */
+
+/**
+ * Query parameters that only track where a visit came from and do not change
+ * the page itself. Parameters starting with `utm_` are ignored as well.
+ * @type {string[]}
+ */
+export const TRACKING_PARAMS = [
+    "fbclid",
+    "gclid",
+    "dclid",
+    "msclkid",
+    "mc_cid",
+    "mc_eid",
+    "igshid",
+    "yclid",
+    "_ga",
+    "_gl",
+    "ref_src",
+];
+
+const isTrackingParam = (name) =>
+    name.toLowerCase().startsWith("utm_") ||
+    TRACKING_PARAMS.includes(name.toLowerCase());
+
+/**
+ * Normalizes a URL so that copies of the same page compare equal: the fragment
+ * and tracking parameters are dropped.
+ * @param {string} url
+ * @returns {string|null} The normalized URL, or null for unparsable and non-web URLs.
+ */
+export const normalizeUrl = (url) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (err) {
+        return null;
+    }
+    if (parsed.protocol !== "http:" && parsed.protocol !== "https:") return null;
+    parsed.hash = "";
+    for (const name of [...parsed.searchParams.keys()]) {
+        if (isTrackingParam(name)) parsed.searchParams.delete(name);
+    }
+    return parsed.toString();
+};
+
+/**
+ * Groups tabs by normalized URL and picks, in each group, the copies to close:
+ * every tab but the most recently focused one. A tab active in its window
+ * counts as the most recently focused.
+ * @param {chrome.tabs.Tab[]} tabs - Open tabs
+ * @param {Map<number, number>} lastActiveAt - Last activity timestamp of each tracked tab
+ * @returns {chrome.tabs.Tab[]} The duplicate copies, in the order of `tabs`.
+ */
+export const selectDuplicateTabs = (tabs, lastActiveAt) => {
+    const focusedAt = (tab) =>
+        tab.active ? Infinity : (lastActiveAt.get(tab.id) ?? tab.lastAccessed ?? 0);
+    const keepers = new Map();
+    for (const tab of tabs) {
+        const url = normalizeUrl(tab.url);
+        if (url === null) continue;
+        const keeper = keepers.get(url);
+        if (!keeper || focusedAt(tab) > focusedAt(keeper)) {
+            keepers.set(url, tab);
+        }
+    }
+    const keeperIds = new Set([...keepers.values()].map((tab) => tab.id));
+    return tabs.filter(
+        (tab) => normalizeUrl(tab.url) !== null && !keeperIds.has(tab.id),
+    );
+};
@@ -0,0 +1,417 @@
+import { generateId, getSettings } from "./storage.js";
+
+/**
+ * Expired tabs history for Expire Tabs extension, kept in IndexedDB so that
+ * adding or removing an entry does not rewrite the whole history.
+ */
+
+/**
+ * @typedef {Object} ExpiredTab
+ * @property {string} id - Unique ID
+ * @property {string} title - Tab title
+ * @property {string} url - Tab URL
+ * @property {number} closedAt - Timestamp when closed
+ * @property {number} [windowId] - Window the tab was closed from
+ * @property {number} [index] - Position of the tab in its window
+ * @property {string} [batchId] - ID shared by all tabs closed in the same run
+ * @property {string} [reason] - Why the tab was closed: "timeout", "expire-all",
+ *   "cap" (too many tabs open) or "duplicate" (another tab had the same page open)
+ * @property {string} [favIconUrl] - Favicon of the page
+ * @property {{ title: string, color: string }} [group] - Tab group the tab was in
+ * @property {string} [cookieStoreId] - Container the tab was in (Firefox)
+ * @property {boolean} [incognito] - Whether the tab was in a private window
+ * @property {number} [openedAt] - Timestamp when the tab was opened
+ * @property {number} [lastFocusedAt] - Timestamp when the tab was last focused
+ * @property {number} [focusTime] - Total time the tab was the active tab of its window, in ms
+ *
+ * Entries recorded by older versions only have `id`, `title`, `url` and `closedAt`.
+ */
+
+const DB_NAME = "expire-tabs";
+const DB_VERSION = 1;
+const STORE_NAME = "expiredTabs";
+
+/**
+ * `storage.local` key the history was kept under before it moved to IndexedDB
+ * (schema version 2).
+ */
+export const LEGACY_HISTORY_KEY = "expiredTabs";
+
+let databasePromise = null;
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ * @param {IDBRequest} request
+ * @returns {Promise<*>} The request result.
+ */
+const promisifyRequest = (request) =>
+    new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+/**
+ * Resolves once a transaction is committed.
+ * @param {IDBTransaction} transaction
+ * @returns {Promise<void>}
+ */
+const transactionDone = (transaction) =>
+    new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+
+/**
+ * Walks a cursor, calling `onValue` with each record until it returns false.
+ * @param {IDBObjectStore|IDBIndex} source
+ * @param {IDBKeyRange|null} range
+ * @param {IDBCursorDirection} direction
+ * @param {(value: Object) => boolean|void} onValue
+ * @param {number} [skip=0] - Number of records to skip without reading them
+ * @returns {Promise<void>}
+ */
+const iterateCursor = (source, range, direction, onValue, skip = 0) =>
+    new Promise((resolve, reject) => {
+        const request = source.openCursor(range, direction);
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor && skip > 0) {
+                cursor.advance(skip);
+                skip = 0;
+                return;
+            }
+            if (!cursor || onValue(cursor.value) === false) {
+                resolve();
+                return;
+            }
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+
+/**
+ * Gets the host name of a URL, used to look up entries by site.
+ * @param {string} url
+ * @returns {string} The lowercase host name, empty for URLs without one.
+ */
+export const getDomain = (url) => {
+    try {
+        return new URL(url).hostname.toLowerCase();
+    } catch (err) {
+        return "";
+    }
+};
+
+/**
+ * Converts a history entry to a stored record, with the indexed fields set.
+ * @param {ExpiredTab} entry
+ * @returns {Object}
+ */
+const toRecord = (entry) => ({
+    ...entry,
+    id: String(entry.id ?? generateId()),
+    title: entry.title ?? "",
+    domain: getDomain(entry.url),
+});
+
+/**
+ * Converts a stored record back to a history entry.
+ * @param {Object} record
+ * @returns {ExpiredTab}
+ */
+const fromRecord = ({ domain, ...entry }) => entry;
+
+/**
+ * Opens the history database, creating it on first use. The history kept in
+ * `storage.local` by older versions is moved there by the storage migrations.
+ * @returns {Promise<IDBDatabase>}
+ */
+const openDatabase = () => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE_NAME, { keyPath: "id" });
+        store.createIndex("closedAt", "closedAt");
+        // Entries of a site, newest first
+        store.createIndex("domain", ["domain", "closedAt"]);
+        store.createIndex("title", "title");
+        store.createIndex("batchId", "batchId");
+    };
+    return promisifyRequest(request);
+};
+
+/**
+ * Gets the history database, opened once per context.
+ * @returns {Promise<IDBDatabase>}
+ */
+const getDatabase = () => {
+    databasePromise ??= openDatabase().catch((err) => {
+        databasePromise = null;
+        throw err;
+    });
+    return databasePromise;
+};
+
+/**
+ * Runs a callback against the history store and waits for its transaction.
+ * @template T
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => T|Promise<T>} callback
+ * @returns {Promise<T>}
+ */
+const withStore = async (mode, callback) => {
+    const db = await getDatabase();
+    const transaction = db.transaction(STORE_NAME, mode);
+    const done = transactionDone(transaction);
+    const result = await callback(transaction.objectStore(STORE_NAME));
+    await done;
+    return result;
+};
+
+/**
+ * Splits a search query into lowercase terms.
+ * @param {string} search
+ * @returns {string[]}
+ */
+const getSearchTerms = (search) =>
+    (search || "")
+        .toLowerCase()
+        .split(" ")
+        .filter((term) => term.length > 0);
+
+/**
+ * Checks whether an entry's title or URL contains every search term.
+ * @param {ExpiredTab} entry
+ * @param {string[]} terms
+ * @returns {boolean}
+ */
+const matchesTerms = (entry, terms) => {
+    const title = (entry.title || "").toLowerCase();
+    const url = (entry.url || "").toLowerCase();
+    return (
+        terms.every((term) => title.includes(term)) ||
+        terms.every((term) => url.includes(term))
+    );
+};
+
+/**
+ * @typedef {Object} HistoryQuery
+ * @property {string} [search] - Terms that must all be in the title, or all in the URL
+ * @property {string} [domain] - Only entries of this host name
+ * @property {"closedAt"|"title"} [orderBy="closedAt"] - Newest first, or by title
+ * @property {number} [offset=0] - Number of matching entries to skip
+ * @property {number} [limit=Infinity] - Maximum number of entries to return
+ */
+
+/**
+ * Queries a page of the history.
+ * @param {HistoryQuery} [query]
+ * @returns {Promise<{ entries: ExpiredTab[], total: number }>} The page of
+ *   entries, and the number of entries matching the query.
+ */
+export const queryExpiredTabs = async ({
+    search = "",
+    domain = "",
+    orderBy = "closedAt",
+    offset = 0,
+    limit = Infinity,
+} = {}) => {
+    const terms = getSearchTerms(search);
+    const site = domain.toLowerCase();
+    const entries = [];
+    let total = 0;
+    await withStore("readonly", async (store) => {
+        // Entries of a site by date come from the domain index, other entries
+        // of a site are filtered while walking the order's index
+        const byDomain = site !== "" && orderBy === "closedAt";
+        const source = store.index(byDomain ? "domain" : orderBy);
+        const range = byDomain
+            ? IDBKeyRange.bound([site, -Infinity], [site, Infinity])
+            : null;
+        const direction = orderBy === "closedAt" ? "prev" : "next";
+
+        // Without filtering, the index gives the count and the page directly
+        if (terms.length === 0 && (site === "" || byDomain)) {
+            total = await promisifyRequest(source.count(range));
+            if (limit <= 0 || offset >= total) return;
+            await iterateCursor(
+                source,
+                range,
+                direction,
+                (record) => {
+                    entries.push(fromRecord(record));
+                    return entries.length < limit;
+                },
+                offset,
+            );
+            return;
+        }
+
+        await iterateCursor(source, range, direction, (record) => {
+            if (site !== "" && record.domain !== site) return;
+            if (!matchesTerms(record, terms)) return;
+            if (total >= offset && entries.length < limit) {
+                entries.push(fromRecord(record));
+            }
+            total++;
+        });
+    });
+    return { entries, total };
+};
+
+/**
+ * Retrieves the whole history, newest first.
+ * @returns {Promise<ExpiredTab[]>}
+ */
+export const getExpiredTabs = async () => (await queryExpiredTabs()).entries;
+
+/**
+ * Retrieves a history entry by ID.
+ * @param {string} id
+ * @returns {Promise<ExpiredTab|null>}
+ */
+export const getExpiredTab = async (id) => {
+    const record = await withStore("readonly", (store) =>
+        promisifyRequest(store.get(String(id))),
+    );
+    return record ? fromRecord(record) : null;
+};
+
+/**
+ * Retrieves the entries closed by the same run.
+ * @param {string} batchId
+ * @returns {Promise<ExpiredTab[]>}
+ */
+export const getExpiredTabsByBatch = async (batchId) => {
+    const records = await withStore("readonly", (store) =>
+        promisifyRequest(store.index("batchId").getAll(batchId)),
+    );
+    return records.map(fromRecord);
+};
+
+/**
+ * Finds the batch of the most recently closed entry that has one.
+ * @returns {Promise<string|null>}
+ */
+export const getLastBatchId = async () => {
+    let batchId = null;
+    await withStore("readonly", (store) =>
+        iterateCursor(store.index("closedAt"), null, "prev", (record) => {
+            batchId = record.batchId ?? null;
+            return batchId === null;
+        }),
+    );
+    return batchId;
+};
+
+/**
+ * Retrieves the entries closed before a given time.
+ * @param {number} timestamp
+ * @returns {Promise<ExpiredTab[]>}
+ */
+export const getExpiredTabsClosedBefore = async (timestamp) => {
+    const records = await withStore("readonly", (store) =>
+        promisifyRequest(
+            store.index("closedAt").getAll(IDBKeyRange.upperBound(timestamp, true)),
+        ),
+    );
+    return records.map(fromRecord);
+};
+
+/**
+ * Identifies an entry by what it recorded, for entries whose IDs differ.
+ * @param {ExpiredTab} entry
+ * @returns {string}
+ */
+const getContentKey = (entry) => `${entry.closedAt} ${entry.url}`;
+
+/**
+ * Keeps the entries that are neither in a history nor earlier in the list:
+ * with the same ID, or with the same URL closed at the same time.
+ * @param {ExpiredTab[]} entries
+ * @param {ExpiredTab[]} [history=[]]
+ * @returns {ExpiredTab[]}
+ */
+export const findNewEntries = (entries, history = []) => {
+    const ids = new Set(history.map((entry) => String(entry.id)));
+    const contentKeys = new Set(history.map(getContentKey));
+    return entries.filter((entry) => {
+        const id = String(entry.id);
+        const contentKey = getContentKey(entry);
+        if (ids.has(id) || contentKeys.has(contentKey)) return false;
+        ids.add(id);
+        contentKeys.add(contentKey);
+        return true;
+    });
+};
+
+/**
+ * Adds a tab to the closed tabs history, then removes the oldest entries
+ * beyond the history limit.
+ * @param {Object} tabInfo
+ * @returns {Promise<void>}
+ */
+export const addExpiredTab = async (tabInfo) => await addExpiredTabs([tabInfo]);
+
+/**
+ * Adds several tabs to the closed tabs history in one transaction, then
+ * removes the oldest entries beyond the history limit.
+ * @param {Object[]} tabInfos
+ * @param {Object} [options]
+ * @param {boolean} [options.trim=true] - Whether to apply the history limit
+ * @returns {Promise<void>}
+ */
+export const addExpiredTabs = async (tabInfos, { trim = true } = {}) => {
+    if (tabInfos.length === 0) return;
+    const { historyLimit } = trim ? await getSettings() : { historyLimit: -1 };
+
+    // Add ID to tabInfo if not present
+    for (const tabInfo of tabInfos) {
+        if (!tabInfo.id) {
+            tabInfo.id = generateId();
+        }
+    }
+
+    await withStore("readwrite", async (store) => {
+        for (const tabInfo of tabInfos) {
+            store.put(toRecord(tabInfo));
+        }
+        // Apply limit if not infinite (-1)
+        if (historyLimit === -1) return;
+        const count = await promisifyRequest(store.count());
+        let excess = count - historyLimit;
+        if (excess <= 0) return;
+        await iterateCursor(store.index("closedAt"), null, "next", (record) => {
+            store.delete(record.id);
+            return --excess > 0;
+        });
+    });
+};
+
+/**
+ * Removes a closed tab from history by ID.
+ * @param {string} tabId
+ * @returns {Promise<void>}
+ */
+export const removeExpiredTab = async (tabId) => await removeExpiredTabs([tabId]);
+
+/**
+ * Removes several closed tabs from history by ID.
+ * @param {string[]} tabIds
+ * @returns {Promise<void>}
+ */
+export const removeExpiredTabs = async (tabIds) =>
+    await withStore("readwrite", (store) => {
+        for (const id of tabIds) {
+            store.delete(String(id));
+        }
+    });
+
+/**
+ * Clears all closed tabs history.
+ * @returns {Promise<void>}
+ */
+export const clearExpiredTabs = async () =>
+    await withStore("readwrite", (store) => {
+        store.clear();
+    });
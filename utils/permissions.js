@@ -0,0 +1,43 @@
+/**
+ * Optional permissions of Expire Tabs extension, requested when the user turns
+ * on the feature that needs them, so updates adding features never disable the
+ * extension until new permissions are accepted.
+ */
+
+/**
+ * Optional permission of each feature.
+ */
+export const FEATURE_PERMISSIONS = {
+    notifications: "notifications",
+    bookmarksArchive: "bookmarks",
+    tabGroups: "tabGroups",
+};
+
+/**
+ * Checks whether an optional permission is granted.
+ * @param {string} permission
+ * @returns {Promise<boolean>}
+ */
+export const hasPermission = async (permission) => {
+    try {
+        return await browser.permissions.contains({ permissions: [permission] });
+    } catch (err) {
+        // Unknown to this browser
+        return false;
+    }
+};
+
+/**
+ * Asks the user for an optional permission. Browsers only show the prompt
+ * during a user action: call it before awaiting anything else in the handler.
+ * @param {string} permission
+ * @returns {Promise<boolean>} Whether the permission is granted.
+ */
+export const requestPermission = async (permission) => {
+    try {
+        return await browser.permissions.request({ permissions: [permission] });
+    } catch (err) {
+        console.error(`Failed to request the ${permission} permission:`, err);
+        return false;
+    }
+};
@@ -0,0 +1,130 @@
+import {
+    getExpiredTab,
+    getExpiredTabsByBatch,
+    getLastBatchId,
+    removeExpiredTab,
+    removeExpiredTabs,
+} from "./history.js";
+
+/**
+ * Restore utility functions for Expire Tabs extension.
+ */
+
+/**
+ * Checks whether a window still exists.
+ * @param {number} [windowId]
+ * @returns {Promise<boolean>}
+ */
+const windowExists = async (windowId) => {
+    if (windowId === undefined || windowId === null) return false;
+    try {
+        await browser.windows.get(windowId);
+        return true;
+    } catch (err) {
+        return false;
+    }
+};
+
+/**
+ * Reopens an expired tab, in its original window and position if the window
+ * still exists, otherwise at the end of the current window.
+ * @param {import("./history.js").ExpiredTab} entry
+ * @param {Object} [options]
+ * @param {boolean} [options.remove=false] - Whether to remove the entry from history once reopened.
+ * @param {boolean} [options.active=false] - Whether to focus the reopened tab.
+ * @returns {Promise<chrome.tabs.Tab>} The reopened tab.
+ */
+export const restoreExpiredTab = async (
+    entry,
+    { remove = false, active = false } = {},
+) => {
+    const createProperties = { url: entry.url, active };
+    if (await windowExists(entry.windowId)) {
+        createProperties.windowId = entry.windowId;
+        if (Number.isInteger(entry.index)) {
+            createProperties.index = entry.index;
+        }
+    }
+    const tab = await browser.tabs.create(createProperties);
+    if (remove) {
+        await removeExpiredTab(entry.id);
+    }
+    return tab;
+};
+
+/**
+ * Sorts history entries in their original window and tab order.
+ * @param {import("./history.js").ExpiredTab[]} entries
+ * @returns {import("./history.js").ExpiredTab[]}
+ */
+const sortByPosition = (entries) =>
+    entries.sort(
+        (a, b) =>
+            (a.windowId ?? 0) - (b.windowId ?? 0) || (a.index ?? 0) - (b.index ?? 0),
+    );
+
+/**
+ * Returns the history entries of a closing run, in their original window and
+ * tab order.
+ * @param {string} batchId
+ * @returns {Promise<import("./history.js").ExpiredTab[]>}
+ */
+export const getBatch = async (batchId) =>
+    sortByPosition(await getExpiredTabsByBatch(batchId));
+
+/**
+ * Returns the history entries of the most recent closing run, in their
+ * original window and tab order.
+ * @returns {Promise<import("./history.js").ExpiredTab[]>}
+ */
+export const getLastBatch = async () => {
+    const batchId = await getLastBatchId();
+    if (!batchId) return [];
+    return getBatch(batchId);
+};
+
+/**
+ * Reopens history entries in order and removes them from history.
+ * Entries that fail to reopen are kept in history.
+ * @param {import("./history.js").ExpiredTab[]} entries
+ * @returns {Promise<{restored: number}>} The number of tabs that were reopened.
+ */
+const restoreEntries = async (entries) => {
+    const restoredIds = [];
+    for (const entry of entries) {
+        try {
+            await restoreExpiredTab(entry);
+            restoredIds.push(entry.id);
+        } catch (err) {
+            console.error(`Failed to restore ${entry.url}:`, err);
+        }
+    }
+    if (restoredIds.length > 0) {
+        await removeExpiredTabs(restoredIds);
+    }
+    return { restored: restoredIds.length };
+};
+
+/**
+ * Reopens every tab closed by a closing run and removes them from history.
+ * @param {string} batchId
+ * @returns {Promise<{restored: number}>} The number of tabs that were reopened.
+ */
+export const restoreBatch = async (batchId) => restoreEntries(await getBatch(batchId));
+
+/**
+ * Reopens every tab closed by the most recent closing run and removes them
+ * from history. Tabs that fail to reopen are kept in history.
+ * @returns {Promise<{restored: number}>} The number of tabs that were reopened.
+ */
+export const restoreLastBatch = async () => restoreEntries(await getLastBatch());
+
+/**
+ * Reopens a single history entry by ID and removes it from history.
+ * @param {string} entryId
+ * @returns {Promise<{restored: number}>} The number of tabs that were reopened.
+ */
+export const restoreEntry = async (entryId) => {
+    const entry = await getExpiredTab(entryId);
+    return restoreEntries(entry ? [entry] : []);
+};
@@ -0,0 +1,124 @@
+import { unitToMs } from "./config.js";
+
+/**
+ * Per-site timeout rules for Expire Tabs extension.
+ */
+
+/**
+ * @typedef {Object} SiteRule
+ * @property {string} pattern - Host name, glob or regular expression
+ * @property {string} type - Pattern type (host, glob, regex)
+ * @property {number} timeout - Timeout value (ignored when unit is "never")
+ * @property {string} unit - Time unit (minutes, hours, days) or "never"
+ */
+
+export const RULE_TYPES = ["host", "glob", "regex"];
+export const RULE_UNITS = ["minutes", "hours", "days", "never"];
+
+/**
+ * Converts a glob pattern (`*` and `?` wildcards) to an anchored RegExp.
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+const globToRegExp = (glob) => {
+    const source = glob
+        .split("")
+        .map((char) => {
+            if (char === "*") return ".*";
+            if (char === "?") return ".";
+            return char.replace(/[.+^${}()|[\]\\/]/g, "\\$&");
+        })
+        .join("");
+    return new RegExp(`^${source}$`, "i");
+};
+
+/**
+ * Checks whether a URL matches a rule's pattern.
+ * Host rules match the host name itself and all of its subdomains.
+ * Glob and regex rules are tested against the full URL.
+ * Invalid patterns never match.
+ * @param {SiteRule} rule
+ * @param {string} url
+ * @returns {boolean}
+ */
+export const ruleMatches = (rule, url) => {
+    if (!url || !rule?.pattern) return false;
+    try {
+        switch (rule.type) {
+            case "host": {
+                const host = new URL(url).hostname.toLowerCase();
+                const pattern = rule.pattern.trim().toLowerCase();
+                return host === pattern || host.endsWith(`.${pattern}`);
+            }
+            case "glob":
+                return globToRegExp(rule.pattern.trim()).test(url);
+            case "regex":
+                return new RegExp(rule.pattern).test(url);
+        }
+    } catch (err) {
+        // Unparsable URL or invalid pattern
+    }
+    return false;
+};
+
+/**
+ * Returns the first rule matching the URL, in list order.
+ * @param {SiteRule[]} rules
+ * @param {string} url
+ * @returns {SiteRule|null}
+ */
+export const findMatchingRule = (rules, url) =>
+    (rules || []).find((rule) => ruleMatches(rule, url)) ?? null;
+
+/**
+ * Converts a rule's timeout to milliseconds.
+ * @param {SiteRule} rule
+ * @returns {number} The timeout in milliseconds, `Infinity` for "never".
+ */
+export const ruleTimeoutMs = (rule) =>
+    rule.unit === "never" ? Infinity : unitToMs(rule.unit) * rule.timeout;
+
+/**
+ * Resolves the timeout that applies to a tab: its own timeout override if it
+ * has one, else the first matching rule's timeout, else the global timeout.
+ * @param {{ url?: string }} tab
+ * @param {{ timeoutMs: number, rules?: SiteRule[] }} settings
+ * @param {import("./storage.js").TabTimeout|null} [tabTimeout] - The tab's timeout override
+ * @returns {number} The timeout in milliseconds, `Infinity` if the tab never expires.
+ */
+export const getTabTimeoutMs = (tab, { timeoutMs, rules }, tabTimeout = null) => {
+    if (tabTimeout) return unitToMs(tabTimeout.unit) * tabTimeout.timeout;
+    const rule = findMatchingRule(rules, tab.url);
+    return rule ? ruleTimeoutMs(rule) : timeoutMs;
+};
+
+/**
+ * Validates a rule.
+ * @param {SiteRule} rule
+ * @returns {string|null} An error message, or null if the rule is valid.
+ */
+export const validateRule = (rule) => {
+    if (!rule?.pattern?.trim()) {
+        return "Pattern is required.";
+    }
+    if (!RULE_TYPES.includes(rule.type)) {
+        return `Invalid pattern type: ${rule.type}`;
+    }
+    if (rule.type === "regex") {
+        try {
+            new RegExp(rule.pattern);
+        } catch (err) {
+            return `Invalid regular expression: ${rule.pattern}`;
+        }
+    }
+    if (!RULE_UNITS.includes(rule.unit)) {
+        return `Invalid unit: ${rule.unit}`;
+    }
+    if (
+        rule.unit !== "never" &&
+        (!Number.isInteger(rule.timeout) || rule.timeout < 1)
+    ) {
+        return "Invalid time.";
+    }
+    return null;
+};
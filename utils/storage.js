@@ -9,112 +9,277 @@ import { getDefaults, unitToMs } from "./config.js";
  * @property {number} timeout - Timeout value
  * @property {string} unit - Time unit (minutes, hours, days)
  * @property {number} historyLimit - Number of closed tabs to keep
+ * @property {import("./rules.js").SiteRule[]} rules - Ordered per-site timeout rules
+ * @property {boolean} removeOnRestore - Whether restoring a tab removes it from history
+ * @property {number} warningMinutes - Minutes before expiry to warn the tab (0 to disable)
+ * @property {string} notifications - Desktop notifications for expired tabs (none, tab, batch)
+ * @property {number} maxTabs - Maximum number of expirable tabs to keep open (0 to disable)
+ * @property {string} maxTabsScope - Whether `maxTabs` applies to all tabs ("global") or to each window ("window")
+ * @property {boolean} pauseWhenIdle - Whether tabs stop aging while the system is idle or locked
+ * @property {number} discardAfter - Inactivity after which tabs are discarded before being closed (0 to disable)
+ * @property {string} discardUnit - Time unit of `discardAfter` (minutes, hours, days)
+ * @property {string} archiveMode - Where expired tabs are kept: "history", "bookmarks" or "both"
+ * @property {string} archiveFolder - Title of the bookmarks folder expired tabs are archived to
+ * @property {boolean} closeDuplicates - Whether copies of a page open in several tabs are closed early
+ * @property {boolean} countClosedTime - Whether tabs keep aging while the browser is closed
  */
 
 /**
- * @typedef {Object} ExpiredTab
- * @property {string} id - Unique ID
- * @property {string} title - Tab title
- * @property {string} url - Tab URL
- * @property {number} closedAt - Timestamp when closed
+ * Storage keys holding user settings.
+ * @type {string[]}
  */
+export const SETTINGS_KEYS = [
+    "timeout",
+    "unit",
+    "historyLimit",
+    "rules",
+    "removeOnRestore",
+    "warningMinutes",
+    "notifications",
+    "maxTabs",
+    "maxTabsScope",
+    "pauseWhenIdle",
+    "discardAfter",
+    "discardUnit",
+    "archiveMode",
+    "archiveFolder",
+    "closeDuplicates",
+    "countClosedTime",
+];
 
 /**
- * Retrieves settings from sync storage.
+ * Storage key (`storage.local`) of whether this device shares its settings
+ * through `storage.sync`. On by default.
+ */
+export const SYNC_SETTINGS_KEY = "syncSettings";
+
+/**
+ * Storage key of when each setting was last changed: `{ [key]: timestamp }`,
+ * stored next to the settings. When the settings of `storage.local` and of
+ * `storage.sync` are merged, the most recently changed value of each setting
+ * wins.
+ */
+export const SETTINGS_MODIFIED_KEY = "settingsModifiedAt";
+
+/** Keys of the settings and of their modification times. */
+export const SETTINGS_STORAGE_KEYS = [...SETTINGS_KEYS, SETTINGS_MODIFIED_KEY];
+
+/**
+ * Checks whether the settings are shared across devices through
+ * `storage.sync`, rather than kept on this device.
+ * @returns {Promise<boolean>}
+ */
+export const isSettingsSyncEnabled = async () => {
+    if (!browser.storage.sync) return false;
+    const { [SYNC_SETTINGS_KEY]: enabled } =
+        await browser.storage.local.get(SYNC_SETTINGS_KEY);
+    return enabled !== false;
+};
+
+/**
+ * Gets the storage area holding the settings.
+ * @returns {Promise<chrome.storage.StorageArea>}
+ */
+const getSettingsArea = async () =>
+    (await isSettingsSyncEnabled()) ? browser.storage.sync : browser.storage.local;
+
+/**
+ * Copies the settings of a storage area to another, keeping the most recently
+ * changed value of each setting. Values without a modification time (e.g.
+ * saved by older versions) are older than any other.
+ * @param {chrome.storage.StorageArea} source
+ * @param {chrome.storage.StorageArea} target
+ * @returns {Promise<void>}
+ */
+const mergeSettings = async (source, target) => {
+    const [from, to] = await Promise.all([
+        source.get(SETTINGS_STORAGE_KEYS),
+        target.get(SETTINGS_STORAGE_KEYS),
+    ]);
+    const newer = getNewerSettings(from, to);
+    if (newer) {
+        await target.set(newer);
+    }
+};
+
+/**
+ * Picks the settings of `from` that were changed more recently than those of
+ * `to`, or that `to` does not have.
+ * @param {Object} from - Settings, with their modification times
+ * @param {Object} to - Settings, with their modification times
+ * @returns {Object|null} The settings to write over `to`, with the merged
+ *   modification times, or null if `to` is up to date.
+ */
+const getNewerSettings = (from, to) => {
+    const fromModifiedAt = from[SETTINGS_MODIFIED_KEY] ?? {};
+    const modifiedAt = { ...to[SETTINGS_MODIFIED_KEY] };
+    const merged = {};
+    for (const key of SETTINGS_KEYS) {
+        if (!(key in from)) continue;
+        if (key in to && (fromModifiedAt[key] ?? 0) <= (modifiedAt[key] ?? 0)) continue;
+        merged[key] = from[key];
+        modifiedAt[key] = fromModifiedAt[key] ?? 0;
+    }
+    if (Object.keys(merged).length === 0) return null;
+    return { ...merged, [SETTINGS_MODIFIED_KEY]: modifiedAt };
+};
+
+/**
+ * Moves the settings saved in `storage.local` by older versions to
+ * `storage.sync`, if syncing is on. Settings changed more recently on another
+ * device are kept. If they cannot be synced, syncing is turned off for this
+ * device, which keeps its settings.
+ * @param {Object} data - Bulk `storage.local` data, the settings are removed
+ *   from it in place
+ * @returns {Promise<void>}
+ */
+export const moveSettingsToSync = async (data) => {
+    if (!browser.storage.sync || data[SYNC_SETTINGS_KEY] === false) return;
+    const stored = {};
+    for (const key of SETTINGS_STORAGE_KEYS) {
+        if (key in data) stored[key] = data[key];
+    }
+    if (Object.keys(stored).length === 0) return;
+    try {
+        const newer = getNewerSettings(
+            stored,
+            await browser.storage.sync.get(SETTINGS_STORAGE_KEYS),
+        );
+        if (newer) {
+            await browser.storage.sync.set(newer);
+        }
+    } catch (err) {
+        // e.g. over the `storage.sync` quota: keep using the settings of this device
+        console.warn("Could not move the settings to sync storage:", err);
+        data[SYNC_SETTINGS_KEY] = false;
+        return;
+    }
+    for (const key of SETTINGS_STORAGE_KEYS) {
+        delete data[key];
+    }
+};
+
+/**
+ * Turns syncing the settings across devices on or off for this device. Either
+ * way, the device starts from the most recent value of each setting: turning
+ * it on merges the settings of this device into the synced ones, turning it
+ * off copies the synced settings to this device.
+ * @param {boolean} enabled
+ * @returns {Promise<void>}
+ * @throws {Error} If the settings of this device exceed the `storage.sync`
+ *   quota. Syncing then stays off.
+ */
+export const setSettingsSync = async (enabled) => {
+    if (enabled) {
+        await mergeSettings(browser.storage.local, browser.storage.sync);
+        await browser.storage.local.set({ [SYNC_SETTINGS_KEY]: true });
+        await browser.storage.local.remove(SETTINGS_STORAGE_KEYS);
+    } else {
+        await mergeSettings(browser.storage.sync, browser.storage.local);
+        await browser.storage.local.set({ [SYNC_SETTINGS_KEY]: false });
+    }
+};
+
+/**
+ * Retrieves settings from sync storage, or from local storage if syncing is
+ * off.
  * @returns {Promise<Settings>}
  */
 export const getSettings = async () => {
     const defaults = getDefaults();
-    let { timeout, unit, historyLimit } = await browser.storage.local.get([
-        "timeout",
-        "unit",
-        "historyLimit",
-    ]);
-    timeout = timeout ?? defaults.timeout;
-    unit = unit ?? defaults.unit;
-    historyLimit = historyLimit ?? defaults.historyLimit;
+    const area = await getSettingsArea();
+    const stored = await area.get(SETTINGS_KEYS);
+    const settings = {};
+    for (const key of SETTINGS_KEYS) {
+        settings[key] = stored[key] ?? defaults[key];
+    }
     const batchSize = defaults.batchSize;
     const loadMargin = defaults.loadMargin;
-    const timeoutMs = unitToMs(unit) * timeout;
+    const timeoutMs = unitToMs(settings.unit) * settings.timeout;
+    const discardMs = unitToMs(settings.discardUnit) * settings.discardAfter;
 
     return {
-        timeout,
-        unit,
-        historyLimit,
+        ...settings,
         batchSize,
         loadMargin,
         timeoutMs,
+        discardMs,
     };
 };
 
 /**
- * Saves settings to sync storage.
+ * Saves settings to sync storage, or to local storage if syncing is off.
+ * Settings whose value changed are stamped with the current time.
  * @param {Object} settings
  * @returns {Promise<void>}
+ * @throws {Error} If the settings exceed the storage quota, e.g. too many site
+ *   rules for `storage.sync`.
  */
-export const saveSettings = async (settings) =>
-    await browser.storage.local.set(settings);
+export const saveSettings = async (settings) => {
+    const area = await getSettingsArea();
+    const stored = await area.get([...Object.keys(settings), SETTINGS_MODIFIED_KEY]);
+    const modifiedAt = { ...stored[SETTINGS_MODIFIED_KEY] };
+    const now = Date.now();
+    for (const [key, value] of Object.entries(settings)) {
+        if (JSON.stringify(value) !== JSON.stringify(stored[key])) {
+            modifiedAt[key] = now;
+        }
+    }
+    await area.set({ ...settings, [SETTINGS_MODIFIED_KEY]: modifiedAt });
+};
 
 /**
- * Retrieves closed tabs history from local storage.
- * @returns {Promise<ExpiredTab[]>}
+ * Retrieves the settings as stored, without defaults, with their modification
+ * times.
+ * @returns {Promise<Object>}
  */
-export const getExpiredTabs = async () => {
-    const { expiredTabs } = await browser.storage.local.get(["expiredTabs"]);
-    return expiredTabs || [];
-};
+export const getStoredSettings = async () =>
+    await (await getSettingsArea()).get(SETTINGS_STORAGE_KEYS);
 
 /**
- * Adds a tab to the closed tabs history.
- * @param {Object} tabInfo
+ * Imports settings, e.g. from a backup. Merging keeps the most recently
+ * changed value of each setting, as when syncing is turned on. Replacing
+ * overwrites the current settings, and the settings missing from the import
+ * go back to their defaults.
+ * @param {Object} settings - Settings, with their modification times if known
+ * @param {boolean} replace - Whether to replace the current settings
  * @returns {Promise<void>}
+ * @throws {Error} If the settings exceed the storage quota.
  */
-export const addExpiredTab = async (tabInfo) => {
-    const { historyLimit } = await getSettings();
-    const expiredTabs = await getExpiredTabs();
-
-    // Add ID to tabInfo if not present
-    if (!tabInfo.id) {
-        if (typeof crypto !== "undefined" && crypto.randomUUID) {
-            tabInfo.id = crypto.randomUUID();
-        } else {
-            // Fallback for environments without randomUUID
-            tabInfo.id =
-                Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
+export const importSettings = async (settings, replace) => {
+    const area = await getSettingsArea();
+    if (!replace) {
+        const newer = getNewerSettings(settings, await area.get(SETTINGS_STORAGE_KEYS));
+        if (newer) {
+            await area.set(newer);
         }
+        return;
     }
-
-    expiredTabs.unshift(tabInfo);
-
-    // Apply limit if not infinite (-1)
-    if (historyLimit !== -1 && expiredTabs.length > historyLimit) {
-        expiredTabs.length = historyLimit;
+    // Imported values are the most recent, so that other devices take them too
+    const values = {};
+    const modifiedAt = {};
+    const now = Date.now();
+    for (const key of SETTINGS_KEYS) {
+        if (!(key in settings)) continue;
+        values[key] = settings[key];
+        modifiedAt[key] = now;
     }
-
-    await browser.storage.local.set({ expiredTabs });
+    await area.set({ ...values, [SETTINGS_MODIFIED_KEY]: modifiedAt });
+    await area.remove(SETTINGS_KEYS.filter((key) => !(key in values)));
 };
 
 /**
- * Removes a closed tab from history by ID.
- * @param {string} tabId
- * @returns {Promise<void>}
+ * Generates a unique ID for history entries and batches.
+ * @returns {string}
  */
-export const removeExpiredTab = async (tabId) => {
-    const expiredTabs = await getExpiredTabs();
-    const newExpiredTabs = expiredTabs.filter((t) => {
-        // Ensure strict string comparison just in case
-        return String(t.id) !== String(tabId);
-    });
-    await browser.storage.local.set({ expiredTabs: newExpiredTabs });
+export const generateId = () => {
+    if (typeof crypto !== "undefined" && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    // Fallback for environments without randomUUID
+    return Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
 };
 
-/**
- * Clears all closed tabs history.
- * @returns {Promise<void>}
- */
-export const clearExpiredTabs = async () =>
-    await browser.storage.local.set({ expiredTabs: [] });
-
 /**
  * Generates storage key for a tab's activity timestamp.
  * @param {number} tabId
@@ -130,31 +295,303 @@ export const getTabKey = (tabId) => `tab_${tabId}`;
 export const getProtectedKey = (tabId) => `protected_${tabId}`;
 
 /**
- * Checks if a tab is protected.
+ * Generates storage key for the expiry moment a tab was last warned about.
  * @param {number} tabId
- * @returns {Promise<boolean>}
+ * @returns {string}
+ */
+export const getWarnedKey = (tabId) => `warned_${tabId}`;
+
+/**
+ * Generates storage key for the timestamp until which a tab is snoozed.
+ * @param {number} tabId
+ * @returns {string}
+ */
+export const getSnoozeKey = (tabId) => `snoozed_${tabId}`;
+
+/**
+ * Generates storage key for a tab's timeout override.
+ * @param {number} tabId
+ * @returns {string}
+ */
+export const getTimeoutKey = (tabId) => `timeout_${tabId}`;
+
+/**
+ * Generates storage key for whether a tab's page reported unsaved work.
+ * @param {number} tabId
+ * @returns {string}
+ */
+export const getUnsavedKey = (tabId) => `unsaved_${tabId}`;
+
+/**
+ * Generates storage key for the timestamp when a tab was opened.
+ * @param {number} tabId
+ * @returns {string}
+ */
+export const getOpenedKey = (tabId) => `opened_${tabId}`;
+
+/**
+ * Generates storage key for the total time a tab has been focused, in ms.
+ * @param {number} tabId
+ * @returns {string}
+ */
+export const getFocusTimeKey = (tabId) => `focus_${tabId}`;
+
+/**
+ * Storage key of the tab currently focused in each window:
+ * `{ [windowId]: { tabId, since } }`.
+ */
+export const FOCUSED_TABS_KEY = "focusedTabs";
+
+/**
+ * Prefixes of all storage keys scoped to a single tab (`<prefix><tabId>`).
+ * @type {string[]}
+ */
+export const TAB_KEY_PREFIXES = [
+    "tab_",
+    "protected_",
+    "warned_",
+    "snoozed_",
+    "timeout_",
+    "unsaved_",
+    "opened_",
+    "focus_",
+];
+
+/**
+ * Lists every storage key scoped to a tab.
+ * @param {number} tabId
+ * @returns {string[]}
+ */
+export const getTabScopedKeys = (tabId) =>
+    TAB_KEY_PREFIXES.map((prefix) => `${prefix}${tabId}`);
+
+/**
+ * Storage key of the version of the storage layout, upgraded by the migrations
+ * in `utils/background/migrations.js`.
+ */
+export const SCHEMA_VERSION_KEY = "schemaVersion";
+
+/**
+ * Storage key of the malformed data set aside by the migrations and the
+ * storage clean-up, so it can still be inspected (e.g. in a data export).
+ */
+export const QUARANTINE_KEY = "quarantine";
+
+/**
+ * Maximum number of quarantined items kept, oldest first out.
+ */
+export const QUARANTINE_LIMIT = 100;
+
+/**
+ * @typedef {Object} QuarantinedItem
+ * @property {string} key - Storage key the value was found under
+ * @property {*} value - The malformed value
+ * @property {string} reason - Why it was set aside
+ * @property {number} quarantinedAt - Timestamp when it was set aside
+ */
+
+/**
+ * Appends items to a quarantine list, keeping the most recent ones.
+ * @param {QuarantinedItem[]|undefined} quarantine - Current quarantine list
+ * @param {{ key: string, value: *, reason: string }[]} items
+ * @returns {QuarantinedItem[]} The new quarantine list.
+ */
+export const addToQuarantine = (quarantine, items) => {
+    const quarantinedAt = Date.now();
+    return [
+        ...(Array.isArray(quarantine) ? quarantine : []),
+        ...items.map((item) => ({ ...item, quarantinedAt })),
+    ].slice(-QUARANTINE_LIMIT);
+};
+
+/**
+ * Moves storage keys to the quarantine.
+ * @param {string[]} keys
+ * @param {Object} storedData - Bulk `storage.local` data holding the keys' values
+ * @param {string} reason - Why the keys are set aside
+ * @returns {Promise<void>}
+ */
+export const quarantineKeys = async (keys, storedData, reason) => {
+    if (keys.length === 0) return;
+    const { [QUARANTINE_KEY]: quarantine } = await browser.storage.local.get([
+        QUARANTINE_KEY,
+    ]);
+    const items = keys.map((key) => ({ key, value: storedData[key], reason }));
+    await browser.storage.local.set({
+        [QUARANTINE_KEY]: addToQuarantine(quarantine, items),
+    });
+    await browser.storage.local.remove(keys);
+};
+
+/**
+ * Checks whether a stored protection (`protected_<id>`) or pause
+ * (`pausedUntil`) is in effect. Both are either permanent (`true`) or last
+ * until a timestamp.
+ * @param {boolean|number|undefined} value
+ * @param {number} [now=Date.now()]
+ * @returns {boolean}
+ */
+export const isActiveUntil = (value, now = Date.now()) =>
+    value === true || (typeof value === "number" && value > now);
+
+/**
+ * Gets the protection status of a tab.
+ * @param {number} tabId
+ * @returns {Promise<{ isProtected: boolean, until: number|null }>} `until` is the
+ *   end of a time-limited protection, null if the protection is permanent or
+ *   the tab is not protected.
  */
-export const getTabProtection = async (tabId) => {
+export const getTabProtectionState = async (tabId) => {
     const key = getProtectedKey(tabId);
-    const { [key]: isProtected } = await browser.storage.local.get([key]);
-    return !!isProtected;
+    const { [key]: value } = await browser.storage.local.get([key]);
+    const isProtected = isActiveUntil(value);
+    return {
+        isProtected,
+        until: isProtected && typeof value === "number" ? value : null,
+    };
 };
 
+/**
+ * Checks if a tab is protected.
+ * @param {number} tabId
+ * @returns {Promise<boolean>}
+ */
+export const getTabProtection = async (tabId) =>
+    (await getTabProtectionState(tabId)).isProtected;
+
 /**
  * Sets protection status for a tab.
  * @param {number} tabId
  * @param {boolean} isProtected
+ * @param {number|null} [until=null] - End of the protection, null to protect
+ *   the tab until it is unprotected manually
  * @returns {Promise<void>}
  */
-export const setTabProtection = async (tabId, isProtected) => {
+export const setTabProtection = async (tabId, isProtected, until = null) => {
     const protectedKey = getProtectedKey(tabId);
     const tabKey = getTabKey(tabId);
 
     if (isProtected) {
-        await browser.storage.local.set({ [protectedKey]: true });
+        await browser.storage.local.set({ [protectedKey]: until ?? true });
     } else {
         // Unprotecting: Remove protection AND reset timestamp
         await browser.storage.local.remove(protectedKey);
         await browser.storage.local.set({ [tabKey]: Date.now() });
     }
 };
+
+/**
+ * Gets the timestamp until which a tab is snoozed.
+ * @param {number} tabId
+ * @returns {Promise<number|null>} The snooze end, or null if the tab is not snoozed
+ *   (snoozes that already ended are treated as not snoozed).
+ */
+export const getTabSnooze = async (tabId) => {
+    const key = getSnoozeKey(tabId);
+    const { [key]: until } = await browser.storage.local.get([key]);
+    return typeof until === "number" && until > Date.now() ? until : null;
+};
+
+/**
+ * Postpones a tab's expiry until the given time.
+ * @param {number} tabId
+ * @param {number|null} until - Timestamp before which the tab cannot expire,
+ *   null to cancel the snooze
+ * @returns {Promise<void>}
+ */
+export const setTabSnooze = async (tabId, until) => {
+    const key = getSnoozeKey(tabId);
+    if (until === null) {
+        await browser.storage.local.remove(key);
+    } else {
+        await browser.storage.local.set({ [key]: until });
+    }
+};
+
+/**
+ * @typedef {Object} TabTimeout
+ * @property {number} timeout - Timeout value
+ * @property {string} unit - Time unit (minutes, hours, days)
+ */
+
+/**
+ * Gets the timeout override of a tab.
+ * @param {number} tabId
+ * @returns {Promise<TabTimeout|null>} The override, or null if the tab uses the
+ *   site rules and global timeout.
+ */
+export const getTabTimeout = async (tabId) => {
+    const key = getTimeoutKey(tabId);
+    const { [key]: tabTimeout } = await browser.storage.local.get([key]);
+    return tabTimeout ?? null;
+};
+
+/**
+ * Sets or removes the timeout override of a tab.
+ * @param {number} tabId
+ * @param {TabTimeout|null} tabTimeout - The override, null to remove it
+ * @returns {Promise<void>}
+ */
+export const setTabTimeout = async (tabId, tabTimeout) => {
+    const key = getTimeoutKey(tabId);
+    if (tabTimeout === null) {
+        await browser.storage.local.remove(key);
+    } else {
+        await browser.storage.local.set({ [key]: tabTimeout });
+    }
+};
+
+/**
+ * Records whether a tab's page has unsaved work (dirty forms, edited content,
+ * or a `beforeunload` handler). Once the page is clean again, the tab's timer
+ * restarts, as when a protection is removed.
+ * @param {number} tabId
+ * @param {boolean} hasUnsavedWork
+ * @returns {Promise<void>}
+ */
+export const setTabUnsaved = async (tabId, hasUnsavedWork) => {
+    const key = getUnsavedKey(tabId);
+    if (hasUnsavedWork) {
+        await browser.storage.local.set({ [key]: true });
+    } else {
+        await browser.storage.local.remove(key);
+        await browser.storage.local.set({ [getTabKey(tabId)]: Date.now() });
+    }
+};
+
+/**
+ * Storage key of the global pause: `true` while paused indefinitely, or the
+ * timestamp at which the pause ends.
+ */
+export const PAUSED_UNTIL_KEY = "pausedUntil";
+
+/**
+ * Gets the global pause status.
+ * @returns {Promise<{ isPaused: boolean, until: number|null }>} `until` is the
+ *   end of a time-limited pause, null if paused indefinitely or not paused.
+ */
+export const getPauseState = async () => {
+    const { [PAUSED_UNTIL_KEY]: value } = await browser.storage.local.get([
+        PAUSED_UNTIL_KEY,
+    ]);
+    const isPaused = isActiveUntil(value);
+    return {
+        isPaused,
+        until: isPaused && typeof value === "number" ? value : null,
+    };
+};
+
+/**
+ * Pauses or resumes tab expiration.
+ * @param {boolean} isPaused
+ * @param {number|null} [until=null] - End of the pause, null to pause until
+ *   expiration is resumed manually
+ * @returns {Promise<void>}
+ */
+export const setPause = async (isPaused, until = null) => {
+    if (isPaused) {
+        await browser.storage.local.set({ [PAUSED_UNTIL_KEY]: until ?? true });
+    } else {
+        await browser.storage.local.remove(PAUSED_UNTIL_KEY);
+    }
+};
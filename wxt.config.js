@@ -14,7 +14,16 @@ export default defineConfig({
     manifest: ({ browser }) => ({
         name: "Expire Tabs",
         description: "Automatically closes tabs that haven't been focused for a while.",
-        permissions: ["tabs", "storage", "alarms"],
+        permissions: [
+            "tabs",
+            "storage",
+            "alarms",
+            "idle",
+            // The tab strip context menu is only available through `menus` on Firefox
+            browser === "firefox" ? "menus" : "contextMenus",
+        ],
+        // Requested when the feature is turned on (see utils/permissions.js)
+        optional_permissions: ["notifications", "bookmarks", "tabGroups"],
         options_ui: { open_in_tab: true },
         commands: {
             _execute_action: {
@@ -31,6 +40,18 @@ export default defineConfig({
                 },
                 description: "Toggle protection for the current tab",
             },
+            "undo-expiration": {
+                suggested_key: {
+                    default: "Alt+Shift+U",
+                    mac: "Alt+Shift+U",
+                },
+                description: "Reopen the tabs closed by the last expiration",
+            },
+            // Chrome allows at most 4 commands with a suggested key, so this
+            // one has to be assigned by the user.
+            "toggle-pause": {
+                description: "Pause or resume closing tabs",
+            },
             "open-history": {
                 suggested_key: {
                     default: "Alt+Shift+H",
@@ -43,6 +64,8 @@ export default defineConfig({
             browser_specific_settings: {
                 gecko: {
                     id: "expire-tabs@vict0rsch",
+                    // Content scripts in the page's world (`beforeunload` hook)
+                    strict_min_version: "128.0",
                     data_collection_permissions: {
                         required: ["none"],
                     },